@@ -1,6 +1,7 @@
 require('dotenv').config();
 require('@nomicfoundation/hardhat-foundry');
 require('@nomiclabs/hardhat-ethers');
+require('@nomiclabs/hardhat-etherscan');
 require('@openzeppelin/hardhat-upgrades');
 const tenderly = require('@tenderly/hardhat-tenderly');
 tenderly.setup({automaticVerifications: false});
@@ -29,11 +30,33 @@ module.exports = {
     project: process.env.TENDERLY_PROJECT,
     privateVerification: false
   },
+  // source verification, see scripts/verify-contracts.js. EXPLORER_API_URL adds an Etherscan compatible explorer for
+  // the chain EXPLORER_CHAIN_ID (e.g. Blockscout), which takes precedence over the built-in explorer of that chain
+  etherscan: {
+    apiKey: {
+      mainnet: process.env.ETHERSCAN_API_KEY,
+      arbitrumOne: process.env.ARBISCAN_API_KEY,
+      ...(process.env.EXPLORER_API_URL ? {custom: process.env.EXPLORER_API_KEY || 'unused'} : {})
+    },
+    customChains: process.env.EXPLORER_API_URL ? [{
+      network: 'custom',
+      chainId: Number(process.env.EXPLORER_CHAIN_ID),
+      urls: {
+        apiURL: process.env.EXPLORER_API_URL,
+        browserURL: process.env.EXPLORER_BROWSER_URL || process.env.EXPLORER_API_URL
+      }
+    }] : []
+  },
   networks: {
     local: {
       url: 'http://127.0.0.1:8545',
       allowUnlimitedContractSize: true,
     },
+    // plain chain without a fork, see scripts/devnet.js
+    devnet: {
+      url: 'http://127.0.0.1:8545',
+      allowUnlimitedContractSize: true,
+    },
     hardhat: {
         allowUnlimitedContractSize: true,
         forking: {
@@ -43,6 +66,20 @@ module.exports = {
     tenderly: {
       url: process.env.TENDERLY_FORK_URL,
       accounts: [process.env.DEPLOYER_PRIVATE_KEY]
-    }
+    },
+    // see scripts/networks.js for the network profiles applied to scripts/config.js. mainnet and arbitrum are only
+    // defined with MAINNET_RPC_URL / ARBITRUM_RPC_URL, an unset url fails the validation of the config for every network
+    ...(process.env.MAINNET_RPC_URL ? {
+      mainnet: {
+        url: process.env.MAINNET_RPC_URL,
+        accounts: [process.env.DEPLOYER_PRIVATE_KEY]
+      }
+    } : {}),
+    ...(process.env.ARBITRUM_RPC_URL ? {
+      arbitrum: {
+        url: process.env.ARBITRUM_RPC_URL,
+        accounts: [process.env.DEPLOYER_PRIVATE_KEY]
+      }
+    } : {})
   }
 };
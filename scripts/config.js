@@ -1,8 +1,11 @@
+const { applyNetworkProfile } = require('./networks.js');
+
 const toWad = ethers.utils.parseEther;
 
 // 1.00**(1/(60*60*24*366)) * 1e18, 0 decimals
 
-module.exports = {
+// base config, the addresses, oracles and debt ceilings are overridden per chain by the profiles in scripts/networks.js
+module.exports = applyNetworkProfile({
   "Core": {
     "CDM": {
       "initialGlobalDebtCeiling": toWad('1000000'),
@@ -14,6 +17,19 @@ module.exports = {
       "initialDebtCeiling": toWad('100000'),
     },
     "PRBProxyRegistry": "0x584009E9eDe26e212182c9745F5c000191296a78",
+    "Roles": {
+      "roleAdmin": "deployer",
+      "cdmAdmin": "deployer",
+      "accountAdmin": "deployer",
+      "creditManager": "deployer",
+      "deployerAdmin": "deployer",
+      "pauseAdmin": "deployer",
+      "oracleManager": "deployer",
+      "vaultAdmin": "deployer",
+      "tickManager": "deployer",
+      "vaultUnwinder": "deployer",
+      "proxyAdminOwner": "deployer"
+    },
     "Actions": {
       "SwapAction": {
         "constructorArguments": {
@@ -21,6 +37,11 @@ module.exports = {
           "balancerVault": "0xBA12222222228d8Ba445958a75a0704d566BF2C8",
           "uniV3Router": "0xE592427A0AEce92De3Edee1F18E0157C05861564"
         }
+      },
+      "JoinAction": {
+        "constructorArguments": {
+          "balancerVault": "0xBA12222222228d8Ba445958a75a0704d566BF2C8"
+        }
       }
     }
   },
@@ -233,6 +254,8 @@ module.exports = {
       "description": "This vault allows for borrowing Stablecoin's against yvDAI. The yvDAI is deposited into a collateralized debt position (CDP) which tracks the USD value of the collateral and the value of the borrowed Stablecoin's. If the ratio between the collateral value and the borrowed Stablecoin's falls below the collateralization requirement the CDP can be liquidated by anyone by buying off the collateral in exchange for Stablecoin's which is used to repay the CDP's outstanding debt. During a liquidation only as much collateral is sold as required to met the collateralization requirements again.",
       "type": "CDPVault_TypeA",
       "collateralType": "ERC4626",
+      // Yearn v2 vault, deposits and withdraws through the yVault interface rather than ERC4626
+      "positionAction": "PositionActionYV",
       "oracle": {
         "type": "MockOracle",
         "defaultPrice": toWad('1.04')
@@ -280,4 +303,4 @@ module.exports = {
       }
     }
   } 
-};
+});
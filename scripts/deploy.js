@@ -3,54 +3,248 @@ const fs = require('fs');
 const path = require('path');
 
 const CONFIG = require('./config.js');
+const { assertNetworkChainId } = require('./networks.js');
+const { verifyDeployment, logVerificationSummary } = require('./verify-contracts.js');
+const { registerProxy } = require('./upgrade.js');
+const { createDeploymentRecord, storeDeploymentRecord, writeDeploymentFile } = require('./manifest.js');
+const { assertValidConfig, getPositionActionName, toStructArgs } = require('./validate-config.js');
+const { resolveRole, getHandoverRoles } = require('./roles.js');
+const { createSafeBatch, addSafeTransaction, writeSafeBatch } = require('./safe.js');
+const { toPermitParams, toCollateralParams, toCreditParams, getPositionAction } = require('./positions.js');
+const {
+  toWad,
+  fromWad,
+  toBytes32,
+  convertBigNumberToString,
+  getRoleHash,
+  getSignerAddress,
+  getDeploymentFilePath,
+  getMetadataFilePath,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  loadDeployedVaults,
+  attachContract
+} = require('./utils.js');
 
 ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
-const toWad = ethers.utils.parseEther;
-const fromWad = ethers.utils.formatEther;
-const toBytes32 = ethers.utils.formatBytes32String;
 
-function convertBigNumberToString(value) {
-  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
-  if (value instanceof Array) return value.map((v) => convertBigNumberToString(v));
-  if (value instanceof Object) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, convertBigNumberToString(v)]));
-  return value;
-}
-
-async function getSignerAddress() {
-  return (await (await ethers.getSigners())[0].getAddress());
+// safe mode: export the transactions as a Safe Transaction Builder batch which is executed by the Safe
+const SAFE_ADDRESS = process.env.DEPLOY_SAFE_ADDRESS;
+// plan mode: simulate the deployment and record every transaction instead of broadcasting it (implied by safe mode)
+const PLAN = process.env.DEPLOY_PLAN === 'true' || SAFE_ADDRESS != undefined;
+const plan = { transactions: [], deployment: {}, addresses: new Set(), nonces: {}, safeBatch: null };
+// verify the deployed contracts on the network's Etherscan compatible explorer (see scripts/verify-contracts.js)
+const VERIFY = process.env.DEPLOY_VERIFY === 'true';
+// contracts which failed to verify, listed at the end of the deployment
+const verification = { total: 0, failures: [] };
+
+// the account sending the transactions and replacing the "deployer" placeholders
+async function getSenderAddress() {
+  return (SAFE_ADDRESS) ? ethers.utils.getAddress(SAFE_ADDRESS) : await getSignerAddress();
 }
 
 async function verifyOnTenderly(name, address) {
-  if (hre.network.name != 'tenderly') return;
+  if (hre.network.name != 'tenderly' || PLAN) return;
   console.log('Verifying on Tenderly...');
+  verification.total++;
   try {
     await hre.tenderly.verify({ name, address });
     console.log('Verified on Tenderly');
   } catch (error) {
     console.log('Failed to verify on Tenderly');
+    verification.failures.push({ name, address, contract: name, error });
+  }
+}
+
+async function getPlanFilePath() {
+  return path.join(__dirname, '.', `plan-${hre.network.name}.json`);
+}
+
+async function getSafeBatchFilePath() {
+  return path.join(__dirname, '.', `safe-batch-${hre.network.name}.json`);
+}
+
+async function loadDeployment() {
+  const deployment = await loadDeploymentFile();
+  if (!PLAN) return deployment;
+  return {
+    core: { ...deployment.core, ...plan.deployment.core },
+    vaults: { ...deployment.vaults, ...plan.deployment.vaults }
+  };
+}
+
+function isPlanned(contract) {
+  return plan.addresses.has(contract.address);
+}
+
+async function nextNonce(address) {
+  if (plan.nonces[address] == undefined) plan.nonces[address] = await ethers.provider.getTransactionCount(address);
+  return plan.nonces[address]++;
+}
+
+async function predictAddress(deployer) {
+  const address = ethers.utils.getContractAddress({ from: deployer, nonce: await nextNonce(deployer) });
+  plan.addresses.add(address);
+  // contract nonces start at 1 (EIP-161)
+  plan.nonces[address] = 1;
+  return address;
+}
+
+async function estimateGas(tx, to) {
+  if (to && plan.addresses.has(to)) return { gasEstimate: null, gasError: 'target is not deployed yet' };
+  try {
+    return { gasEstimate: (await ethers.provider.estimateGas(tx)).toString() };
+  } catch (error) {
+    return { gasEstimate: null, gasError: error.reason || error.message };
+  }
+}
+
+function decodeArg(param, value) {
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((component, i) => [
+      component.name || `arg${i}`, decodeArg(component, Array.isArray(value) ? value[i] : value[component.name])
+    ]));
+  }
+  if (param.baseType === 'array') return value.map((v) => decodeArg(param.arrayChildren, v));
+  if (param.type === 'bytes32') {
+    try { return ethers.utils.parseBytes32String(value); } catch { return value; }
+  }
+  return convertBigNumberToString(value);
+}
+
+function decodeArgs(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map((input, i) => [input.name || `arg${i}`, decodeArg(input, args[i])]));
+}
+
+function logPlannedTransaction(tx) {
+  const target = (tx.address) ? `new ${tx.contract} at ${tx.address}` : `${tx.contract} (${tx.to})`;
+  const gas = (tx.gasEstimate) ? `gas ~${tx.gasEstimate}` : `gas n/a: ${tx.gasError}`;
+  console.log(`[plan #${tx.index}] ${tx.step}: ${target} ${tx.method} (${gas})`);
+  if (tx.description) console.log(`    ${tx.description}`);
+  for (const [name, value] of Object.entries(tx.args)) console.log(`    ${name}: ${JSON.stringify(value)}`);
+}
+
+async function recordTransaction(tx) {
+  tx = { index: plan.transactions.length, ...tx };
+  plan.transactions.push(tx);
+  logPlannedTransaction(tx);
+}
+
+// Deploys a contract or, in plan mode, records the deployment at its predicted address
+async function sendDeployment(step, name, Contract, args) {
+  if (!PLAN) {
+    const contract = await Contract.deploy(...args);
+    await contract.deployed();
+    return contract;
   }
+  if (SAFE_ADDRESS) throw new Error(`${name} has to be deployed before admin transactions can be exported for a Safe`);
+  const signer = await getSenderAddress();
+  const { data } = Contract.getDeployTransaction(...args);
+  const address = await predictAddress(signer);
+  await recordTransaction({
+    step,
+    contract: name,
+    from: signer,
+    address,
+    method: Contract.interface.deploy.format(),
+    args: decodeArgs(Contract.interface.deploy, args),
+    data,
+    ...(await estimateGas({ from: signer, data }))
+  });
+  return Contract.attach(address);
 }
 
-async function getDeploymentFilePath() {
-  return path.join(__dirname, '.', `deployment-${hre.network.name}.json`);
+// Calls a contract method and waits for the receipt or, in plan mode, records the call
+async function sendTransaction(step, name, contract, method, args, description) {
+  if (!PLAN) return await (await contract[method](...args)).wait();
+  const signer = await getSenderAddress();
+  const fragment = contract.interface.getFunction(method);
+  const data = contract.interface.encodeFunctionData(fragment, args);
+  await nextNonce(signer);
+  await recordTransaction({
+    step,
+    contract: name,
+    from: signer,
+    to: contract.address,
+    description,
+    method: fragment.format(),
+    args: decodeArgs(fragment, args),
+    data,
+    ...(await estimateGas({ from: signer, to: contract.address, data }, contract.address))
+  });
+  if (SAFE_ADDRESS) {
+    if (!plan.safeBatch) {
+      const { chainId } = await ethers.provider.getNetwork();
+      plan.safeBatch = createSafeBatch(chainId, signer, `deploy.js on ${hre.network.name}`);
+    }
+    addSafeTransaction(plan.safeBatch, contract, method, args);
+  }
+  return null;
+}
+
+async function storeSafeBatch() {
+  if (!plan.safeBatch) {
+    console.log('No transactions to export for the Safe');
+    return;
+  }
+  const safeBatchFilePath = await getSafeBatchFilePath();
+  writeSafeBatch(plan.safeBatch, safeBatchFilePath);
+  console.log(`Exported ${plan.safeBatch.transactions.length} transactions for the Safe to ${safeBatchFilePath}`);
+}
+
+async function storePlan() {
+  const planFilePath = await getPlanFilePath();
+  const transactions = plan.transactions;
+  const gasEstimate = transactions.reduce((sum, tx) => sum.add(tx.gasEstimate || 0), ethers.constants.Zero);
+  fs.writeFileSync(planFilePath, JSON.stringify({
+    network: hre.network.name,
+    chainId: (await ethers.provider.getNetwork()).chainId,
+    deployer: await getSenderAddress(),
+    gasEstimate: gasEstimate.toString(),
+    transactions
+  }, null, 2));
+  console.log('------------------------------------');
+  console.log(`Planned ${transactions.length} transactions (~${gasEstimate.toString()} gas, ` +
+    `${transactions.filter((tx) => !tx.gasEstimate).length} without estimate), nothing was broadcast`);
+  console.log(`Plan written to ${planFilePath}`);
 }
 
-async function storeContractDeployment(isVault, name, address, artifactName, constructorArguments) {
-  const deploymentFilePath = await getDeploymentFilePath();
-  const deploymentFile = fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
-  if (constructorArguments) constructorArguments = convertBigNumberToString(constructorArguments);
-  if (isVault) {
-    if (deploymentFile.vaults == undefined) deploymentFile.vaults = {};
-    deploymentFile.vaults[name] = { address, artifactName, constructorArguments: constructorArguments || []};
-  } else {
-    if (deploymentFile.core == undefined) deploymentFile.core = {};
-    deploymentFile.core[name] = { address, artifactName, constructorArguments: constructorArguments || []};
+async function getDeployedContract(isVault, name) {
+  const deployment = await loadDeployment();
+  const entry = (isVault) ? deployment.vaults?.[name] : deployment.core?.[name];
+  if (entry == undefined) return null;
+  if (PLAN && plan.addresses.has(entry.address)) {
+    return (await ethers.getContractFactory(entry.artifactName)).attach(entry.address);
   }
-  fs.writeFileSync(deploymentFilePath, JSON.stringify(deploymentFile, null, 2));
+  // the deployment file is only a checkpoint, the chain is the source of truth
+  if ((await ethers.provider.getCode(entry.address)) == '0x') {
+    throw new Error(
+      `${name} is recorded at ${entry.address} but has no bytecode on ${hre.network.name}, ` +
+      `remove it from ${await getDeploymentFilePath()} to redeploy it`
+    );
+  }
+  console.log(`${name} already deployed at: ${entry.address}`);
+  return (await ethers.getContractFactory(entry.artifactName)).attach(entry.address);
+}
+
+// Records a contract in the deployment manifest (see scripts/manifest.js) or, in plan mode, in the planned deployment
+async function storeContractDeployment(isVault, name, address, artifactName, constructorArguments, transactionHash) {
+  const entry = { address, artifactName, constructorArguments: convertBigNumberToString(constructorArguments || []) };
+  if (PLAN) {
+    const key = (isVault) ? 'vaults' : 'core';
+    if (plan.deployment[key] == undefined) plan.deployment[key] = {};
+    plan.deployment[key][name] = entry;
+    return;
+  }
+  const deploymentFile = await loadDeploymentFile();
+  const record = await createDeploymentRecord(deploymentFile, isVault, name, { ...entry, transactionHash });
+  storeDeploymentRecord(deploymentFile, isVault, name, record);
+  await writeDeploymentFile(deploymentFile);
 }
 
 async function storeEnvMetadata(metadata) {
-  const metadataFilePath = path.join(__dirname, '.', `metadata-${hre.network.name}.json`);
+  if (PLAN) return;
+  const metadataFilePath = await getMetadataFilePath();
   const metadataFile = fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
   if (metadataFile.environment == undefined) metadataFile.environment = {};
   metadata = convertBigNumberToString(metadata);
@@ -59,7 +253,8 @@ async function storeEnvMetadata(metadata) {
 }
 
 async function storeVaultMetadata(address, metadata) {
-  const metadataFilePath = path.join(__dirname, '.', `metadata-${hre.network.name}.json`);
+  if (PLAN) return;
+  const metadataFilePath = await getMetadataFilePath();
   const metadataFile = fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
   if (metadataFile.vaults == undefined) metadataFile.vaults = {};
   metadata = convertBigNumberToString(metadata);
@@ -67,86 +262,160 @@ async function storeVaultMetadata(address, metadata) {
   fs.writeFileSync(metadataFilePath, JSON.stringify(metadataFile, null, 2));
 }
 
-async function loadDeployedContracts() {
-  const deploymentFilePath = await getDeploymentFilePath();
-  const deployment = fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
-  const contracts = {};
-  for (let [name, { address, artifactName }] of Object.entries({ ...deployment.core, ...deployment.vaults })) {
-    contracts[name] = (await ethers.getContractFactory(artifactName)).attach(address);
-  }
-  return contracts;
-}
-
-async function loadDeployedVaults() {
-  const deploymentFilePath = await getDeploymentFilePath();
-  const deployment = fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
-  const contracts = {};
-  for (let [name, { address, artifactName }] of Object.entries({ ...deployment.vaults })) {
-    contracts[name] = (await ethers.getContractFactory(artifactName)).attach(address);
-  }
-  return contracts;
-}
-
-async function attachContract(name, address) {
-  return await ethers.getContractAt(name, address);
-}
-
 async function deployContract(name, ...args) {
+  const deployed = await getDeployedContract(false, name);
+  if (deployed) return deployed;
   const Contract = await ethers.getContractFactory(name);
-  const contract = await Contract.deploy(...args);
-  await contract.deployed();
+  const contract = await sendDeployment('deployContract', name, Contract, args);
   console.log(`${name} deployed to: ${contract.address}`);
   await verifyOnTenderly(name, contract.address);
-  await storeContractDeployment(false, name, contract.address, name, args);
+  await storeContractDeployment(false, name, contract.address, name, args, contract.deployTransaction?.hash);
   return contract;
 }
 
 async function deployVault(vaultName, artifactName, vaultFactory, ...args) {
-  const tx = await vaultFactory.create(...args);
-  const receipt = await tx.wait();
-  let vaultAddress = receipt.events?.find(e => e.event === 'CreateVault')?.args[0];
+  const deployed = await getDeployedContract(true, vaultName);
+  if (deployed) return deployed;
+  const receipt = await sendTransaction('deployVault', `${artifactName}_Factory`, vaultFactory, 'create', args);
+  // vaults are created by the factory's deployer contract
+  const vaultAddress = (PLAN)
+    ? await predictAddress((await loadDeployment()).core[`${artifactName}_Deployer`].address)
+    : receipt.events?.find(e => e.event === 'CreateVault')?.args[0];
   if (!vaultAddress) throw new Error('Failed to create vault');
   console.log(`${vaultName} deployed to: ${vaultAddress}`);
   await verifyOnTenderly(artifactName, vaultAddress);
-  await storeContractDeployment(true, vaultName, vaultAddress, artifactName, args);
-  return await attachContract('CDPVault_TypeA', vaultAddress);
+  await storeContractDeployment(true, vaultName, vaultAddress, artifactName, args, receipt?.transactionHash);
+  return await attachContract(artifactName, vaultAddress);
 }
 
 async function deployProxy(name, implementationArgs, proxyArgs) {
-  const ProxyAdmin = await ethers.getContractFactory('ProxyAdmin');
-  const proxyAdmin = await ProxyAdmin.deploy();
-  await proxyAdmin.deployed();
-  console.log(`${name}'s ProxyAdmin deployed to: ${proxyAdmin.address}`);
-  await verifyOnTenderly('ProxyAdmin', proxyAdmin.address);
-  await storeContractDeployment(false, `${name}ProxyAdmin`, proxyAdmin.address, 'ProxyAdmin');
+  const deployedProxy = await getDeployedContract(false, name);
+  if (deployedProxy) return deployedProxy;
+  let proxyAdmin = await getDeployedContract(false, `${name}ProxyAdmin`);
+  if (!proxyAdmin) {
+    proxyAdmin = await sendDeployment('deployProxy', 'ProxyAdmin', await ethers.getContractFactory('ProxyAdmin'), []);
+    console.log(`${name}'s ProxyAdmin deployed to: ${proxyAdmin.address}`);
+    await verifyOnTenderly('ProxyAdmin', proxyAdmin.address);
+    await storeContractDeployment(
+      false, `${name}ProxyAdmin`, proxyAdmin.address, 'ProxyAdmin', [], proxyAdmin.deployTransaction?.hash
+    );
+  }
   const Implementation = await ethers.getContractFactory(name);
-  const implementation = await Implementation.deploy(...implementationArgs);
-  await implementation.deployed();
-  console.log(`${name}'s implementation deployed to: ${implementation.address}`);
-  await verifyOnTenderly(name, implementation.address);
-  await storeContractDeployment(false, `${name}Implementation`, implementation.address, name);
+  let implementation = await getDeployedContract(false, `${name}Implementation`);
+  if (!implementation) {
+    implementation = await sendDeployment('deployProxy', name, Implementation, implementationArgs);
+    console.log(`${name}'s implementation deployed to: ${implementation.address}`);
+    await verifyOnTenderly(name, implementation.address);
+    await storeContractDeployment(
+      false, `${name}Implementation`, implementation.address, name, implementationArgs, implementation.deployTransaction?.hash
+    );
+  }
   const Proxy = await ethers.getContractFactory('TransparentUpgradeableProxy');
   // const initializeEncoded = Implementation.interface.getSighash(Implementation.interface.getFunction('initialize'));
   const initializeEncoded = Implementation.interface.encodeFunctionData('initialize', proxyArgs);
-  const proxy = await Proxy.deploy(implementation.address, proxyAdmin.address, initializeEncoded);
-  await proxy.deployed();
+  const proxy = await sendDeployment(
+    'deployProxy', 'TransparentUpgradeableProxy', Proxy, [implementation.address, proxyAdmin.address, initializeEncoded]
+  );
   console.log(`${name}'s proxy deployed to: ${proxy.address}`);
   await verifyOnTenderly('TransparentUpgradeableProxy', proxy.address);
   await storeContractDeployment(
-    false, name, proxy.address, name, [implementation.address, proxyAdmin.address, initializeEncoded]
+    false, name, proxy.address, name, [implementation.address, proxyAdmin.address, initializeEncoded],
+    proxy.deployTransaction?.hash
   );
+  // storage layout of the implementation which upgrades are checked against (see scripts/upgrade.js)
+  if (!PLAN) await registerProxy(proxy.address, Implementation, 'transparent', implementationArgs);
   return (await ethers.getContractFactory(name)).attach(proxy.address);
 }
 
+// Deploys a UUPS upgradeable contract behind an ERC1967Proxy, upgrades are authorized by the implementation itself
+async function deployUUPSProxy(name, artifactName, implementationArgs, proxyArgs) {
+  const deployedProxy = await getDeployedContract(false, name);
+  if (deployedProxy) return deployedProxy;
+  const Implementation = await ethers.getContractFactory(artifactName);
+  let implementation = await getDeployedContract(false, `${name}Implementation`);
+  if (!implementation) {
+    implementation = await sendDeployment('deployProxy', artifactName, Implementation, implementationArgs);
+    console.log(`${name}'s implementation deployed to: ${implementation.address}`);
+    await verifyOnTenderly(artifactName, implementation.address);
+    await storeContractDeployment(
+      false, `${name}Implementation`, implementation.address, artifactName, implementationArgs,
+      implementation.deployTransaction?.hash
+    );
+  }
+  const Proxy = await ethers.getContractFactory('ERC1967Proxy');
+  const initializeEncoded = Implementation.interface.encodeFunctionData('initialize', proxyArgs);
+  const proxy = await sendDeployment('deployProxy', 'ERC1967Proxy', Proxy, [implementation.address, initializeEncoded]);
+  console.log(`${name}'s proxy deployed to: ${proxy.address}`);
+  await verifyOnTenderly('ERC1967Proxy', proxy.address);
+  await storeContractDeployment(
+    false, name, proxy.address, artifactName, [implementation.address, initializeEncoded], proxy.deployTransaction?.hash
+  );
+  if (!PLAN) await registerProxy(proxy.address, Implementation, 'uups', implementationArgs);
+  return Implementation.attach(proxy.address);
+}
+
+async function grantRole(contract, contractName, role, account, accountName) {
+  const roleHash = getRoleHash(role);
+  if (!isPlanned(contract) && await contract.hasRole(roleHash, account)) {
+    console.log(`${role} already granted to ${accountName}`);
+    return;
+  }
+  await sendTransaction(
+    'grantRole', contractName, contract, 'grantRole', [roleHash, account], `grant ${role} to ${accountName}`
+  );
+  console.log(`Granted ${role} to ${accountName}`);
+}
+
+async function checkOracle(name, oracle, token, config) {
+  if (isPlanned(oracle)) {
+    console.log(`Skipped checking ${name} since it is not deployed yet`);
+    return;
+  }
+  if (!(await oracle.getStatus(token))) throw new Error(`${name} reports an invalid status for ${token}`);
+  const spot = await oracle.spot(token);
+  if (spot.isZero() || (config.minSpot && spot.lt(config.minSpot)) || (config.maxSpot && spot.gt(config.maxSpot))) {
+    throw new Error(
+      `${name} returned a spot price of ${fromWad(spot)} USD for ${token}, ` +
+      `expected a price between ${fromWad(config.minSpot || 0)} and ${config.maxSpot ? fromWad(config.maxSpot) : 'inf'} USD`
+    );
+  }
+  console.log(`${name} is valid and returned a spot price of ${fromWad(spot)} USD`);
+}
+
+async function deployOracle(vaultKey, token, config) {
+  const signer = await getSenderAddress();
+
+  if (config.type === 'MockOracle') {
+    const { MockOracle: oracle } = await loadDeployedContracts(await loadDeployment());
+    if (isPlanned(oracle) || !(await oracle.spot(token)).eq(config.defaultPrice)) {
+      await sendTransaction('updateSpot', 'MockOracle', oracle, 'updateSpot', [token, config.defaultPrice]);
+    }
+    console.log('Updated default price for', vaultKey, 'to', fromWad(config.defaultPrice), 'USD');
+    return oracle;
+  }
+
+  const implementationArgs = {
+    ChainlinkOracle: () => [config.aggregator, config.stalePeriod],
+    Chainlink3PoolOracle: () => [...config.aggregators, config.curvePool, config.stalePeriod],
+    YearnOracle: () => [config.yearnLensOracle, config.yearnVault]
+  }[config.type];
+  if (!implementationArgs) throw new Error(`Unsupported oracle type ${config.type} for ${vaultKey}`);
+
+  const name = `${config.type}_${vaultKey}`;
+  const oracle = await deployUUPSProxy(name, config.type, implementationArgs(), [signer, signer]);
+  await checkOracle(name, oracle, token, config);
+  return oracle;
+}
+
 async function deployPRBProxy(prbProxyRegistry) {
   const signer = await getSignerAddress();
   let proxy = (await ethers.getContractFactory('PRBProxy')).attach(await prbProxyRegistry.getProxy(signer));
   if (proxy.address == ethers.constants.AddressZero) {
-    await prbProxyRegistry.deploy();
+    const receipt = await (await prbProxyRegistry.deploy()).wait();
     proxy = (await ethers.getContractFactory('PRBProxy')).attach(await prbProxyRegistry.getProxy(signer));
     console.log(`PRBProxy deployed to: ${proxy.address}`);
     await verifyOnTenderly('PRBProxy', proxy.address);
-    await storeContractDeployment(false, 'PRBProxy', proxy.address, 'PRBProxy');
+    await storeContractDeployment(false, 'PRBProxy', proxy.address, 'PRBProxy', [], receipt.transactionHash);
   }
   return proxy;
 }
@@ -158,14 +427,18 @@ async function deployCore() {
 //////////////////////////////////////////////////////////////*/
   `);
 
-  const signer = await getSignerAddress();
+  const signer = await getSenderAddress();
 
-  if (hre.network.name == 'tenderly') {
+  if (hre.network.name == 'tenderly' && !PLAN) {
     await ethers.provider.send('tenderly_setBalance', [[signer], ethers.utils.hexValue(toWad('100').toHexString())]);
   }
 
   const cdm = await deployContract('CDM', signer, signer, signer);
-  await cdm["setParameter(bytes32,uint256)"](toBytes32("globalDebtCeiling"), CONFIG.Core.CDM.initialGlobalDebtCeiling);
+  if (isPlanned(cdm) || !(await cdm.globalDebtCeiling()).eq(CONFIG.Core.CDM.initialGlobalDebtCeiling)) {
+    await sendTransaction('setParameter', 'CDM', cdm, 'setParameter(bytes32,uint256)', [
+      toBytes32("globalDebtCeiling"), CONFIG.Core.CDM.initialGlobalDebtCeiling
+    ]);
+  }
 
   const stablecoin = await deployContract('Stablecoin');
   const minter = await deployContract('Minter', cdm.address, stablecoin.address, signer, signer);
@@ -180,29 +453,57 @@ async function deployCore() {
   const swapAction = await deployContract(
    'SwapAction', ...Object.values(CONFIG.Core.Actions.SwapAction.constructorArguments)
   );
+  const joinAction = await deployContract(
+    'JoinAction', ...Object.values(CONFIG.Core.Actions.JoinAction.constructorArguments)
+  );
   await deployContract('ERC165Plugin');
-  await deployContract('PositionAction20', flashlender.address, swapAction.address);
-  await deployContract('PositionActionYV', flashlender.address, swapAction.address);
+  // PositionAction4626 and PositionActionChai are only deployed if a vault uses them
+  const positionActions = new Set([
+    'PositionAction20', 'PositionActionYV', ...Object.values(CONFIG.Vaults).map(getPositionActionName)
+  ]);
+  for (const name of positionActions) {
+    await deployContract(name, flashlender.address, swapAction.address, joinAction.address);
+  }
 
   const cdpVaultTypeADeployer = await deployContract('CDPVault_TypeA_Deployer');
   const cdpVaultTypeAFactory = await deployContract(
     'CDPVault_TypeA_Factory',
     cdpVaultTypeADeployer.address,
-    cdpVaultUnwinderFactory.address,
     signer, // roleAdmin
     signer, // deployerAdmin
-    signer // deployer
+    signer // pauseAdmin
   );
 
-  console.log('------------------------------------');
+  // the TypeB factory is only needed if there are TypeB vaults to deploy
+  let cdpVaultTypeBFactory = null;
+  if (Object.values(CONFIG.Vaults).some((vault) => vault.type === 'CDPVault_TypeB')) {
+    const cdpVaultTypeBDeployer = await deployContract('CDPVault_TypeB_Deployer');
+    cdpVaultTypeBFactory = await deployContract(
+      'CDPVault_TypeB_Factory',
+      cdpVaultTypeBDeployer.address,
+      signer, // roleAdmin
+      signer, // deployerAdmin
+      signer, // pauseAdmin
+      cdpVaultUnwinderFactory.address
+    );
+  }
 
-  await stablecoin.grantRole(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("MINTER_AND_BURNER_ROLE")), minter.address);
-  console.log('Granted MINTER_AND_BURNER_ROLE to Minter');
+  console.log('------------------------------------');
 
-  await cdm.grantRole(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("ACCOUNT_CONFIG_ROLE")), cdpVaultTypeAFactory.address);
-  console.log('Granted ACCOUNT_CONFIG_ROLE to CDPVault_TypeA_Factory');
+  await grantRole(stablecoin, 'Stablecoin', 'MINTER_AND_BURNER_ROLE', minter.address, 'Minter');
+  await grantRole(cdm, 'CDM', 'ACCOUNT_CONFIG_ROLE', cdpVaultTypeAFactory.address, 'CDPVault_TypeA_Factory');
+  if (cdpVaultTypeBFactory) {
+    await grantRole(cdm, 'CDM', 'ACCOUNT_CONFIG_ROLE', cdpVaultTypeBFactory.address, 'CDPVault_TypeB_Factory');
+  }
 
-  await cdm["setParameter(address,bytes32,uint256)"](flashlender.address, toBytes32("debtCeiling"), CONFIG.Core.Flashlender.initialDebtCeiling);
+  if (
+    isPlanned(cdm) ||
+    !(await cdm.accounts(flashlender.address)).debtCeiling.eq(CONFIG.Core.Flashlender.initialDebtCeiling)
+  ) {
+    await sendTransaction('setParameter', 'CDM', cdm, 'setParameter(address,bytes32,uint256)', [
+      flashlender.address, toBytes32("debtCeiling"), CONFIG.Core.Flashlender.initialDebtCeiling
+    ]);
+  }
   console.log('Set debtCeiling to', fromWad(CONFIG.Core.Flashlender.initialDebtCeiling), 'Credit for Flashlender');
 
   console.log('------------------------------------');
@@ -215,33 +516,36 @@ async function deployVaults() {
 //////////////////////////////////////////////////////////////*/
   `);
 
-  const signer = await getSignerAddress();
-  const {
-    CDM: cdm,
-    MockOracle: oracle,
-    Buffer: buffer,
-    CDPVaultUnwinderFactory: cdpVaultUnwinderFactory,
-    CDPVault_TypeA_Factory: vaultFactory
-  } = await loadDeployedContracts();
+  const signer = await getSenderAddress();
+  const contracts = await loadDeployedContracts(await loadDeployment());
+  const { CDM: cdm, Buffer: buffer, CDPVaultUnwinderFactory: cdpVaultUnwinderFactory } = contracts;
 
   for (const [key, config] of Object.entries(CONFIG.Vaults)) {
-    const vaultName = `CDPVault_TypeA_${key}`;
+    const vaultName = `${config.type}_${key}`;
     const token = await attachContract('ERC20PresetMinterPauser', config.token);
     const tokenScale = new ethers.BigNumber.from(10).pow(await token.decimals());
-    const cdpVault_TypeA = await deployVault(
+    const oracle = await deployOracle(key, config.token, config.oracle);
+    const typeConfig = (config.type === 'CDPVault_TypeB')
+      ? toStructArgs(
+        'CDPVault_TypeBConfig',
+        { ...config.deploymentArguments.paramsTypeB, vaultUnwinder: config.deploymentArguments.configs.vaultUnwinder },
+        signer
+      )
+      : toStructArgs('CDPVault_TypeAConfig', config.deploymentArguments.paramsTypeA);
+    const vault = await deployVault(
       vaultName,
-      'CDPVault_TypeA',
-      vaultFactory,
+      config.type,
+      contracts[`${config.type}_Factory`],
       [
         cdm.address,
         oracle.address,
         buffer.address,
         config.token,
         tokenScale,
-        ...Object.values(config.deploymentArguments.params)
+        ...toStructArgs('CDPVaultConstants', config.deploymentArguments.params)
       ],
-      [...Object.values(config.deploymentArguments.paramsTypeA)],
-      [...Object.values(config.deploymentArguments.configs).map((v) => v === "deployer" ? signer : v)],
+      typeConfig,
+      toStructArgs('CDPVaultConfig', config.deploymentArguments.configs, signer),
       config.deploymentArguments.debtCeiling
     );
     
@@ -249,12 +553,18 @@ async function deployVaults() {
 
     console.log('Initialized', vaultName, 'with a debt ceiling of', fromWad(config.deploymentArguments.debtCeiling), 'Credit');
 
-    await oracle.updateSpot(config.token, config.oracle.defaultPrice);
-    console.log('Updated default price for', key, 'to', fromWad(config.oracle.defaultPrice), 'USD');
-
     const limitPriceTicks = config.exchange.limitPriceTicks.sort((a, b) => a.gt(b) ? 1 : -1);
-    for (const tick of limitPriceTicks) {
-      await cdpVault_TypeA.addLimitPriceTick(tick, 0);
+    for (const [i, tick] of limitPriceTicks.entries()) {
+      if (!isPlanned(vault) && await vault.activeLimitPriceTicks(tick)) {
+        console.log('Limit price tick of', fromWad(tick), 'already added');
+        continue;
+      }
+      // insert before the next higher tick that is already active (if a previous run added it)
+      let nextTick = ethers.constants.Zero;
+      for (const higherTick of (isPlanned(vault)) ? [] : limitPriceTicks.slice(i + 1)) {
+        if (await vault.activeLimitPriceTicks(higherTick)) { nextTick = higherTick; break; }
+      }
+      await sendTransaction('addLimitPriceTick', vaultName, vault, 'addLimitPriceTick', [tick, nextTick]);
       console.log('Added limit price tick of', fromWad(tick));
     }
 
@@ -262,16 +572,18 @@ async function deployVaults() {
       ? await attachContract('ERC20PresetMinterPauser', config.underlier) : null;
 
     await storeVaultMetadata(
-        cdpVault_TypeA.address,
+        vault.address,
       {
         contractName: vaultName,
         name: config.name,
         description: config.description,
-        artifactName: 'CDPVault_TypeA',
+        artifactName: config.type,
         cdpVaultUnwinderFactory: cdpVaultUnwinderFactory.address,
         collateralType: config.collateralType,
+        positionAction: getPositionActionName(config),
         cdm: cdm.address,
         oracle: oracle.address,
+        oracleType: config.oracle.type,
         buffer: buffer.address,
         token: config.token,
         tokenScale: tokenScale,
@@ -304,9 +616,99 @@ async function deployVaults() {
   }
 }
 
+async function getRoleMatrix(contracts, roles, proxyAdmins, signer) {
+  const matrix = [];
+  for (const { name, role, target } of roles) {
+    const contract = contracts[name];
+    for (const account of new Set([signer, target || signer])) {
+      const holds = (isPlanned(contract)) ? null : await contract.hasRole(getRoleHash(role), account);
+      matrix.push({ name, role, account, holds });
+    }
+  }
+  for (const name of proxyAdmins) {
+    const proxyAdmin = contracts[name];
+    const owner = (isPlanned(proxyAdmin)) ? null : await proxyAdmin.owner();
+    matrix.push({ name, role: 'owner', account: owner || signer, holds: (owner) ? true : null });
+  }
+  return matrix;
+}
+
+function logRoleMatrix(before, after, signer) {
+  const format = (holds) => (holds == null) ? '?' : (holds) ? 'yes' : 'no';
+  console.log(`${'Contract'.padEnd(32)}${'Role'.padEnd(24)}${'Account'.padEnd(44)}Before  After`);
+  for (const [i, { name, role, account, holds }] of before.entries()) {
+    const label = (account === signer) ? 'deployer' : account;
+    const afterRow = (role === 'owner') ? after.find((row) => row.name === name) : after[i];
+    const afterHolds = (role === 'owner') ? afterRow.account === account : afterRow.holds;
+    console.log(`${name.padEnd(32)}${role.padEnd(24)}${label.padEnd(44)}${format(holds).padEnd(8)}${format(afterHolds)}`);
+    if (role === 'owner' && afterRow.account !== account) {
+      console.log(`${name.padEnd(32)}${role.padEnd(24)}${afterRow.account.padEnd(44)}${'no'.padEnd(8)}yes`);
+    }
+  }
+}
+
+async function handoverRoles() {
+  console.log(`
+/*//////////////////////////////////////////////////////////////
+                        HANDING OVER ROLES
+//////////////////////////////////////////////////////////////*/
+  `);
+
+  const signer = await getSenderAddress();
+  const deployment = await loadDeployment();
+  const contracts = await loadDeployedContracts(deployment);
+  const roleAdmin = resolveRole(CONFIG.Core.Roles?.roleAdmin || 'deployer', signer);
+  const proxyAdminOwner = resolveRole(CONFIG.Core.Roles?.proxyAdminOwner || 'deployer', signer);
+
+  const roles = getHandoverRoles(deployment, CONFIG)
+    .map((entry) => ({ ...entry, target: (entry.target) ? resolveRole(entry.target, signer) : null }))
+    // roles without a target are only renounced if the deployment is locked down
+    .filter(({ target }) => (target) ? target !== signer : roleAdmin !== signer);
+  const proxyAdmins = (proxyAdminOwner === signer) ? [] : Object.entries(deployment.core || {})
+    .filter(([, { artifactName }]) => artifactName === 'ProxyAdmin')
+    .map(([name]) => name);
+
+  if (roles.length == 0 && proxyAdmins.length == 0) {
+    console.log('All roles are configured to stay with the deployer');
+    return;
+  }
+
+  const before = await getRoleMatrix(contracts, roles, proxyAdmins, signer);
+
+  for (const { name, role, target } of roles) {
+    if (target) await grantRole(contracts[name], name, role, target, target);
+  }
+
+  for (const name of proxyAdmins) {
+    const proxyAdmin = contracts[name];
+    if (!isPlanned(proxyAdmin) && (await proxyAdmin.owner()) !== signer) {
+      console.log(`${name} is already owned by ${await proxyAdmin.owner()}`);
+      continue;
+    }
+    await sendTransaction(
+      'transferOwnership', name, proxyAdmin, 'transferOwnership', [proxyAdminOwner], `transfer ownership to ${proxyAdminOwner}`
+    );
+    console.log(`Transferred ownership of ${name} to ${proxyAdminOwner}`);
+  }
+
+  // renounce after all grants since the DEFAULT_ADMIN_ROLE is required to grant the other roles
+  for (const { name, role } of roles) {
+    const contract = contracts[name];
+    if (!isPlanned(contract) && !(await contract.hasRole(getRoleHash(role), signer))) continue;
+    await sendTransaction(
+      'renounceRole', name, contract, 'renounceRole', [getRoleHash(role), signer], `renounce ${role} of the deployer`
+    );
+    console.log(`Renounced ${role} on ${name}`);
+  }
+
+  if (PLAN) return;
+  console.log('------------------------------------');
+  logRoleMatrix(before, await getRoleMatrix(contracts, roles, proxyAdmins, signer), signer);
+}
+
 async function logVaults() {
-  const { CDM: cdm } = await loadDeployedContracts()
-  for (const [name, vault] of Object.entries(await loadDeployedVaults())) {
+  const { CDM: cdm } = await loadDeployedContracts(await loadDeployment())
+  for (const [name, vault] of Object.entries(await loadDeployedVaults(await loadDeployment()))) {
     console.log(`${name}: ${vault.address}`);
     console.log('  debtCeiling:', fromWad(await cdm.creditLine(vault.address)));
     const vaultConfig = await vault.vaultConfig();
@@ -322,7 +724,7 @@ async function logVaults() {
 }
 
 async function createPositions() {
-  const { CDM: cdm, PositionAction20: positionAction } = await loadDeployedContracts();
+  const contracts = await loadDeployedContracts(await loadDeployment());
   const prbProxyRegistry = await attachContract('PRBProxyRegistry', CONFIG.Core.PRBProxyRegistry);
 
   const signer = await getSignerAddress();
@@ -338,7 +740,7 @@ async function createPositions() {
   }
   console.log('Sent 10 ETH to', signer);
 
-  for (const [name, vault] of Object.entries(await loadDeployedVaults())) {
+  for (const [name, vault] of Object.entries(await loadDeployedVaults(await loadDeployment()))) {
     let token = await attachContract('ERC20PresetMinterPauser', await vault.token());
     const config = Object.values(CONFIG.Vaults).find((v) => v.token.toLowerCase() == token.address.toLowerCase());
     console.log(`${name}: ${vault.address}`);
@@ -357,29 +759,43 @@ async function createPositions() {
     }
     console.log('Sent', fromWad(amountInWad), await token.symbol(), 'signer');
 
+    // see scripts/position-action.js for the other position actions
+    const positionAction = getPositionAction(contracts, config);
     await proxy.execute(
       positionAction.address,
-      positionAction.interface.encodeFunctionData(
-        'depositAndBorrow',
-        [
-          proxy.address,
-          vault.address,
-          [token.address, amount, signer, [0, 0, ethers.constants.AddressZero, 0, 0, ethers.constants.AddressZero, 0, ethers.constants.HashZero]],
-          [config.deploymentArguments.configs.debtFloor, signer, [0, 0, ethers.constants.AddressZero, 0, 0, ethers.constants.AddressZero, 0, ethers.constants.HashZero]],
-          [0, 0, 0, 0, 0, ethers.constants.HashZero, ethers.constants.HashZero]
-      ]
-      ),
-      { gasLimit: 2000000 }
+      positionAction.interface.encodeFunctionData('depositAndBorrow', [
+        proxy.address,
+        vault.address,
+        toCollateralParams({ targetToken: token.address, amount, collateralizer: signer }),
+        toCreditParams({ amount: config.deploymentArguments.configs.debtFloor, creditor: signer }),
+        toPermitParams()
+      ])
     );
-    
+
     const position = await vault.positions(proxy.address);
     console.log('Borrowed', fromWad(position.normalDebt), 'Credit against', fromWad(position.collateral), await token.symbol());
   }
 }
 
 ((async () => {
+  assertValidConfig(CONFIG);
+  await assertNetworkChainId();
+  if (SAFE_ADDRESS) console.log(`Safe mode: transactions are exported for the Safe at ${SAFE_ADDRESS}`);
+  else if (PLAN) console.log('Plan mode: nothing is broadcast, addresses are predicted from the deployer nonces');
   await deployCore();
   await deployVaults();
+  await handoverRoles();
+  if (PLAN) await storePlan();
+  if (SAFE_ADDRESS) await storeSafeBatch();
+  if (VERIFY && !PLAN) {
+    const deployment = await loadDeploymentFile();
+    verification.total += Object.keys(deployment.core || {}).length + Object.keys(deployment.vaults || {}).length;
+    verification.failures.push(...await verifyDeployment(deployment));
+  }
+  if (verification.total > 0) {
+    logVerificationSummary(verification.failures, verification.total);
+    if (verification.failures.length > 0) process.exitCode = 1;
+  }
   // await logVaults();
   // await createPositions();
 })()).catch((error) => {
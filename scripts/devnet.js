@@ -0,0 +1,240 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const { assertNetworkChainId } = require('./networks.js');
+const { createDeploymentRecord, storeDeploymentRecord, writeDeploymentFile } = require('./manifest.js');
+const {
+  toPermitParams,
+  toCollateralParams,
+  toCreditParams,
+  getOrDeployProxy,
+  getPositionAction
+} = require('./positions.js');
+const {
+  toWad,
+  fromWad,
+  convertBigNumberToString,
+  getMetadataFilePath,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  loadDeployedVault,
+  attachContract
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const WAD = ethers.constants.WeiPerEther;
+const COMMANDS = ['mocks', 'fund', 'positions'];
+// decimals of the mock tokens by symbol (18 if not listed)
+const TOKEN_DECIMALS = { USDC: 6 };
+// stand in for the 1inch router, the Balancer vault and the Uniswap V3 router of SwapAction and JoinAction
+const SWAP_ROUTERS = ['MockSwapRouter_OneInch', 'MockSwapRouter_Balancer', 'MockSwapRouter_UniV3'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=devnet node scripts/devnet.js <command> [options]
+
+Bootstraps a devnet, a plain hardhat or anvil chain without a mainnet fork (see the devnet profile in
+scripts/networks.js). Run \`mocks\`, then scripts/deploy.js, then \`positions\` (or \`make deploy-devnet\`).
+
+Commands:
+  mocks      deploy the mock tokens (MockERC20, MockERC4626), a PRBProxyRegistry and the MockSwapRouters and record
+             them in scripts/deployment-<network>.json, where the devnet profile picks them up
+  fund       mint every mock token (worth --value credit at the vault's default price) to the test accounts or --to
+  positions  fund the test accounts, open a position on every vault for each of them via depositAndBorrow through
+             their PRBProxy and record the devnet (accounts, tokens) in scripts/metadata-<network>.json
+
+Options:
+  --accounts <n>     number of test accounts (the node's unlocked accounts) to fund and open positions for (default: 3)
+  --to <address>     fund this address instead of the test accounts and send it 10 ETH (fund)
+  --value <credit>   value of every mock token to mint [wad] (fund, positions, default: 100000)
+  --help             show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      accounts: { type: 'string', default: '3' },
+      to: { type: 'string' },
+      value: { type: 'string', default: '100000' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+async function storeMockDeployment(name, address, artifactName, constructorArguments, transactionHash) {
+  const deploymentFile = await loadDeploymentFile();
+  const record = await createDeploymentRecord(deploymentFile, false, name, {
+    address, artifactName, constructorArguments: convertBigNumberToString(constructorArguments), transactionHash
+  });
+  storeDeploymentRecord(deploymentFile, false, name, record);
+  await writeDeploymentFile(deploymentFile);
+}
+
+async function deployMock(name, artifactName, args) {
+  const entry = (await loadDeploymentFile()).core?.[name];
+  if (entry && (await ethers.provider.getCode(entry.address)) != '0x') {
+    console.log(`${name} already deployed at: ${entry.address}`);
+    return await attachContract(artifactName, entry.address);
+  }
+  const contract = await (await ethers.getContractFactory(artifactName)).deploy(...args);
+  await contract.deployed();
+  console.log(`${name} deployed to: ${contract.address}`);
+  await storeMockDeployment(name, contract.address, artifactName, args, contract.deployTransaction.hash);
+  return contract;
+}
+
+async function deployMocks() {
+  // ERC4626 mocks come after the mock of their asset
+  const mocks = {};
+  for (const { name, tokenName, symbol, asset } of CONFIG.Devnet.tokens) {
+    mocks[name] = (asset)
+      ? await deployMock(name, 'MockERC4626', [mocks[asset].address, tokenName, symbol])
+      : await deployMock(name, 'MockERC20', [tokenName, symbol, TOKEN_DECIMALS[symbol] ?? 18]);
+  }
+  await deployMock('PRBProxyRegistry', 'PRBProxyRegistry', []);
+  for (const name of SWAP_ROUTERS) await deployMock(name, 'MockSwapRouter', []);
+  console.log('------------------------------------');
+  console.log(`Deploy the contracts with: npx hardhat run scripts/deploy.js --network ${hre.network.name}`);
+}
+
+// Returns the amount of `token` worth `value` credit at `price` [token decimals]
+async function getTokenAmount(token, value, price) {
+  return value.mul(WAD).div(price).mul(ethers.BigNumber.from(10).pow(await token.decimals())).div(WAD);
+}
+
+// Mints the collateral token of every vault worth `value` credit to `account`. ERC4626 collateral is minted by
+// depositing freshly minted assets into the mock vault.
+async function fundAccount(account, value) {
+  for (const [key, config] of Object.entries(CONFIG.Vaults)) {
+    const token = await attachContract('MockERC20', config.token);
+    if (config.collateralType !== 'ERC4626') {
+      const amount = await getTokenAmount(token, value, config.oracle.defaultPrice);
+      await (await token.mint(account, amount)).wait();
+      console.log(`Minted ${ethers.utils.formatUnits(amount, await token.decimals())} ${key} to ${account}`);
+      continue;
+    }
+    const vault = await attachContract('MockERC4626', config.token);
+    const asset = await attachContract('MockERC20', await vault.asset());
+    const assets = await getTokenAmount(asset, value, config.oracle.defaultPrice);
+    await (await asset.mint(await vault.signer.getAddress(), assets)).wait();
+    await (await asset.approve(vault.address, assets)).wait();
+    await (await vault.deposit(assets, account)).wait();
+    console.log(`Minted ${ethers.utils.formatUnits(await vault.previewDeposit(assets), await vault.decimals())} ${key} to ${account}`);
+  }
+}
+
+async function getTestAccounts(options) {
+  const signers = await ethers.getSigners();
+  const count = Number(options.accounts);
+  if (!(count > 0) || count > signers.length) throw new Error(`--accounts must be between 1 and ${signers.length}`);
+  return signers.slice(0, count);
+}
+
+async function fund(options) {
+  const value = toWad(options.value);
+  if (options.to) {
+    const to = ethers.utils.getAddress(options.to);
+    const [signer] = await ethers.getSigners();
+    await (await signer.sendTransaction({ to, value: toWad('10') })).wait();
+    console.log(`Sent 10 ETH to ${to}`);
+    await fundAccount(to, value);
+    return;
+  }
+  for (const signer of await getTestAccounts(options)) await fundAccount(await signer.getAddress(), value);
+}
+
+// Opens a position with twice the collateral required by the liquidation ratio for the vault's debt floor
+async function openPosition(key, config, signer, proxy, contracts) {
+  const owner = await signer.getAddress();
+  const { vault } = await loadDeployedVault(key, CONFIG);
+  if (!(await vault.positions(proxy.address)).collateral.isZero()) {
+    console.log(`${key}: ${owner} already has a position`);
+    return;
+  }
+  const { debtFloor, liquidationRatio } = config.deploymentArguments.configs;
+  const debt = (ethers.BigNumber.from(debtFloor).isZero()) ? toWad('100') : ethers.BigNumber.from(debtFloor);
+  if ((await contracts.CDM.creditLine(vault.address)).lt(debt)) {
+    console.log(`${key}: skipped ${owner}, the debt ceiling of the vault is reached`);
+    return;
+  }
+  const token = (await attachContract('MockERC20', config.token)).connect(signer);
+  const amount = await getTokenAmount(token, debt.mul(liquidationRatio).div(WAD).mul(2), config.oracle.defaultPrice);
+  await (await token.approve(proxy.address, amount)).wait();
+
+  const positionAction = getPositionAction(contracts, config);
+  await (await proxy.connect(signer).execute(
+    positionAction.address,
+    positionAction.interface.encodeFunctionData('depositAndBorrow', [
+      proxy.address,
+      vault.address,
+      toCollateralParams({ targetToken: token.address, amount, collateralizer: owner }),
+      toCreditParams({ amount: debt, creditor: owner }),
+      toPermitParams()
+    ])
+  )).wait();
+  const { collateral, normalDebt } = await vault.positions(proxy.address);
+  console.log(`${key}: ${owner} borrowed ${fromWad(normalDebt)} credit against ${fromWad(collateral)} ${key}`);
+}
+
+async function storeDevnetMetadata(accounts) {
+  const metadataFilePath = await getMetadataFilePath();
+  const metadataFile = fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
+  const deployment = await loadDeploymentFile();
+  metadataFile.environment = {
+    ...metadataFile.environment,
+    devnet: {
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      rpcUrl: hre.network.config.url,
+      accounts,
+      tokens: Object.fromEntries(CONFIG.Devnet.tokens.map(({ name, symbol }) => [symbol, deployment.core[name].address]))
+    }
+  };
+  fs.writeFileSync(metadataFilePath, JSON.stringify(metadataFile, null, 2));
+  console.log(`Recorded the devnet in ${metadataFilePath}`);
+}
+
+async function openPositions(options) {
+  const deployment = await loadDeploymentFile();
+  if (deployment.vaults == undefined) {
+    throw new Error(`No vaults found in the deployment file of ${hre.network.name}, run scripts/deploy.js first`);
+  }
+  const contracts = await loadDeployedContracts({ core: deployment.core });
+  const accounts = [];
+  for (const signer of await getTestAccounts(options)) {
+    const owner = await signer.getAddress();
+    console.log('------------------------------------');
+    await fundAccount(owner, toWad(options.value));
+    const proxy = await getOrDeployProxy(contracts.PRBProxyRegistry.connect(signer), owner);
+    for (const [key, config] of Object.entries(CONFIG.Vaults)) await openPosition(key, config, signer, proxy, contracts);
+    accounts.push({ address: owner, proxy: proxy.address });
+  }
+  console.log('------------------------------------');
+  await storeDevnetMetadata(accounts);
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+  if (!CONFIG.Devnet) throw new Error(`The ${hre.network.name} profile does not use mocks, run with HARDHAT_NETWORK=devnet`);
+  await assertNetworkChainId();
+
+  if (command === 'mocks') await deployMocks();
+  else if (command === 'fund') await fund(options);
+  else if (command === 'positions') await openPositions(options);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
@@ -1,52 +1,169 @@
 const path = require('path');
 const fs = require('fs');
 
+const { version } = require('../package.json');
+
+const OUT_DIRECTORY = path.join(__dirname, '..', 'out');
 const TARGET_DIRECTORY = path.join(__dirname, '..', 'bindings');
-const FILE_NAME = 'human-readable-abis.ts';
-const FILE_PATH = path.join(TARGET_DIRECTORY, FILE_NAME);
+const CONTRACTS_DIRECTORY = path.join(TARGET_DIRECTORY, 'contracts');
+const HEADER = '// This file is generated by scripts/generate-ts-bindings.js, do not edit it by hand\n';
+
+// Contracts to generate bindings for, in addition to every contract recorded in `scripts/deployment-<network>.json`.
+// `artifact` is only required if the binding is named differently than the Foundry artifact and `source` only if
+// multiple source files define a contract with the same name.
+const CONTRACTS = [
+  { name: 'Stablecoin' },
+  { name: 'CDM' },
+  { name: 'Buffer' },
+  { name: 'CDPVault_TypeA' },
+  { name: 'CDPVault_TypeB' },
+  { name: 'CDPVault_TypeA_Factory' },
+  { name: 'CDPVault_TypeB_Factory' },
+  { name: 'CDPVaultUnwinder' },
+  { name: 'CDPVaultUnwinderFactory' },
+  { name: 'Minter' },
+  { name: 'Flashlender' },
+  { name: 'SwapAction' },
+  { name: 'JoinAction' },
+  { name: 'PositionAction20' },
+  { name: 'PositionAction4626' },
+  { name: 'PositionActionChai' },
+  { name: 'PositionActionYV' },
+  { name: 'PRBProxyRegistry', artifact: 'IPRBProxyRegistry' },
+  { name: 'PRBProxy' },
+  { name: 'ERC20Permit', source: 'ERC20Permit.sol' },
+  { name: 'ERC20', source: 'ERC20.sol' },
+  { name: 'ISignatureTransfer' }
+];
+
+// Returns all Foundry artifacts in `out/` (`<SourceFile>.sol/<Contract>.json`) grouped by contract name
+function indexArtifacts(directory, artifacts = {}) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      indexArtifacts(entryPath, artifacts);
+    } else if (directory.endsWith('.sol') && /^[A-Za-z0-9_$]+\.json$/.test(entry.name)) {
+      const name = path.basename(entry.name, '.json');
+      artifacts[name] = [...(artifacts[name] || []), entryPath];
+    }
+  }
+  return artifacts;
+}
+
+function resolveArtifact(artifacts, { name, artifact = name, source }) {
+  let candidates = (artifacts[artifact] || [])
+    .filter((artifactPath) => !source || path.basename(path.dirname(artifactPath)) === source);
+  // prefer the artifacts of the project's own sources which Foundry stores directly in `out/`
+  if (candidates.length > 1) {
+    const topLevel = candidates.filter((artifactPath) => path.dirname(path.dirname(artifactPath)) === OUT_DIRECTORY);
+    if (topLevel.length > 0) candidates = topLevel;
+  }
+  if (candidates.length == 0) return { error: `${name}: no artifact named ${artifact}${source ? ` in ${source}` : ''}` };
+  if (candidates.length > 1) {
+    return { error: `${name}: ${candidates.length} artifacts named ${artifact}, set \`source\`: ${candidates.join(', ')}` };
+  }
+  return { artifactPath: candidates[0] };
+}
+
+function loadDeployments() {
+  const deployments = {};
+  for (const fileName of fs.readdirSync(__dirname).sort()) {
+    const match = fileName.match(/^deployment-(.+)\.json$/);
+    if (match) deployments[match[1]] = JSON.parse(fs.readFileSync(path.join(__dirname, fileName)));
+  }
+  return deployments;
+}
+
+function getContracts(deployments) {
+  const contracts = [...CONTRACTS];
+  for (const deployment of Object.values(deployments)) {
+    for (const { artifactName } of Object.values({ ...deployment.core, ...deployment.vaults })) {
+      if (!contracts.some(({ name }) => name === artifactName)) contracts.push({ name: artifactName });
+    }
+  }
+  return contracts;
+}
+
+function generateContractModule(name, abi) {
+  return `${HEADER}
+export const ${name}Abi = ${JSON.stringify(abi, null, 2)} as const;
+
+export type ${name}Abi = typeof ${name}Abi;
+export type ${name}Event = Extract<${name}Abi[number], { type: 'event' }>;
+export type ${name}EventName = ${name}Event['name'];
+export type ${name}Error = Extract<${name}Abi[number], { type: 'error' }>;
+export type ${name}ErrorName = ${name}Error['name'];
+`;
+}
+
+function generateAddressesModule(deployments) {
+  const addresses = Object.fromEntries(Object.entries(deployments).map(([network, deployment]) => [
+    network,
+    Object.fromEntries(
+      Object.entries({ ...deployment.core, ...deployment.vaults }).map(([name, { address }]) => [name, address])
+    )
+  ]));
+  return `${HEADER}
+export const addresses = ${JSON.stringify(addresses, null, 2)} as const;
+
+export type Network = keyof typeof addresses;
+`;
+}
+
+function generateIndexModule(names) {
+  return `${HEADER}
+${names.map((name) => `import { ${name}Abi } from './contracts/${name}';`).join('\n')}
+
+${names.map((name) => `export * from './contracts/${name}';`).join('\n')}
+export * from './addresses';
+
+export const abis = {
+${names.map((name) => `  ${name}: ${name}Abi`).join(',\n')}
+} as const;
+`;
+}
 
 async function main() {
-  const contracts = [
-    { name: 'Stablecoin', path: '../out/Stablecoin.sol/Stablecoin.json'},
-    { name: 'CDM', path: '../out/CDM.sol/CDM.json'},
-    { name: 'Buffer', path: '../out/Buffer.sol/Buffer.json'},
-    { name: 'CDPVault_TypeA', path: '../out/CDPVault_TypeA.sol/CDPVault_TypeA.json'},
-    { name: 'Minter', path: '../out/Minter.sol/Minter.json'},
-    { name: 'Flashlender', path: '../out/Flashlender.sol/Flashlender.json'},
-    { name: 'SwapAction', path: '../out/SwapAction.sol/SwapAction.json'},
-    { name: 'PositionAction20', path: "../out/PositionAction20.sol/PositionAction20.json"},
-    { name: 'PositionActionYV', path: '../out/PositionActionYV.sol/PositionActionYV.json'},
-    { name: 'PRBProxyRegistry', path: '../out/IPRBProxyRegistry.sol/IPRBProxyRegistry.json' },
-    { name: 'PRBProxy', path: '../out/PRBProxy.sol/PRBProxy.json' },
-    { name: 'ERC20Permit', path: '../out/ERC20Permit.sol/ERC20Permit.json' },
-    { name: 'ERC20', path: '../out/ERC20.sol/ERC20.json' },
-    { name: 'ISignatureTransfer', path: '../out/ISignatureTransfer.sol/ISignatureTransfer.json' }
-  ];
-
-  const abis = {};
-  contracts.map(({ name, path }) => {
-    const jsonABI = require(path);
-    abis[name] = [...jsonABI.abi];
-  });
-
-  const objectEntries = Object.entries(abis).map(([key, value]) => {
-    return `${key}: ${JSON.stringify(value)} as const`;
-  });
-
-  const objectAsString = `export const abis = {\n  ${objectEntries.join(',\n  ')}\n};\n`;
-
-  fs.mkdir(TARGET_DIRECTORY, { recursive: true }, (err) => {
-    fs.writeFile(FILE_PATH, objectAsString, (err) => {
-      if (err) {
-        console.error('Error writing file:', err);
-      } else {
-        console.log(`TypeScript bindings created at ${FILE_PATH}`);
-      }
-    });
-  });
+  if (!fs.existsSync(OUT_DIRECTORY)) throw new Error(`${OUT_DIRECTORY} does not exist, run \`forge build\` first`);
+
+  const artifacts = indexArtifacts(OUT_DIRECTORY);
+  const deployments = loadDeployments();
+  const contracts = getContracts(deployments);
+
+  const resolved = contracts.map((contract) => ({ ...contract, ...resolveArtifact(artifacts, contract) }));
+  const errors = resolved.filter(({ error }) => error).map(({ error }) => error);
+  if (errors.length > 0) {
+    throw new Error(`Missing or ambiguous artifacts:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  fs.rmSync(CONTRACTS_DIRECTORY, { recursive: true, force: true });
+  fs.mkdirSync(CONTRACTS_DIRECTORY, { recursive: true });
+
+  for (const { name, artifactPath } of resolved) {
+    const { abi } = JSON.parse(fs.readFileSync(artifactPath));
+    if (!Array.isArray(abi)) throw new Error(`${artifactPath} does not contain an ABI`);
+    fs.writeFileSync(path.join(CONTRACTS_DIRECTORY, `${name}.ts`), generateContractModule(name, abi));
+  }
+
+  const names = resolved.map(({ name }) => name);
+  fs.writeFileSync(path.join(TARGET_DIRECTORY, 'addresses.ts'), generateAddressesModule(deployments));
+  fs.writeFileSync(path.join(TARGET_DIRECTORY, 'index.ts'), generateIndexModule(names));
+  // kept for consumers of the previous single file bindings
+  fs.writeFileSync(path.join(TARGET_DIRECTORY, 'human-readable-abis.ts'), `${HEADER}\nexport { abis } from './index';\n`);
+  fs.writeFileSync(path.join(TARGET_DIRECTORY, 'package.json'), JSON.stringify({
+    name: 'ecru-sc-bindings',
+    version,
+    private: true,
+    main: 'index.ts',
+    types: 'index.ts',
+    sideEffects: false
+  }, null, 2));
+
+  console.log(`TypeScript bindings for ${names.length} contracts and ${Object.keys(deployments).length} networks ` +
+    `created at ${TARGET_DIRECTORY}`);
 }
 
 main().catch((error) => {
   console.error(error);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -0,0 +1,286 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const {
+  EVENT_TOPICS,
+  openLedger,
+  getMeta,
+  setMeta,
+  getNextBlock,
+  setContracts,
+  getContracts,
+  decodeLogs,
+  insertEvents,
+  getRecentBlocks,
+  rollback,
+  resetLedger,
+  getBalances,
+  getPositions,
+  getVaultDebt,
+  getFees,
+  getLiquidations,
+  getBailOuts,
+  getAccountHistory
+} = require('./ledger.js');
+const { fromWad, loadDeploymentFile, findDeploymentBlock } = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const COMMANDS = ['sync', 'balances', 'debt', 'fees', 'liquidations', 'history'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/indexer.js <command> [options]
+
+Indexes the events of the contracts in scripts/deployment-<network>.json (CDM ModifyBalance and SetParameter, the
+positions, limit orders, exchanges and liquidations of the vaults, Buffer BailOut and the Flashlender's fees) into the
+SQLite ledger scripts/ledger-<network>.sqlite and queries it. Indexing resumes at the last indexed block and rolls back
+the blocks of reorgs.
+
+Commands:
+  sync          index the events up to the latest block (minus --confirmations), every --interval seconds with --watch
+  balances      CDM balance of every account (or --account), negative balances are debt (--debtors: only those)
+  debt          total normal debt and number of positions with debt of every vault, the positions of --vault
+  fees          fees paid to the Buffer by the vaults and the Flashlender's flash loan fees
+  liquidations  liquidated positions and bail outs of the Buffer
+  history       events of --account
+
+Options:
+  --account <address>       account to query (balances, history)
+  --vault <address>         vault whose positions are listed (debt), by deployment name or address
+  --debtors                 only accounts with a negative balance (balances)
+  --from-block <block>      first block of the query, or to start indexing from (default: block the contracts were
+                            deployed in)
+  --to-block <block>        last block of the query, e.g. to query balances at a past block (default: latest)
+  --block-range <blocks>    max. number of blocks per log query (default: 10000)
+  --confirmations <blocks>  blocks behind the latest block to index up to (default: 0)
+  --reorg-depth <blocks>    number of indexed blocks checked for reorgs before indexing (default: 64)
+  --watch                   keep indexing, every --interval seconds (sync)
+  --interval <seconds>      polling interval in watch mode (default: 15)
+  --db <file>               ledger file (default: scripts/ledger-<network>.sqlite)
+  --reset                   discard the ledger and index from scratch (sync)
+  --help                    show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      account: { type: 'string' },
+      vault: { type: 'string' },
+      debtors: { type: 'boolean', default: false },
+      'from-block': { type: 'string' },
+      'to-block': { type: 'string' },
+      'block-range': { type: 'string', default: '10000' },
+      confirmations: { type: 'string', default: '0' },
+      'reorg-depth': { type: 'string', default: '64' },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '15' },
+      db: { type: 'string' },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+function getLedgerFilePath(options) {
+  return options.db || path.join(__dirname, '.', `ledger-${hre.network.name}.sqlite`);
+}
+
+// Returns the contracts of the deployment file with the first block any of them was deployed in (if recorded)
+function getDeploymentContracts(deployment) {
+  const entries = [...Object.entries(deployment.core || {}), ...Object.entries(deployment.vaults || {})];
+  if (entries.length == 0) throw new Error(`No contracts found in the deployment file of ${hre.network.name}`);
+  const blocks = entries.map(([, { blockNumber }]) => blockNumber).filter((block) => block != undefined);
+  return {
+    contracts: entries.map(([name, { address, artifactName }]) => ({ address, name, artifact: artifactName })),
+    deploymentBlock: (blocks.length > 0) ? Math.min(...blocks) : null
+  };
+}
+
+// Compares the hashes of the last indexed blocks with the chain and rolls back to the newest block still on chain
+async function checkReorg(db, options) {
+  const recentBlocks = getRecentBlocks(db, Number(options['reorg-depth']));
+  for (const [i, { number, hash }] of recentBlocks.entries()) {
+    if ((await ethers.provider.getBlock(number))?.hash !== hash) continue;
+    if (i > 0) {
+      console.log(`Reorg detected, rolling back to block ${number}`);
+      rollback(db, number);
+    }
+    return;
+  }
+  if (recentBlocks.length > 0) {
+    throw new Error(
+      `None of the last ${recentBlocks.length} indexed blocks is on chain anymore (reorg deeper than --reorg-depth or ` +
+      'a restarted node), run with --reset'
+    );
+  }
+}
+
+async function getBlocks(numbers) {
+  return Promise.all(numbers.map(async (number) => {
+    const { hash, timestamp } = await ethers.provider.getBlock(number);
+    return { number, hash, timestamp };
+  }));
+}
+
+// Indexes the events of the deployment's contracts from the next block to index up to the latest block. Every range
+// of --block-range blocks is stored in one transaction with the hashes of its blocks with events and of its last block.
+async function sync(db, options) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const indexedChainId = getMeta(db, 'chainId');
+  if (indexedChainId != null && Number(indexedChainId) !== chainId) {
+    throw new Error(`The ledger was indexed on chain ${indexedChainId} instead of ${chainId}, run with --reset`);
+  }
+  setMeta(db, 'chainId', chainId);
+  const { contracts, deploymentBlock } = getDeploymentContracts(await loadDeploymentFile());
+  setContracts(db, contracts);
+  await checkReorg(db, options);
+
+  const latestBlock = (await ethers.provider.getBlockNumber()) - Number(options.confirmations);
+  let fromBlock = getNextBlock(db) ?? ((options['from-block'] != undefined)
+    ? Number(options['from-block']) : deploymentBlock ?? await findDeploymentBlock(contracts[0].address, latestBlock));
+  const blockRange = Number(options['block-range']);
+  let count = 0;
+  for (; fromBlock <= latestBlock; fromBlock += blockRange) {
+    const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+    const logs = await ethers.provider.send('eth_getLogs', [{
+      fromBlock: ethers.utils.hexValue(fromBlock),
+      toBlock: ethers.utils.hexValue(toBlock),
+      address: contracts.map(({ address }) => address),
+      topics: [EVENT_TOPICS]
+    }]);
+    const events = decodeLogs(logs.filter(({ removed }) => !removed));
+    const blocks = await getBlocks([...new Set([...events.map(({ blockNumber }) => blockNumber), toBlock])]);
+    const reorged = events.find(({ blockNumber, blockHash }) => (
+      blocks.find(({ number }) => number === blockNumber).hash !== blockHash
+    ));
+    if (reorged) throw new Error(`Block ${reorged.blockNumber} was reorged while indexing, run sync again`);
+    insertEvents(db, events, blocks, toBlock);
+    count += events.length;
+  }
+  console.log(`Indexed ${count} events, ledger at block ${(getNextBlock(db) ?? 1) - 1}`);
+}
+
+function getQueryOptions(options) {
+  return {
+    fromBlock: (options['from-block'] != undefined) ? Number(options['from-block']) : undefined,
+    toBlock: (options['to-block'] != undefined) ? Number(options['to-block']) : undefined
+  };
+}
+
+function formatTime(timestamp) {
+  return (timestamp) ? new Date(timestamp * 1000).toISOString() : '-';
+}
+
+function printBalances(db, names, options) {
+  const balances = getBalances(db, { account: options.account, ...getQueryOptions(options) })
+    .filter(({ balance }) => !options.debtors || balance.isNegative())
+    .sort((a, b) => (a.balance.lt(b.balance)) ? -1 : (a.balance.gt(b.balance)) ? 1 : 0);
+  for (const { account, balance, updatedAt } of balances) {
+    console.log(`${names(account)}: ${fromWad(balance)} (block ${updatedAt})`);
+  }
+  if (balances.length == 0) console.log('No balances found');
+}
+
+function printDebt(db, names, options) {
+  const queryOptions = getQueryOptions(options);
+  if (options.vault) {
+    const vault = getContracts(db).find(({ name, address }) => (
+      name === options.vault || address.toLowerCase() === options.vault.toLowerCase()
+    ))?.address ?? ethers.utils.getAddress(options.vault);
+    for (const { position, collateral, normalDebt } of getPositions(db, vault, queryOptions)) {
+      console.log(`${names(position)}: collateral ${fromWad(collateral)}, normal debt ${fromWad(normalDebt)}`);
+    }
+    return;
+  }
+  for (const { vault, totalNormalDebt, positionsWithDebt } of getVaultDebt(db, queryOptions)) {
+    console.log(`${names(vault)}: total normal debt ${fromWad(totalNormalDebt)}, ${positionsWithDebt} positions with debt`);
+  }
+}
+
+function printFees(db, names, options) {
+  const totals = {};
+  for (const { blockNumber, timestamp, transactionHash, source, kind, amount } of getFees(db, getQueryOptions(options))) {
+    console.log(`${formatTime(timestamp)} block ${blockNumber}: ${fromWad(amount)} ${kind} fees from ${names(source)} ` +
+      `(${transactionHash})`);
+    totals[source] = (totals[source] ?? ethers.constants.Zero).add(amount);
+  }
+  for (const [source, total] of Object.entries(totals)) console.log(`Total ${names(source)}: ${fromWad(total)}`);
+  if (Object.keys(totals).length == 0) console.log('No fees found');
+}
+
+function printLiquidations(db, names, options) {
+  const queryOptions = getQueryOptions(options);
+  const liquidations = getLiquidations(db, queryOptions);
+  for (const { blockNumber, timestamp, transactionHash, address, position, liquidator, ...amounts } of liquidations) {
+    console.log(`${formatTime(timestamp)} block ${blockNumber}: ${names(position)} on ${names(address)} by ` +
+      `${(liquidator) ? names(liquidator) : 'unknown'}, collateral released ${fromWad(amounts.collateralReleased)}, ` +
+      `normal debt repaid ${fromWad(amounts.normalDebtRepaid)} (${transactionHash})`);
+  }
+  const bailOuts = getBailOuts(db, queryOptions);
+  for (const { blockNumber, timestamp, transactionHash, recipient, amount } of bailOuts) {
+    console.log(`${formatTime(timestamp)} block ${blockNumber}: bail out of ${fromWad(amount)} to ${names(recipient)} ` +
+      `(${transactionHash})`);
+  }
+  if (liquidations.length == 0 && bailOuts.length == 0) console.log('No liquidations found');
+}
+
+function printHistory(db, names, options) {
+  if (!options.account) throw new Error('--account is required');
+  const events = getAccountHistory(db, options.account, getQueryOptions(options));
+  for (const { blockNumber, timestamp, transactionHash, address, name, args } of events) {
+    console.log(`${formatTime(timestamp)} block ${blockNumber}: ${name} on ${names(address)} ${JSON.stringify(args)} ` +
+      `(${transactionHash})`);
+  }
+  if (events.length == 0) console.log(`No events found for ${options.account}`);
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const file = getLedgerFilePath(options);
+  const db = openLedger(file);
+  try {
+    if (command === 'sync') {
+      if (options.reset) resetLedger(db);
+      await sync(db, options);
+      while (options.watch) {
+        await new Promise((resolve) => setTimeout(resolve, Number(options.interval) * 1000));
+        // a failed sync (e.g. an unavailable RPC node) is retried in the next interval instead of ending the indexer
+        try {
+          await sync(db, options);
+        } catch (error) {
+          console.error(`Sync failed: ${error.message}`);
+        }
+      }
+      return;
+    }
+    if (getNextBlock(db) == null) throw new Error(`${file} is empty, run sync first`);
+    const contracts = Object.fromEntries(getContracts(db).map(({ address, name }) => [address, name]));
+    const names = (address) => (contracts[address]) ? `${contracts[address]} (${address})` : address;
+    ({
+      balances: printBalances,
+      debt: printDebt,
+      fees: printFees,
+      liquidations: printLiquidations,
+      history: printHistory
+    })[command](db, names, options);
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
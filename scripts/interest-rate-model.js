@@ -0,0 +1,217 @@
+const { ethers } = require('ethers');
+
+// Mirrors the interest rate math of src/InterestRateModel.sol and src/CDPVault.sol, including the rounding of
+// src/utils/Math.sol and the (truncating) casts of the contracts. All values are BigNumbers [wad] unless noted.
+
+const { BigNumber, constants: { Zero } } = ethers;
+const WAD = ethers.constants.WeiPerEther;
+// max. per-second base rate (see RATE_CEILING in src/InterestRateModel.sol)
+const RATE_CEILING = BigNumber.from('1000000021919499726');
+// the per-second rates in scripts/config.js and RATE_CEILING assume 366 days per year
+const SECONDS_PER_YEAR = 366 * 24 * 60 * 60;
+
+class MathError extends Error {}
+
+function checkUint(x, bits = 256) {
+  if (x.lt(0) || x.gte(BigNumber.from(2).pow(bits))) throw new MathError(`uint${bits} overflow`);
+  return x;
+}
+
+function wmul(x, y) {
+  return checkUint(BigNumber.from(x).mul(y)).div(WAD);
+}
+
+function wdiv(x, y) {
+  if (BigNumber.from(y).isZero()) throw new MathError('division by zero');
+  return checkUint(BigNumber.from(x).mul(WAD)).div(y);
+}
+
+// exponentiation by squaring with the rounding of `wpow` (taken from MakerDAO's jug)
+function wpow(x, n, b = WAD) {
+  x = BigNumber.from(x);
+  n = BigNumber.from(n);
+  if (n.isZero()) return BigNumber.from(b);
+  if (x.isZero()) return Zero;
+  let z = (n.mod(2).isZero()) ? BigNumber.from(b) : x;
+  const half = BigNumber.from(b).div(2);
+  for (n = n.div(2); !n.isZero(); n = n.div(2)) {
+    if (!x.shr(128).isZero()) throw new MathError('wpow overflow');
+    x = checkUint(x.mul(x).add(half)).div(b);
+    if (!n.mod(2).isZero()) z = checkUint(z.mul(x).add(half)).div(b);
+  }
+  return z;
+}
+
+// Returns the annual rate of a per-second rate, e.g. 1000000000626221517 -> 0.02 [wad]
+function perSecondRateToAPR(rate) {
+  return wpow(rate, SECONDS_PER_YEAR).sub(WAD);
+}
+
+// Returns the per-second rate whose annual rate is closest to `apr` [wad], e.g. 0.02 -> 1000000000626221517
+function aprToPerSecondRate(apr) {
+  const target = WAD.add(apr);
+  let low = WAD;
+  let high = WAD.add(1);
+  while (wpow(high, SECONDS_PER_YEAR).lt(target)) high = WAD.add(high.sub(WAD).mul(2));
+  while (high.sub(low).gt(1)) {
+    const middle = low.add(high).div(2);
+    if (wpow(middle, SECONDS_PER_YEAR).lt(target)) low = middle;
+    else high = middle;
+  }
+  return (target.sub(wpow(low, SECONDS_PER_YEAR)).lte(wpow(high, SECONDS_PER_YEAR).sub(target))) ? low : high;
+}
+
+// `calculateDebt` in src/CDPVault.sol
+function calculateDebt(normalDebt, rateAccumulator, accruedRebate) {
+  return checkUint(wmul(normalDebt, rateAccumulator).sub(accruedRebate));
+}
+
+// `InterestRateModel._calculateRateAccumulator` (unchecked, the result is truncated to uint64)
+function calculateRateAccumulator({ rateAccumulator, lastUpdated }, baseRate, timestamp) {
+  const elapsed = BigNumber.from(timestamp).sub(lastUpdated).toTwos(256);
+  return wmul(rateAccumulator, wpow(BigNumber.from(baseRate).mask(64), elapsed)).mask(64);
+}
+
+// `InterestRateModel._calculateAccruedRebate`
+function calculateAccruedRebate({ snapshotRateAccumulator, rebateFactor, accruedRebate }, rateAccumulator, normalDebt) {
+  const deltaRateAccumulator = checkUint(BigNumber.from(rateAccumulator).sub(snapshotRateAccumulator), 64);
+  return checkUint(
+    BigNumber.from(accruedRebate).add(wmul(wmul(rebateFactor, deltaRateAccumulator), normalDebt).mask(128)), 128
+  );
+}
+
+// `InterestRateModel._calculateRebateClaim`
+function calculateRebateClaim(subDebt, debt, accruedRebate) {
+  accruedRebate = BigNumber.from(accruedRebate);
+  if (BigNumber.from(subDebt).isZero() || BigNumber.from(debt).isZero()) return { claimedRebate: Zero, accruedRebate };
+  const claimedRebate = checkUint(BigNumber.from(subDebt).mul(accruedRebate)).div(debt).mask(128);
+  return { claimedRebate, accruedRebate: checkUint(accruedRebate.sub(claimedRebate), 128) };
+}
+
+// `CDPVault._calculateUtilizationRatio`, `creditLine` is `cdm.creditLine(vault)`
+function calculateUtilizationRatio(
+  { rateAccumulator, globalAccruedRebate }, totalNormalDebt, creditLine, totalAccruedFees = Zero
+) {
+  const totalDebt = calculateDebt(totalNormalDebt, rateAccumulator, globalAccruedRebate);
+  return (totalDebt.isZero()) ? Zero : wdiv(totalDebt, checkUint(totalDebt.add(creditLine).sub(totalAccruedFees)));
+}
+
+// Returns the utilization parameters as unpacked by the vault from the `params` block of a vault config
+// (the interest rates are packed as uint40 with an offset of 1, see `CDPVault_TypeA_Factory`)
+function toUtilizationParams({
+  targetUtilizationRatio, maxUtilizationRatio, minInterestRate, maxInterestRate, targetInterestRate
+}) {
+  const unpackRate = (rate) => checkUint(BigNumber.from(rate).sub(WAD), 64).mask(40).add(WAD);
+  return {
+    targetUtilizationRatio: BigNumber.from(targetUtilizationRatio).mask(64),
+    maxUtilizationRatio: BigNumber.from(maxUtilizationRatio).mask(64),
+    minInterestRate: unpackRate(minInterestRate),
+    maxInterestRate: unpackRate(maxInterestRate),
+    targetInterestRate: unpackRate(targetInterestRate)
+  };
+}
+
+// Per-second interest rate of the utilization based interest rate model (`CDPVault._calculateRateAccumulator`)
+function calculateInterestRate(utilizationRatio, params) {
+  const {
+    targetUtilizationRatio, maxUtilizationRatio, minInterestRate, maxInterestRate, targetInterestRate
+  } = toUtilizationParams(params);
+  utilizationRatio = BigNumber.from(utilizationRatio);
+  if (utilizationRatio.gt(maxUtilizationRatio)) utilizationRatio = maxUtilizationRatio;
+  const interestRate = (utilizationRatio.lte(targetUtilizationRatio))
+    ? minInterestRate.add(wmul(wdiv(checkUint(targetInterestRate.sub(minInterestRate)), targetUtilizationRatio), utilizationRatio))
+    : targetInterestRate.add(wmul(
+      wdiv(checkUint(maxInterestRate.sub(targetInterestRate)), checkUint(WAD.sub(targetUtilizationRatio))),
+      utilizationRatio.sub(targetUtilizationRatio)
+    ));
+  return interestRate.mask(64);
+}
+
+// `CDPVault._calculateRateAccumulator`: a negative `globalIRS.baseRate` selects the utilization based interest rate
+function calculateVaultRateAccumulator(globalIRS, totalNormalDebt, creditLine, totalAccruedFees, params, timestamp) {
+  const interestRate = (BigNumber.from(globalIRS.baseRate).lt(0))
+    ? calculateInterestRate(calculateUtilizationRatio(globalIRS, totalNormalDebt, creditLine, totalAccruedFees), params)
+    : BigNumber.from(globalIRS.baseRate);
+  return calculateRateAccumulator(globalIRS, interestRate, timestamp);
+}
+
+// `CDPVault.calculateRebateFactorForPriceTick`
+function calculateRebateFactor(priceTick, { rebateRate, maxRebate }) {
+  if (BigNumber.from(priceTick).lt(WAD)) return Zero;
+  return checkUint(wdiv(WAD, BigNumber.from(maxRebate).add(wmul(rebateRate, BigNumber.from(priceTick).sub(WAD)))), 64);
+}
+
+// Annual rate paid by a position with `rebateFactor` at a per-second `interestRate`, i.e. the debt accrued by one unit
+// of debt over a year after deducting the accrued rebate
+function calculateEffectiveAPR(interestRate, rebateFactor = Zero) {
+  const rateAccumulator = calculateRateAccumulator({ rateAccumulator: WAD, lastUpdated: 0 }, interestRate, SECONDS_PER_YEAR);
+  const accruedRebate = calculateAccruedRebate(
+    { snapshotRateAccumulator: WAD, rebateFactor, accruedRebate: Zero }, rateAccumulator, WAD
+  );
+  return calculateDebt(WAD, rateAccumulator, accruedRebate).sub(WAD);
+}
+
+module.exports = {
+  WAD,
+  RATE_CEILING,
+  SECONDS_PER_YEAR,
+  MathError,
+  wmul,
+  wdiv,
+  wpow,
+  perSecondRateToAPR,
+  aprToPerSecondRate,
+  calculateDebt,
+  calculateRateAccumulator,
+  calculateAccruedRebate,
+  calculateRebateClaim,
+  calculateUtilizationRatio,
+  toUtilizationParams,
+  calculateInterestRate,
+  calculateVaultRateAccumulator,
+  calculateRebateFactor,
+  calculateEffectiveAPR
+};
+
+// Entry point of the differential tests (src/test/unit/InterestRateModel.differential.t.sol), called via `vm.ffi`:
+// `node scripts/interest-rate-model.js <function> <args...>` prints the ABI encoded return values
+const FFI = {
+  calculateRateAccumulator: ([rateAccumulator, lastUpdated, baseRate, timestamp]) => [
+    ['uint64'], [calculateRateAccumulator({ rateAccumulator, lastUpdated }, baseRate, timestamp)]
+  ],
+  calculateAccruedRebate: ([snapshotRateAccumulator, rebateFactor, accruedRebate, rateAccumulator, normalDebt]) => [
+    ['uint128'],
+    [calculateAccruedRebate({ snapshotRateAccumulator, rebateFactor, accruedRebate }, rateAccumulator, normalDebt)]
+  ],
+  calculateRebateClaim: ([subDebt, debt, accruedRebate]) => {
+    const result = calculateRebateClaim(subDebt, debt, accruedRebate);
+    return [['uint128', 'uint128'], [result.claimedRebate, result.accruedRebate]];
+  },
+  calculateRebateFactor: ([priceTick, rebateRate, maxRebate]) => [
+    ['uint64'], [calculateRebateFactor(priceTick, { rebateRate, maxRebate })]
+  ],
+  calculateVaultRateAccumulator: ([
+    baseRate, rateAccumulator, lastUpdated, globalAccruedRebate, totalNormalDebt, creditLine, totalAccruedFees,
+    targetUtilizationRatio, maxUtilizationRatio, minInterestRate, maxInterestRate, targetInterestRate, timestamp
+  ]) => [
+    ['uint64'],
+    [calculateVaultRateAccumulator(
+      { baseRate, rateAccumulator, lastUpdated, globalAccruedRebate },
+      totalNormalDebt,
+      creditLine,
+      totalAccruedFees,
+      { targetUtilizationRatio, maxUtilizationRatio, minInterestRate, maxInterestRate, targetInterestRate },
+      timestamp
+    )]
+  ]
+};
+
+if (require.main === module) {
+  const [name, ...args] = process.argv.slice(2);
+  if (!FFI[name]) {
+    console.error(`Usage: node scripts/interest-rate-model.js <${Object.keys(FFI).join('|')}> <args...>`);
+    process.exit(1);
+  }
+  const [types, values] = FFI[name](args.map((arg) => BigNumber.from(arg)));
+  process.stdout.write(ethers.utils.defaultAbiCoder.encode(types, values));
+}
@@ -0,0 +1,214 @@
+const { ethers } = require('ethers');
+
+const { toSlippage } = require('./swap-params.js');
+
+// Builds the `JoinParams` of src/proxy/JoinAction.sol (`join`, `transferAndJoin` and the `auxJoin` of the lever params
+// of the position actions) for Balancer EXACT_TOKENS_IN_FOR_BPT_OUT joins. Amounts are BigNumbers in the units of the
+// tokens. The assets of a pool are sorted by address as Balancer registers them, the pool token (BPT) of composable
+// pools is one of them and is skipped in `assetsIn`.
+
+const { BigNumber, utils, constants: { AddressZero, HashZero, WeiPerEther: WAD } } = ethers;
+
+// match the enums in src/proxy/JoinAction.sol and src/vendor/IBalancerVault.sol
+const JOIN_PROTOCOLS = { balancer: 0 };
+const JOIN_KINDS = { init: 0, exactTokensInForBptOut: 1, tokenInForExactBptOut: 2, allTokensInForExactBptOut: 3 };
+const JOIN_PARAMS_TYPE = 'tuple(uint8 protocol, bytes32 poolId, address[] assets, uint256[] assetsIn, ' +
+  'uint256[] maxAmountsIn, uint256 minOut, address recipient)';
+// BalancerQueries on mainnet, simulates joins for the expected BPT out
+const BALANCER_QUERIES = '0xE39B5e3B6D74016b2F6A9673D7d7493B6DF549d5';
+
+const BALANCER_VAULT_ABI = [
+  'function getPoolTokens(bytes32 poolId) view returns (address[] tokens, uint256[] balances, uint256 lastChangeBlock)'
+];
+const BALANCER_QUERIES_ABI = [
+  'function queryJoin(bytes32 poolId, address sender, address recipient, tuple(address[] assets, ' +
+    'uint256[] maxAmountsIn, bytes userData, bool fromInternalBalance) request) returns (uint256 bptOut, ' +
+    'uint256[] amountsIn)'
+];
+
+function toJoinParams({
+  protocol = 0,
+  poolId = HashZero,
+  assets = [],
+  assetsIn = [],
+  maxAmountsIn = [],
+  minOut = 0,
+  recipient = AddressZero
+} = {}) {
+  return { protocol, poolId, assets, assetsIn, maxAmountsIn, minOut, recipient };
+}
+
+// The pool address is the first 20 bytes of a Balancer pool id
+function getPoolAddress(poolId) {
+  if (!utils.isHexString(poolId, 32)) throw new Error(`Invalid Balancer pool id ${poolId}`);
+  return utils.getAddress(utils.hexDataSlice(poolId, 0, 20));
+}
+
+// Sorts addresses in ascending order, the order in which Balancer registers the tokens of a pool
+function sortAssets(assets) {
+  const sorted = assets.map((asset) => utils.getAddress(asset))
+    .sort((a, b) => (BigNumber.from(a).lt(b)) ? -1 : (BigNumber.from(a).gt(b)) ? 1 : 0);
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] === sorted[i - 1]) throw new Error(`Duplicate asset ${sorted[i]}`);
+  }
+  return sorted;
+}
+
+// Returns the assets of a pool in the order of `getPoolTokens` (includes the BPT of composable pools)
+async function getPoolAssets(balancerVault, poolId, provider) {
+  const vault = new ethers.Contract(balancerVault, BALANCER_VAULT_ABI, provider);
+  const { tokens } = await vault.getPoolTokens(poolId);
+  return tokens.map((token) => utils.getAddress(token));
+}
+
+function encodeJoinUserData(assetsIn, minOut) {
+  return utils.defaultAbiCoder.encode(
+    ['uint256', 'uint256[]', 'uint256'], [JOIN_KINDS.exactTokensInForBptOut, assetsIn, minOut]
+  );
+}
+
+// Returns the min. BPT out of a join given the expected BPT out and a slippage tolerance (rounded down)
+function getJoinMinOut(expectedOut, slippage) {
+  return BigNumber.from(expectedOut).mul(WAD.sub(toSlippage(slippage))).div(WAD);
+}
+
+function resolveMinOut({ minOut, expectedOut, slippage }) {
+  if (minOut != undefined) return BigNumber.from(minOut);
+  if (expectedOut == undefined || slippage == undefined) {
+    throw new Error('Either minOut or expectedOut and slippage are required');
+  }
+  return getJoinMinOut(expectedOut, slippage);
+}
+
+// Balancer EXACT_TOKENS_IN join of `amounts` into the pool `poolId`. `assets` are the tokens of the pool (sorted if
+// passed in another order), `amounts` either the amounts of `assets` in the order passed or an object keyed by asset.
+// `sorted` skips the sorting for pools whose `getPoolTokens` are not in ascending order.
+function buildBalancerJoin({ poolId, assets, amounts = {}, minOut, expectedOut, slippage, recipient, sorted = false }) {
+  const pool = getPoolAddress(poolId);
+  if (!Array.isArray(assets) || assets.length < 2) throw new Error('A pool needs at least two assets');
+  const amountOf = {};
+  if (Array.isArray(amounts)) {
+    if (amounts.length != assets.length) throw new Error(`Expected ${assets.length} amounts, got ${amounts.length}`);
+    assets.forEach((asset, i) => { amountOf[utils.getAddress(asset)] = BigNumber.from(amounts[i]); });
+  } else {
+    for (const [asset, amount] of Object.entries(amounts)) amountOf[utils.getAddress(asset)] = BigNumber.from(amount);
+  }
+  const poolAssets = (sorted) ? assets.map((asset) => utils.getAddress(asset)) : sortAssets(assets);
+  for (const asset of Object.keys(amountOf)) {
+    if (!poolAssets.includes(asset)) throw new Error(`${asset} is not an asset of the pool`);
+  }
+  if (amountOf[pool]?.gt(0)) throw new Error('The pool token can not be joined');
+
+  const maxAmountsIn = poolAssets.map((asset) => amountOf[asset] ?? BigNumber.from(0));
+  const assetsIn = maxAmountsIn.filter((_, i) => poolAssets[i] !== pool);
+  return toJoinParams({
+    protocol: JOIN_PROTOCOLS.balancer,
+    poolId,
+    assets: poolAssets,
+    assetsIn,
+    maxAmountsIn,
+    minOut: resolveMinOut({ minOut, expectedOut, slippage }),
+    recipient: utils.getAddress(recipient)
+  });
+}
+
+// `auxJoin` and `auxJoinToken` of the LeverParams of `increaseLever` for a collateral token that is joined (e.g. the
+// BPT of an AuraVault): the amounts are left at 0 and filled in by `JoinAction.updateLeverJoin` with the swapped
+// `joinToken` and the up front amount. `recipient` has to be the position action (the flash loan receiver).
+function buildLeverJoin({ poolId, assets, joinToken, minOut, expectedOut, slippage, recipient, sorted = false }) {
+  const auxJoin = buildBalancerJoin({ poolId, assets, minOut, expectedOut, slippage, recipient, sorted });
+  const pool = getPoolAddress(poolId);
+  const auxJoinToken = utils.getAddress(joinToken);
+  if (auxJoinToken === pool || !auxJoin.assets.includes(auxJoinToken)) {
+    throw new Error(`The join token ${auxJoinToken} is not an underlying asset of the pool`);
+  }
+  // updateLeverJoin only skips the BPT at the first index
+  const bptIndex = auxJoin.assets.indexOf(pool);
+  if (bptIndex > 0) throw new Error(`The pool token is at index ${bptIndex} of the assets, JoinAction expects it first`);
+  return { auxJoin, auxJoinToken };
+}
+
+// Mirrors `JoinAction.updateLeverJoin`: sets the amount of the first of `upFrontToken` or `joinToken` in the assets
+function updateLeverJoin(joinParams, upFrontToken, joinToken, flashLoanAmount, upFrontAmount) {
+  const outParams = { ...joinParams, assetsIn: [...joinParams.assetsIn], maxAmountsIn: [...joinParams.maxAmountsIn] };
+  if (joinParams.protocol != JOIN_PROTOCOLS.balancer) return outParams;
+  const offset = (joinParams.assets.length != joinParams.assetsIn.length) ? 1 : 0;
+  const totalAmount = BigNumber.from(flashLoanAmount).add(upFrontAmount);
+  for (let i = offset; i < joinParams.assets.length; i++) {
+    const asset = utils.getAddress(joinParams.assets[i]);
+    const amount = (asset === utils.getAddress(upFrontToken))
+      ? totalAmount : (asset === utils.getAddress(joinToken)) ? BigNumber.from(flashLoanAmount) : undefined;
+    if (amount == undefined) continue;
+    outParams.maxAmountsIn[i] = amount;
+    outParams.assetsIn[i - offset] = amount;
+    break;
+  }
+  return outParams;
+}
+
+// Simulates the join via BalancerQueries and returns the BPT out (with `minOut` of the userData set to 0)
+async function queryJoin(joinParams, sender, provider, balancerQueries = BALANCER_QUERIES) {
+  const queries = new ethers.Contract(balancerQueries, BALANCER_QUERIES_ABI, provider);
+  const { bptOut } = await queries.callStatic.queryJoin(joinParams.poolId, sender, joinParams.recipient, {
+    assets: joinParams.assets,
+    maxAmountsIn: joinParams.maxAmountsIn,
+    userData: encodeJoinUserData(joinParams.assetsIn, 0),
+    fromInternalBalance: false
+  });
+  return bptOut;
+}
+
+function encodeJoinParams(joinParams) {
+  return utils.defaultAbiCoder.encode([JOIN_PARAMS_TYPE], [joinParams]);
+}
+
+function decodeJoinParams(data) {
+  const [{ protocol, poolId, assets, assetsIn, maxAmountsIn, minOut, recipient }] = utils.defaultAbiCoder.decode(
+    [JOIN_PARAMS_TYPE], data
+  );
+  return toJoinParams({ protocol, poolId, assets, assetsIn, maxAmountsIn, minOut, recipient });
+}
+
+module.exports = {
+  JOIN_PROTOCOLS,
+  JOIN_KINDS,
+  JOIN_PARAMS_TYPE,
+  BALANCER_QUERIES,
+  toJoinParams,
+  getPoolAddress,
+  sortAssets,
+  getPoolAssets,
+  encodeJoinUserData,
+  getJoinMinOut,
+  buildBalancerJoin,
+  buildLeverJoin,
+  updateLeverJoin,
+  queryJoin,
+  encodeJoinParams,
+  decodeJoinParams
+};
+
+// Entry point of the differential tests (src/test/unit/JoinAction.differential.t.sol), called via `vm.ffi`:
+// `node scripts/join-params.js <function> <args...>` prints the ABI encoded JoinParams, lists are comma separated and
+// the slippage is a wad
+const list = (value) => value.split(',').filter((item) => item !== '');
+const FFI = {
+  balancer: ([poolId, assets, amounts, expectedOut, slippage, recipient]) => buildBalancerJoin({
+    poolId, assets: list(assets), amounts: list(amounts), expectedOut, slippage: BigNumber.from(slippage), recipient
+  }),
+  lever: ([poolId, assets, joinToken, expectedOut, slippage, recipient]) => buildLeverJoin({
+    poolId, assets: list(assets), joinToken, expectedOut, slippage: BigNumber.from(slippage), recipient
+  }).auxJoin,
+  updateLeverJoin: ([joinParams, upFrontToken, joinToken, flashLoanAmount, upFrontAmount]) => updateLeverJoin(
+    decodeJoinParams(joinParams), upFrontToken, joinToken, flashLoanAmount, upFrontAmount
+  )
+};
+
+if (require.main === module) {
+  const [name, ...args] = process.argv.slice(2);
+  if (!FFI[name]) {
+    console.error(`Usage: node scripts/join-params.js <${Object.keys(FFI).join('|')}> <args...>`);
+    process.exit(1);
+  }
+  process.stdout.write(encodeJoinParams(FFI[name](args)));
+}
@@ -0,0 +1,356 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+// Local SQLite ledger of the protocol's events, filled by scripts/indexer.js and queried by it. Amounts are stored as
+// decimal strings (uint256 and int256 do not fit SQLite integers) and are aggregated as BigNumbers. Every row is keyed
+// by its block number so that the events of reorged blocks can be rolled back.
+
+const { BigNumber, utils } = ethers;
+
+const EVENTS = [
+  // CDM
+  'event SetParameter(bytes32 indexed parameter, uint256 data)',
+  'event SetParameter(address indexed account, bytes32 indexed parameter, uint256 data)',
+  'event ModifyBalance(address indexed from, address indexed to, int256 balanceFrom, int256 balanceTo, uint256 globalDebt)',
+  // CDPVault, CDPVault_TypeA
+  'event ModifyPosition(address indexed position, int256 deltaCollateral, int256 deltaNormalDebt, uint256 totalNormalDebt)',
+  'event ModifyCollateralAndDebt(address indexed position, address indexed collateralizer, address indexed creditor, ' +
+    'int256 deltaCollateral, int256 deltaNormalDebt)',
+  'event AddLimitPriceTick(uint256 indexed limitPriceTick)',
+  'event RemoveLimitPriceTick(uint256 indexed limitPriceTick)',
+  'event CreateLimitOrder(uint256 indexed limitPriceTick, address indexed maker)',
+  'event CancelLimitOrder(uint256 indexed limitPriceTick, address indexed maker)',
+  'event ExecuteLimitOrder(uint256 indexed limitPriceTick, uint256 indexed limitOrderId, uint256 collateralRedeemed, ' +
+    'uint256 creditExchanged)',
+  'event Exchange(address indexed redeemer, uint256 creditExchanged, uint256 collateralRedeemed)',
+  'event LiquidatePosition(address indexed position, uint256 collateralReleased, uint256 normalDebtRepaid, ' +
+    'address indexed liquidator)',
+  // Buffer
+  'event BailOut(address indexed recipient, uint256 amount)',
+  // Flashlender
+  'event FlashLoan(address indexed receiver, address token, uint256 amount, uint256 fee)',
+  'event CreditFlashLoan(address indexed receiver, uint256 amount, uint256 fee)'
+];
+const EVENTS_INTERFACE = new utils.Interface(EVENTS);
+const EVENT_TOPICS = Object.values(EVENTS_INTERFACE.events).map((event) => EVENTS_INTERFACE.getEventTopic(event));
+
+// the account an event is about, used to look up the history of an account
+const ACCOUNT_ARGS = ['account', 'position', 'maker', 'redeemer', 'recipient', 'receiver'];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS contracts (address TEXT PRIMARY KEY, name TEXT NOT NULL, artifact TEXT NOT NULL);
+CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  address TEXT NOT NULL,
+  name TEXT NOT NULL,
+  account TEXT,
+  args TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_name ON events (name, address);
+CREATE INDEX IF NOT EXISTS events_account ON events (account);
+CREATE INDEX IF NOT EXISTS events_transaction ON events (transaction_hash);
+CREATE TABLE IF NOT EXISTS balances (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  account TEXT NOT NULL,
+  balance TEXT NOT NULL,
+  PRIMARY KEY (block_number, log_index, account)
+);
+CREATE INDEX IF NOT EXISTS balances_account ON balances (account, block_number);
+`;
+
+function openLedger(file) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  return db;
+}
+
+function getMeta(db, key) {
+  return db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+}
+
+function setMeta(db, key, value) {
+  db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+    .run(key, String(value));
+}
+
+// Returns the next block to index (null if nothing has been indexed yet)
+function getNextBlock(db) {
+  const value = getMeta(db, 'nextBlock');
+  return (value == null) ? null : Number(value);
+}
+
+// Records the contracts of the deployment file, by address
+function setContracts(db, contracts) {
+  const insert = db.prepare(
+    'INSERT INTO contracts (address, name, artifact) VALUES (?, ?, ?) ' +
+    'ON CONFLICT (address) DO UPDATE SET name = excluded.name, artifact = excluded.artifact'
+  );
+  db.transaction(() => {
+    for (const { address, name, artifact } of contracts) insert.run(utils.getAddress(address), name, artifact);
+  })();
+}
+
+function getContracts(db) {
+  return db.prepare('SELECT address, name, artifact FROM contracts ORDER BY name').all();
+}
+
+function toArgs(event) {
+  const args = {};
+  for (const [i, input] of event.eventFragment.inputs.entries()) {
+    const value = event.args[i];
+    args[input.name] = (BigNumber.isBigNumber(value)) ? value.toString() : value;
+  }
+  return args;
+}
+
+// Decodes the raw logs of `eth_getLogs`, skipping logs of events not in EVENTS
+function decodeLogs(logs) {
+  const events = [];
+  for (const log of logs) {
+    let event;
+    try {
+      event = EVENTS_INTERFACE.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    const args = toArgs(event);
+    events.push({
+      blockNumber: BigNumber.from(log.blockNumber).toNumber(),
+      blockHash: log.blockHash,
+      logIndex: BigNumber.from(log.logIndex).toNumber(),
+      transactionHash: log.transactionHash,
+      address: utils.getAddress(log.address),
+      name: event.name,
+      account: ACCOUNT_ARGS.map((name) => args[name]).find((value) => value != undefined) ?? null,
+      args
+    });
+  }
+  return events;
+}
+
+// Stores the decoded events of the blocks up to `toBlock` and the hashes and timestamps of their blocks
+// (`blocks`: { number, hash, timestamp }) and advances the next block to index, all or nothing
+function insertEvents(db, events, blocks, toBlock) {
+  const insertEvent = db.prepare(
+    'INSERT OR REPLACE INTO events (block_number, log_index, transaction_hash, address, name, account, args) ' +
+    'VALUES (?, ?, ?, ?, ?, ?, ?)'
+  );
+  const insertBalance = db.prepare(
+    'INSERT OR REPLACE INTO balances (block_number, log_index, account, balance) VALUES (?, ?, ?, ?)'
+  );
+  const insertBlock = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (?, ?, ?)');
+  db.transaction(() => {
+    for (const event of events) {
+      const { blockNumber, logIndex, args } = event;
+      insertEvent.run(
+        blockNumber, logIndex, event.transactionHash, event.address, event.name, event.account, JSON.stringify(args)
+      );
+      if (event.name === 'ModifyBalance') {
+        insertBalance.run(blockNumber, logIndex, args.from, args.balanceFrom);
+        insertBalance.run(blockNumber, logIndex, args.to, args.balanceTo);
+      }
+    }
+    for (const { number, hash, timestamp } of blocks) insertBlock.run(number, hash, timestamp ?? null);
+    setMeta(db, 'nextBlock', toBlock + 1);
+  })();
+}
+
+// Returns the most recent indexed blocks, newest first, to check them for reorgs
+function getRecentBlocks(db, count) {
+  return db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?').all(count);
+}
+
+// Removes everything indexed after `block` (e.g. the blocks of a reorg) and resumes indexing after it
+function rollback(db, block) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM events WHERE block_number > ?').run(block);
+    db.prepare('DELETE FROM balances WHERE block_number > ?').run(block);
+    db.prepare('DELETE FROM blocks WHERE number > ?').run(block);
+    setMeta(db, 'nextBlock', block + 1);
+  })();
+}
+
+// Removes everything indexed, indexing starts from scratch
+function resetLedger(db) {
+  db.transaction(() => {
+    for (const table of ['meta', 'contracts', 'blocks', 'events', 'balances']) db.prepare(`DELETE FROM ${table}`).run();
+  })();
+}
+
+function toEvent(row) {
+  return {
+    blockNumber: row.block_number,
+    logIndex: row.log_index,
+    timestamp: row.timestamp ?? null,
+    transactionHash: row.transaction_hash,
+    address: row.address,
+    name: row.name,
+    account: row.account,
+    args: JSON.parse(row.args)
+  };
+}
+
+// Returns the events (joined with the timestamp of their block) matching `where`, in the order they were emitted
+function queryEvents(db, where, params, { fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER } = {}) {
+  return db.prepare(
+    'SELECT events.*, blocks.timestamp FROM events LEFT JOIN blocks ON blocks.number = events.block_number ' +
+    `WHERE (${where}) AND events.block_number BETWEEN ? AND ? ORDER BY events.block_number, events.log_index`
+  ).all(...params, fromBlock, toBlock).map(toEvent);
+}
+
+// Returns the CDM balance of every account (or of `account`) as of `toBlock`, negative balances are debt drawn from
+// the account's debt ceiling
+function getBalances(db, { account, toBlock = Number.MAX_SAFE_INTEGER } = {}) {
+  return db.prepare(
+    'SELECT account, balance, block_number FROM (' +
+    '  SELECT account, balance, block_number, ROW_NUMBER() OVER (' +
+    '    PARTITION BY account ORDER BY block_number DESC, log_index DESC' +
+    '  ) AS row FROM balances WHERE block_number <= ? AND (? IS NULL OR account = ?)' +
+    ') WHERE row = 1'
+  ).all(toBlock, account ?? null, (account) ? utils.getAddress(account) : null).map((row) => ({
+    account: row.account,
+    balance: BigNumber.from(row.balance),
+    updatedAt: row.block_number
+  }));
+}
+
+// Returns the collateral and normal debt of the positions of `vault`, summed up from their ModifyPosition events
+function getPositions(db, vault, options) {
+  const positions = {};
+  for (const { account, args } of queryEvents(db, "name = 'ModifyPosition' AND address = ?", [vault], options)) {
+    const position = positions[account] ?? { collateral: BigNumber.from(0), normalDebt: BigNumber.from(0) };
+    positions[account] = {
+      collateral: position.collateral.add(args.deltaCollateral),
+      normalDebt: position.normalDebt.add(args.deltaNormalDebt)
+    };
+  }
+  return Object.entries(positions).map(([position, { collateral, normalDebt }]) => ({ position, collateral, normalDebt }));
+}
+
+// Returns the total normal debt of every vault (from its latest ModifyPosition event) and its number of positions
+// with debt
+function getVaultDebt(db, options) {
+  const vaults = {};
+  for (const { address, args } of queryEvents(db, "name = 'ModifyPosition'", [], options)) {
+    vaults[address] = BigNumber.from(args.totalNormalDebt);
+  }
+  return Object.entries(vaults).map(([vault, totalNormalDebt]) => ({
+    vault,
+    totalNormalDebt,
+    positionsWithDebt: getPositions(db, vault, options).filter(({ normalDebt }) => !normalDebt.isZero()).length
+  }));
+}
+
+// Returns the fees paid to the Buffer by the vaults (`claimFees`, which includes the share of the liquidation penalties)
+// and the fees of the Flashlender's flash loans
+function getFees(db, options) {
+  const buffer = db.prepare("SELECT address FROM contracts WHERE name = 'Buffer'").get()?.address ?? null;
+  const feeEvents = queryEvents(
+    db,
+    "(name = 'ModifyBalance' AND json_extract(args, '$.to') = ? AND json_extract(args, '$.from') IN " +
+    "(SELECT address FROM contracts WHERE artifact LIKE 'CDPVault%')) OR name IN ('FlashLoan', 'CreditFlashLoan')",
+    [buffer],
+    options
+  );
+  return feeEvents.map(({ name, args, ...event }) => {
+    if (name !== 'ModifyBalance') return { ...event, source: event.address, kind: 'flashLoan', amount: BigNumber.from(args.fee) };
+    // the amount transferred is the increase of the Buffer's balance
+    const amount = BigNumber.from(args.balanceTo).sub(getPreviousBalance(db, args.to, event));
+    return { ...event, source: args.from, kind: 'interest', amount };
+  });
+}
+
+function getPreviousBalance(db, account, { blockNumber, logIndex }) {
+  const row = db.prepare(
+    'SELECT balance FROM balances WHERE account = ? AND (block_number < ? OR (block_number = ? AND log_index < ?)) ' +
+    'ORDER BY block_number DESC, log_index DESC LIMIT 1'
+  ).get(account, blockNumber, blockNumber, logIndex);
+  return BigNumber.from(row?.balance ?? 0);
+}
+
+// Returns the liquidations of positions. CDPVault_TypeA declares but does not emit LiquidatePosition, so liquidations
+// are also derived from the ModifyPosition events of transactions without a ModifyCollateralAndDebt or Exchange event
+// of the same vault (i.e. `liquidatePositions`), the liquidator being the account that paid the vault's credit.
+function getLiquidations(db, options) {
+  const liquidations = queryEvents(db, "name = 'LiquidatePosition'", [], options).map(({ args, ...event }) => ({
+    ...event,
+    position: args.position,
+    liquidator: args.liquidator,
+    collateralReleased: BigNumber.from(args.collateralReleased),
+    normalDebtRepaid: BigNumber.from(args.normalDebtRepaid)
+  }));
+  const derived = queryEvents(
+    db,
+    "name = 'ModifyPosition' AND NOT EXISTS (SELECT 1 FROM events other WHERE " +
+    'other.transaction_hash = events.transaction_hash AND other.address = events.address AND ' +
+    "other.name IN ('ModifyCollateralAndDebt', 'Exchange', 'LiquidatePosition'))",
+    [],
+    options
+  );
+  for (const { args, ...event } of derived) {
+    const payment = db.prepare(
+      "SELECT json_extract(args, '$.from') AS liquidator FROM events WHERE transaction_hash = ? AND " +
+      "name = 'ModifyBalance' AND json_extract(args, '$.to') = ? LIMIT 1"
+    ).get(event.transactionHash, event.address);
+    liquidations.push({
+      ...event,
+      position: args.position,
+      liquidator: payment?.liquidator ?? null,
+      collateralReleased: BigNumber.from(args.deltaCollateral).mul(-1),
+      normalDebtRepaid: BigNumber.from(args.deltaNormalDebt).mul(-1)
+    });
+  }
+  return liquidations.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+// Returns the bail outs of the Buffer
+function getBailOuts(db, options) {
+  return queryEvents(db, "name = 'BailOut'", [], options).map(({ args, ...event }) => ({
+    ...event,
+    recipient: args.recipient,
+    amount: BigNumber.from(args.amount)
+  }));
+}
+
+// Returns the events of an account (as the position, maker, redeemer, recipient or receiver, or either side of a
+// ModifyBalance)
+function getAccountHistory(db, account, options) {
+  const address = utils.getAddress(account);
+  return queryEvents(
+    db,
+    "account = ? OR (name = 'ModifyBalance' AND (json_extract(args, '$.from') = ? OR json_extract(args, '$.to') = ?))",
+    [address, address, address],
+    options
+  );
+}
+
+module.exports = {
+  EVENTS,
+  EVENT_TOPICS,
+  openLedger,
+  getMeta,
+  setMeta,
+  getNextBlock,
+  setContracts,
+  getContracts,
+  decodeLogs,
+  insertEvents,
+  getRecentBlocks,
+  rollback,
+  resetLedger,
+  queryEvents,
+  getBalances,
+  getPositions,
+  getVaultDebt,
+  getFees,
+  getLiquidations,
+  getBailOuts,
+  getAccountHistory
+};
@@ -0,0 +1,215 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const { createSafeBatch, addSafeTransaction, writeSafeBatch } = require('./safe.js');
+const { toWad, fromWad, loadDeployedVault, getPriceTicks } = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const WAD = ethers.constants.WeiPerEther;
+const COMMANDS = ['book', 'preview', 'reconcile', 'create-order', 'cancel-order'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/limit-orders.js <command> --vault <vault> [options]
+
+Commands:
+  book          print all price ticks and limit orders of the vault (makers, debt, collateral and fillable credit)
+  preview       simulate exchanging --credit for collateral via exchangePreview
+  reconcile     compare the price ticks on chain with exchange.limitPriceTicks in scripts/config.js and print the
+                addLimitPriceTick and removeLimitPriceTick calls required (sent with --apply, exported with --safe)
+  create-order  create a limit order at --tick for the signer's position
+  cancel-order  cancel the limit order of the signer's position
+
+Options:
+  --vault <vault>        vault config key (e.g. WETH), deployment name or address
+  --credit <amount>      credit to exchange [wad] (preview)
+  --upper-tick <tick>    highest price tick to exchange at [wad] (preview, default: all price ticks)
+  --tick <tick>          price tick of the limit order [wad] (create-order)
+  --apply                send the reconcile transactions from the signer (requires the TICK_MANAGER_ROLE)
+  --safe <address>       export the reconcile transactions as a Safe Transaction Builder batch
+  --help                 show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      vault: { type: 'string' },
+      credit: { type: 'string' },
+      'upper-tick': { type: 'string' },
+      tick: { type: 'string' },
+      apply: { type: 'boolean', default: false },
+      safe: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+function required(options, name) {
+  if (options[name] == undefined) throw new Error(`--${name} is required`);
+  return options[name];
+}
+
+// Returns the limit order ids of a price tick from the oldest to the newest (the order in which they are executed)
+async function getLimitOrderIds(vault, priceTick) {
+  const limitOrderIds = [];
+  for (let index = 0; ; index++) {
+    const limitOrderId = await vault.getLimitOrder(priceTick, index);
+    if (limitOrderId.isZero()) break;
+    limitOrderIds.push(limitOrderId);
+  }
+  return limitOrderIds;
+}
+
+// Reconstructs the order book. The credit an order can fill is estimated as in `_settleDebtAndReleaseCollateral`:
+// the position's debt bounded by its collateral valued at the price tick. Orders of unsafe positions are skipped.
+async function getOrderBook(vault) {
+  const spotPrice = await vault.spotPrice();
+  const { liquidationRatio } = await vault.vaultConfig();
+  const book = [];
+  for (const { priceTick, isActive } of await getPriceTicks(vault)) {
+    const settlementRate = priceTick.mul(spotPrice).div(WAD);
+    const orders = [];
+    for (const limitOrderId of await getLimitOrderIds(vault, priceTick)) {
+      const maker = ethers.utils.getAddress(ethers.utils.hexZeroPad(limitOrderId.toHexString(), 20));
+      const { collateral, normalDebt } = await vault.positions(maker);
+      const [rateAccumulator, accruedRebate] = await vault.virtualIRS(maker);
+      const debt = normalDebt.mul(rateAccumulator).div(WAD).sub(accruedRebate);
+      const isSafe = collateral.mul(spotPrice).div(liquidationRatio).gte(debt);
+      const collateralValue = collateral.mul(settlementRate).add(WAD.sub(1)).div(WAD);
+      const fillable = (!isActive || !isSafe) ? ethers.constants.Zero : (debt.lt(collateralValue) ? debt : collateralValue);
+      orders.push({ maker, collateral, debt, isSafe, fillable });
+    }
+    const rebateFactor = await vault.calculateRebateFactorForPriceTick(priceTick);
+    const depth = orders.reduce((sum, { fillable }) => sum.add(fillable), ethers.constants.Zero);
+    book.push({ priceTick, isActive, rebateFactor, orders, depth });
+  }
+  return { spotPrice, book };
+}
+
+async function printBook(name, vault) {
+  const { spotPrice, book } = await getOrderBook(vault);
+  console.log(`${name} (${vault.address}), spot price ${fromWad(spotPrice)}`);
+  let total = ethers.constants.Zero;
+  for (const { priceTick, isActive, rebateFactor, orders, depth } of book) {
+    total = total.add(depth);
+    console.log('------------------------------------');
+    console.log(
+      `Price tick ${fromWad(priceTick)}${isActive ? '' : ' (inactive)'}: price ${fromWad(priceTick.mul(spotPrice).div(WAD))}, ` +
+      `rebate factor ${fromWad(rebateFactor)}, ${orders.length} orders, depth ${fromWad(depth)} (cumulative ${fromWad(total)})`
+    );
+    for (const { maker, collateral, debt, isSafe, fillable } of orders) {
+      console.log(
+        `  ${maker}: collateral ${fromWad(collateral)}, debt ${fromWad(debt)}, fillable ${fromWad(fillable)}` +
+        `${isSafe ? '' : ' (unsafe, skipped)'}`
+      );
+    }
+  }
+  console.log('------------------------------------');
+  console.log(`Total depth: ${fromWad(total)} credit`);
+}
+
+// `exchangePreview` can only be called statically from the zero address and reverts if the credit is not filled
+async function preview(vault, options) {
+  const credit = toWad(required(options, 'credit'));
+  const upperTick = (options['upper-tick'] != undefined) ? toWad(options['upper-tick']) : ethers.constants.MaxUint256;
+  try {
+    const { creditExchanged, collateralExchanged } = await vault.connect(ethers.provider).callStatic.exchangePreview(
+      upperTick, credit, { from: ethers.constants.AddressZero }
+    );
+    console.log(`Exchanging ${fromWad(creditExchanged)} credit returns ${fromWad(collateralExchanged)} collateral`);
+    console.log(`Average price: ${fromWad(creditExchanged.mul(WAD).div(collateralExchanged))}`);
+  } catch (error) {
+    const { book } = await getOrderBook(vault);
+    const depth = book.filter(({ priceTick }) => priceTick.lte(upperTick))
+      .reduce((sum, { depth }) => sum.add(depth), ethers.constants.Zero);
+    console.log(`Preview reverted: ${error.reason || error.message}`);
+    console.log(`Estimated depth up to the upper price tick: ${fromWad(depth)} credit`);
+    process.exitCode = 1;
+  }
+}
+
+// Returns the addLimitPriceTick and removeLimitPriceTick calls which turn the price ticks on chain into `configTicks`.
+// Ticks are removed first and added in ascending order, each before the next higher tick already in the list.
+function diffPriceTicks(chainTicks, configTicks) {
+  const calls = [];
+  const configured = configTicks.map((tick) => ethers.BigNumber.from(tick).toString());
+  const ticks = [];
+  for (const { priceTick } of chainTicks) {
+    if (configured.includes(priceTick.toString())) ticks.push(priceTick);
+    else calls.push({ method: 'removeLimitPriceTick', args: [priceTick] });
+  }
+  for (const tick of configured.map((tick) => ethers.BigNumber.from(tick)).sort((a, b) => (a.lt(b) ? -1 : 1))) {
+    if (ticks.some((t) => t.eq(tick))) continue;
+    const nextTick = ticks.find((t) => t.gt(tick)) || ethers.constants.Zero;
+    calls.push({ method: 'addLimitPriceTick', args: [tick, nextTick] });
+    ticks.push(tick);
+    ticks.sort((a, b) => (a.lt(b) ? -1 : 1));
+  }
+  return calls;
+}
+
+async function reconcile(name, vault, vaultConfig, options) {
+  if (!vaultConfig) throw new Error(`${name} is not part of scripts/config.js`);
+  const chainTicks = await getPriceTicks(vault);
+  const calls = diffPriceTicks(chainTicks, vaultConfig.exchange.limitPriceTicks);
+  if (calls.length == 0) {
+    console.log(`The price ticks of ${name} match scripts/config.js`);
+    return;
+  }
+
+  for (const { method, args: [tick, nextTick] } of calls) {
+    const orders = (method === 'removeLimitPriceTick') ? (await getLimitOrderIds(vault, tick)).length : 0;
+    console.log(
+      `${method}(${fromWad(tick)}${(nextTick) ? `, ${fromWad(nextTick)}` : ''})` +
+      `${(orders) ? ` - ${orders} limit orders at this price tick can no longer be executed` : ''}`
+    );
+  }
+
+  if (options.safe) {
+    const batch = createSafeBatch(
+      (await ethers.provider.getNetwork()).chainId, ethers.utils.getAddress(options.safe), `Reconcile ${name} price ticks`
+    );
+    for (const { method, args } of calls) addSafeTransaction(batch, vault, method, args);
+    const safeBatchFilePath = path.join(__dirname, '.', `safe-batch-ticks-${hre.network.name}.json`);
+    writeSafeBatch(batch, safeBatchFilePath);
+    console.log(`Exported ${calls.length} transactions for the Safe to ${safeBatchFilePath}`);
+  } else if (options.apply) {
+    for (const { method, args } of calls) {
+      await (await vault[method](...args)).wait();
+      console.log(`Sent ${method}(${args.map((arg) => fromWad(arg)).join(', ')})`);
+    }
+  }
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const { name, vault, vaultConfig } = await loadDeployedVault(required(options, 'vault'), CONFIG);
+  if (command === 'book') await printBook(name, vault);
+  else if (command === 'preview') await preview(vault, options);
+  else if (command === 'reconcile') await reconcile(name, vault, vaultConfig, options);
+  else if (command === 'create-order') {
+    await (await vault.createLimitOrder(toWad(required(options, 'tick')))).wait();
+    console.log(`Created a limit order at price tick ${options.tick} on ${name}`);
+  } else if (command === 'cancel-order') {
+    await (await vault.cancelLimitOrder()).wait();
+    console.log(`Cancelled the limit order on ${name}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
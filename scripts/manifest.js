@@ -0,0 +1,253 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+
+const { getDeployedArtifactName } = require('./verify-contracts.js');
+const { getDeploymentFilePath, getMetadataFilePath } = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+// Version 1 is the plain format which only recorded the address, artifact and constructor arguments of every contract
+const MANIFEST_VERSION = 2;
+const COMMANDS = ['migrate', 'check', 'history'];
+// Foundry's artifacts (`make build`), the bytecode of the deployed contracts is compared against them
+const FOUNDRY_OUT = path.join(__dirname, '..', 'out');
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/manifest.js <command> [options]
+
+scripts/deployment-<network>.json is the deployment manifest of a network. Besides the address, artifact and
+constructor arguments it records for every contract the deployment transaction, block and deployer, the git commit it
+was deployed from, the compiler settings and the hash of its runtime bytecode and of the matching artifact in out/.
+Redeployed and upgraded contracts keep their previous records in \`history\`.
+
+Commands:
+  migrate  convert a deployment file of the previous format (and the vaults and environment of
+           scripts/metadata-<network>.json) to the manifest format, the previous file is kept as
+           scripts/deployment-<network>.json.v1
+  check    compare the bytecode of the deployed contracts with the hashes in the manifest and the artifacts in out/
+  history  print the records of a contract (--contract) or of all contracts
+
+Options:
+  --contract <name>  deployment name of a contract (history)
+  --offline          do not query the chain, the bytecode hashes are left empty (migrate)
+  --help             show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      contract: { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+// Returns the checked out commit, suffixed with -dirty if the working tree has uncommitted changes
+function getGitCommit() {
+  try {
+    const commit = execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    const dirty = execSync('git status --porcelain --untracked-files=no', { stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString().trim() != '';
+    return (dirty) ? `${commit}-dirty` : commit;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadFoundryArtifact(artifactName) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(artifactName);
+  const artifactPath = path.join(FOUNDRY_OUT, path.basename(sourceName), `${contractName}.json`);
+  return fs.existsSync(artifactPath) ? JSON.parse(fs.readFileSync(artifactPath)) : null;
+}
+
+// Hashes runtime bytecode without the values of its immutables (zeroed, as in the artifact) and without the CBOR
+// encoded metadata appended by solc, which differs between the hardhat and the forge build of the same sources
+function hashBytecode(bytecode, immutableReferences = {}) {
+  const code = ethers.utils.arrayify(bytecode);
+  if (code.length == 0) return null;
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) code.fill(0, start, start + length);
+  }
+  const metadataLength = (code.length >= 2) ? ((code[code.length - 2] << 8) | code[code.length - 1]) + 2 : 0;
+  return ethers.utils.keccak256((metadataLength <= code.length) ? code.slice(0, code.length - metadataLength) : code);
+}
+
+// Returns the positions of the immutables in the runtime bytecode of the hardhat build the contracts are deployed from
+async function getImmutableReferences(artifactName) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(artifactName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  return buildInfo?.output.contracts[sourceName][contractName].evm.deployedBytecode.immutableReferences || {};
+}
+
+// Returns the bytecode hash of the deployed contract, the hash of its artifact in out/ and the compiler settings of the
+// artifact (the settings of hardhat.config.js if the contracts are not built with forge)
+async function getBytecodeRecord(address, artifactName, offline = false) {
+  const artifact = await loadFoundryArtifact(artifactName);
+  const object = artifact?.deployedBytecode?.object;
+  // the immutables are located with the build the bytecode is compared with, their positions differ between the forge
+  // and the hardhat build: out/ or, without an artifact in out/, the hardhat build the contracts are deployed from
+  const immutableReferences = (object)
+    ? artifact.deployedBytecode.immutableReferences || {}
+    : await getImmutableReferences(artifactName);
+  const { version, settings } = artifact?.metadata?.compiler
+    ? { version: artifact.metadata.compiler.version, settings: artifact.metadata.settings }
+    : hre.config.solidity.compilers[0];
+  return {
+    bytecodeHash: (offline) ? null : hashBytecode(await ethers.provider.getCode(address), immutableReferences),
+    artifactBytecodeHash: (object) ? hashBytecode(object, immutableReferences) : null,
+    compiler: { version, optimizer: settings.optimizer, evmVersion: settings.evmVersion, viaIR: settings.viaIR }
+  };
+}
+
+// Returns the manifest record of a contract. The deployment transaction and the checked out commit are only recorded
+// for contracts deployed by the running script (`transactionHash`).
+async function createDeploymentRecord(deployment, isVault, name, entry, offline = false) {
+  const { address, artifactName, constructorArguments = [], transactionHash = null } = entry;
+  const receipt = (transactionHash) ? await ethers.provider.getTransactionReceipt(transactionHash) : null;
+  const block = (receipt) ? await ethers.provider.getBlock(receipt.blockNumber) : null;
+  const core = { ...deployment.core, ...(isVault ? {} : { [name]: entry }) };
+  return {
+    address: ethers.utils.getAddress(address),
+    artifactName,
+    constructorArguments,
+    transactionHash,
+    blockNumber: receipt?.blockNumber ?? null,
+    deployedAt: (block) ? new Date(block.timestamp * 1000).toISOString() : null,
+    deployer: receipt?.from ?? null,
+    gitCommit: (transactionHash) ? getGitCommit() : null,
+    ...(await getBytecodeRecord(address, (isVault) ? artifactName : getDeployedArtifactName(core, name), offline))
+  };
+}
+
+// Stores a record in the manifest, the current record of the contract is moved to its history if the address changed
+function storeDeploymentRecord(deployment, isVault, name, record) {
+  const key = (isVault) ? 'vaults' : 'core';
+  if (deployment[key] == undefined) deployment[key] = {};
+  const { history = [], ...previous } = deployment[key][name] || {};
+  const redeployed = previous.address && previous.address.toLowerCase() !== record.address.toLowerCase();
+  deployment[key][name] = { ...record, history: (redeployed) ? [...history, previous] : history };
+}
+
+async function writeDeploymentFile(deployment) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const { manifest, ...contracts } = deployment;
+  const deploymentFile = { manifest: { version: MANIFEST_VERSION, network: hre.network.name, chainId }, ...contracts };
+  fs.writeFileSync(await getDeploymentFilePath(), JSON.stringify(deploymentFile, null, 2));
+}
+
+// Converts the entries of a version 1 deployment file. Their deployment transactions were not recorded, the bytecode
+// hashes are taken from the chain. Vaults which are only recorded in the metadata file are added to the manifest and
+// the external contracts of the metadata's environment (e.g. PRBProxyRegistry) are kept in its `environment`.
+async function migrate(options) {
+  const deploymentFilePath = await getDeploymentFilePath();
+  if (!fs.existsSync(deploymentFilePath)) throw new Error(`${deploymentFilePath} not found`);
+  const deployment = JSON.parse(fs.readFileSync(deploymentFilePath));
+  if (deployment.manifest?.version >= MANIFEST_VERSION) {
+    console.log(`${deploymentFilePath} is already a version ${deployment.manifest.version} manifest`);
+    return;
+  }
+  const metadataFilePath = await getMetadataFilePath();
+  const metadata = fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
+  const vaults = { ...deployment.vaults };
+  for (const [address, { contractName, artifactName }] of Object.entries(metadata.vaults || {})) {
+    if (Object.values(vaults).some((vault) => vault.address.toLowerCase() === address.toLowerCase())) continue;
+    if (!contractName || !artifactName) throw new Error(`Vault ${address} of ${metadataFilePath} has no contractName`);
+    console.log(`Adding ${contractName} (${address}) from ${metadataFilePath}`);
+    vaults[contractName] = { address, artifactName, constructorArguments: [] };
+  }
+
+  const migrated = { core: {}, vaults: {} };
+  for (const [key, isVault] of [['core', false], ['vaults', true]]) {
+    for (const [name, entry] of Object.entries((isVault) ? vaults : deployment.core || {})) {
+      const record = await createDeploymentRecord(deployment, isVault, name, entry, options.offline);
+      migrated[key][name] = { ...record, history: [] };
+      const matches = (record.bytecodeHash && record.artifactBytecodeHash)
+        ? ` (${(record.bytecodeHash === record.artifactBytecodeHash) ? 'matches' : 'does not match'} out/)` : '';
+      console.log(`Migrated ${name}${matches}`);
+    }
+  }
+  // not named *.json such that it is not picked up as the deployment of another network (e.g. by generate-ts-bindings.js)
+  fs.copyFileSync(deploymentFilePath, `${deploymentFilePath}.v1`);
+  await writeDeploymentFile({ ...migrated, ...(metadata.environment ? { environment: metadata.environment } : {}) });
+  console.log(`Migrated ${deploymentFilePath} to a version ${MANIFEST_VERSION} manifest`);
+}
+
+// Compares the deployed bytecode with the recorded hash and with the artifact in out/
+async function check() {
+  const deploymentFilePath = await getDeploymentFilePath();
+  const deployment = fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
+  if (deployment.manifest == undefined) throw new Error(`${deploymentFilePath} is not a manifest, run \`migrate\` first`);
+  let mismatches = 0;
+  for (const [isVault, entries] of [[false, deployment.core || {}], [true, deployment.vaults || {}]]) {
+    for (const [name, record] of Object.entries(entries)) {
+      const artifactName = (isVault) ? record.artifactName : getDeployedArtifactName(deployment.core, name);
+      const { bytecodeHash, artifactBytecodeHash } = await getBytecodeRecord(record.address, artifactName);
+      const issues = [];
+      if (bytecodeHash == null) issues.push('no bytecode on chain');
+      else if (record.bytecodeHash && bytecodeHash !== record.bytecodeHash) issues.push('bytecode changed since it was recorded');
+      if (artifactBytecodeHash == null) issues.push(`no ${artifactName} artifact in out/`);
+      else if (bytecodeHash && bytecodeHash !== artifactBytecodeHash) issues.push(`bytecode differs from out/ (${artifactName})`);
+      if (issues.length > 0) mismatches++;
+      console.log(`${(issues.length > 0) ? '*' : ' '} ${name} (${record.address}): ${issues.join(', ') || 'ok'}`);
+    }
+  }
+  console.log('------------------------------------');
+  if (mismatches == 0) console.log(`The bytecode of all contracts on ${hre.network.name} matches the manifest and out/`);
+  else console.log(`${mismatches} contract(s) do not match the manifest or out/ (run \`make build\` for the artifacts)`);
+  if (mismatches > 0) process.exitCode = 1;
+}
+
+async function history(options) {
+  const deployment = JSON.parse(fs.readFileSync(await getDeploymentFilePath()));
+  const entries = Object.entries({ ...deployment.core, ...deployment.vaults })
+    .filter(([name]) => !options.contract || name === options.contract);
+  if (entries.length == 0) throw new Error(`${options.contract} not found in the deployment file of ${hre.network.name}`);
+  for (const [name, { history = [], ...current }] of entries) {
+    console.log(`${name}`);
+    for (const [i, record] of [...history, current].entries()) {
+      const label = (i == history.length) ? 'current' : `#${i}`;
+      const deployed = (record.blockNumber) ? ` block ${record.blockNumber} by ${record.deployer}` : '';
+      const commit = (record.gitCommit) ? ` at ${record.gitCommit.slice(0, 12)}` : '';
+      console.log(`  ${label.padEnd(8)} ${record.address} ${record.artifactName}${deployed}${commit}`);
+    }
+  }
+}
+
+module.exports = {
+  MANIFEST_VERSION,
+  getGitCommit,
+  hashBytecode,
+  getImmutableReferences,
+  createDeploymentRecord,
+  storeDeploymentRecord,
+  writeDeploymentFile
+};
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  if (command === 'migrate') await migrate(options);
+  else if (command === 'check') await check();
+  else if (command === 'history') await history(options);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,505 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const { wmul, wdiv } = require('./interest-rate-model.js');
+const {
+  toWad,
+  fromWad,
+  loadDeploymentFile,
+  loadMetadataFile,
+  loadDeployedVault,
+  attachContract,
+  getIndexFilePath
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const COMMANDS = ['run', 'history'];
+const ALERT_LEVELS = ['info', 'warning', 'critical'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/monitor-oracles.js <command> [options]
+
+Polls the oracle of every vault in scripts/deployment-<network>.json (the oracle and its type are taken from
+scripts/metadata-<network>.json) and records their status and spot price in scripts/monitor-oracles-<network>.json.
+The spot price is recomputed from the sources of the oracle (the Chainlink aggregator rounds, the Curve virtual price,
+the Yearn lens price and price per share) and alerts are raised when getStatus() turns false, spot() reverts, a feed
+is stale or about to go stale, or a price deviates by more than the thresholds below.
+
+Commands:
+  run      check the oracles, every --interval seconds with --watch
+  history  print the recorded spot prices of the oracles (of --vault)
+
+Options:
+  --vault <vault>               only this vault, by config key, deployment name or address (can be repeated)
+  --max-deviation <fraction>    max. deviation of spot() from the price recomputed from the sources (default: 0.001)
+  --max-change <fraction>       max. change of the spot price between two checks and of an aggregator's answer
+                                between two rounds (default: 0.05)
+  --max-feed-spread <fraction>  max. spread between the three feeds of a Chainlink3PoolOracle (default: 0.02)
+  --stale-buffer <seconds>      warn this long before a feed exceeds the stale period of the oracle (default: 3600)
+  --json                        print the alerts as JSON lines instead of text
+  --alerts-file <file>          also append the alerts as JSON lines to <file>
+  --webhook <url>               also POST the alerts as JSON to <url> (can be repeated)
+  --webhook-level <level>       min. level of the alerts sent to the webhooks: info, warning or critical
+                                (default: warning)
+  --webhook-timeout <seconds>   timeout of a webhook request (default: 10)
+  --history <n>                 number of checks kept per oracle (run) or printed (history) (default: 1000)
+  --watch                       keep monitoring, every --interval seconds (run)
+  --interval <seconds>          polling interval in watch mode (default: 60)
+  --reset                       discard the recorded history and alerts
+  --help                        show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      vault: { type: 'string', multiple: true },
+      'max-deviation': { type: 'string', default: '0.001' },
+      'max-change': { type: 'string', default: '0.05' },
+      'max-feed-spread': { type: 'string', default: '0.02' },
+      'stale-buffer': { type: 'string', default: '3600' },
+      json: { type: 'boolean', default: false },
+      'alerts-file': { type: 'string' },
+      webhook: { type: 'string', multiple: true },
+      'webhook-level': { type: 'string', default: 'warning' },
+      'webhook-timeout': { type: 'string', default: '10' },
+      history: { type: 'string', default: '1000' },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '60' },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (!ALERT_LEVELS.includes(options['webhook-level'])) {
+    throw new Error(`--webhook-level has to be one of ${ALERT_LEVELS.join(', ')}`);
+  }
+  return { command: positionals[0], options };
+}
+
+function loadState(options) {
+  const stateFilePath = getIndexFilePath('monitor-oracles');
+  return (!options.reset && fs.existsSync(stateFilePath)) ? JSON.parse(fs.readFileSync(stateFilePath)) : { oracles: {} };
+}
+
+function storeState(state) {
+  fs.writeFileSync(getIndexFilePath('monitor-oracles'), JSON.stringify(state, null, 2));
+}
+
+/*//////////////////////////////////////////////////////////////
+                              SINKS
+//////////////////////////////////////////////////////////////*/
+
+function formatAlert({ level, vault, oracleType, oracle, message }) {
+  return `${level.toUpperCase().padEnd(8)} ${(vault) ? `${vault} (${oracleType} ${oracle})` : 'monitor'}: ${message}`;
+}
+
+// Sinks receive every alert raised or resolved in a check via `send(alert)`, a failing sink does not stop the others
+const SINKS = {
+  stdout: (options) => ({
+    name: 'stdout',
+    send: async (alert) => console.log((options.json) ? JSON.stringify(alert) : formatAlert(alert))
+  }),
+  file: (options) => ({
+    name: options['alerts-file'],
+    send: async (alert) => fs.appendFileSync(options['alerts-file'], `${JSON.stringify(alert)}\n`)
+  }),
+  // `text` for Slack style chat webhooks, `alert` for everything else
+  webhook: (options, url) => ({
+    name: url,
+    minLevel: options['webhook-level'],
+    send: async (alert) => {
+      const timeout = Number(options['webhook-timeout']);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: formatAlert(alert), alert }),
+        signal: AbortSignal.timeout(timeout * 1000)
+      }).catch((error) => {
+        // depending on the fetch implementation the timeout surfaces as a TimeoutError or as an AbortError
+        if (['TimeoutError', 'AbortError'].includes(error.name)) throw new Error(`no response within ${timeout}s`);
+        throw error;
+      });
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    }
+  })
+};
+
+function createSinks(options) {
+  const sinks = [SINKS.stdout(options)];
+  if (options['alerts-file']) sinks.push(SINKS.file(options));
+  for (const url of options.webhook || []) sinks.push(SINKS.webhook(options, url));
+  return sinks;
+}
+
+async function sendAlerts(sinks, alerts) {
+  for (const sink of sinks) {
+    const minLevel = ALERT_LEVELS.indexOf(sink.minLevel || 'info');
+    for (const alert of alerts.filter(({ level }) => ALERT_LEVELS.indexOf(level) >= minLevel)) {
+      try {
+        await sink.send(alert);
+      } catch (error) {
+        console.log(`Failed to send the alert to ${sink.name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/*//////////////////////////////////////////////////////////////
+                             CHECKS
+//////////////////////////////////////////////////////////////*/
+
+// Relative deviation of `value` from `reference` [wad]
+function getDeviation(value, reference) {
+  if (reference.isZero()) return (value.isZero()) ? ethers.BigNumber.from(0) : ethers.constants.MaxUint256;
+  return wdiv(value.sub(reference).abs(), reference);
+}
+
+function formatPercent(deviation) {
+  return (deviation.eq(ethers.constants.MaxUint256)) ? 'inf' : `${fromWad(deviation.mul(100))}%`;
+}
+
+async function tryCall(fn) {
+  try {
+    return await fn();
+  } catch {
+    return null;
+  }
+}
+
+// Validates the latest round of an aggregator as ChainlinkOracle._fetchAndValidate does and compares its answer to the
+// previous round. Returns the price [wad] or null if the round is invalid.
+async function checkAggregator(label, aggregator, stalePeriod, check, options) {
+  const { blockTag, timestamp, findings } = check;
+  const round = await tryCall(() => aggregator.latestRoundData({ blockTag }));
+  if (round == null) {
+    findings.push({ key: `aggregator:${label}`, level: 'critical', message: `${label} ${aggregator.address} reverts` });
+    return null;
+  }
+  const scale = ethers.BigNumber.from(10).pow(await aggregator.decimals({ blockTag }));
+  const { roundId, answer, updatedAt, answeredInRound } = round;
+  const age = timestamp - updatedAt.toNumber();
+  if (answer.lte(0)) {
+    findings.push({ key: `answer:${label}`, level: 'critical', message: `${label} answered ${answer} in round ${roundId}` });
+    return null;
+  }
+  if (answeredInRound.lt(roundId)) {
+    findings.push({
+      key: `round:${label}`, level: 'critical', message: `${label} round ${roundId} was answered in round ${answeredInRound}`
+    });
+    return null;
+  }
+  if (age > stalePeriod) {
+    findings.push({
+      key: `stale:${label}`, level: 'critical',
+      message: `${label} was last updated ${age}s ago, the stale period is ${stalePeriod}s`
+    });
+    return null;
+  }
+  if (age > stalePeriod - Number(options['stale-buffer'])) {
+    findings.push({
+      key: `stale:${label}`, level: 'warning',
+      message: `${label} was last updated ${age}s ago and goes stale in ${stalePeriod - age}s`
+    });
+  }
+
+  // round ids are only consecutive within a phase of the aggregator, the previous round is skipped across phases
+  const previous = await tryCall(() => aggregator.getRoundData(roundId.sub(1), { blockTag }));
+  if (previous?.answer.gt(0)) {
+    const change = getDeviation(answer, previous.answer);
+    if (change.gt(toWad(options['max-change']))) {
+      findings.push({
+        key: `round-change:${label}`, level: 'warning',
+        message: `${label} moved ${formatPercent(change)} from ${fromWad(wdiv(previous.answer, scale))} to ` +
+          `${fromWad(wdiv(answer, scale))} in round ${roundId}`
+      });
+    }
+  }
+  return wdiv(answer, scale);
+}
+
+// Recomputes the spot price of the oracle from its sources, null if one of them is invalid
+const REFERENCES = {
+  ChainlinkOracle: async (oracle, token, check, options) => {
+    const { blockTag } = check;
+    const aggregator = await attachContract('AggregatorV3Interface', await oracle.aggregator({ blockTag }));
+    const stalePeriod = (await oracle.stalePeriod({ blockTag })).toNumber();
+    return await checkAggregator('aggregator', aggregator, stalePeriod, check, options);
+  },
+  Chainlink3PoolOracle: async (oracle, token, check, options) => {
+    const { blockTag, findings } = check;
+    const stalePeriod = (await oracle.stalePeriod({ blockTag })).toNumber();
+    const prices = [];
+    for (const label of ['aggregator1', 'aggregator2', 'aggregator3']) {
+      const aggregator = await attachContract('AggregatorV3Interface', await oracle[label]({ blockTag }));
+      prices.push(await checkAggregator(label, aggregator, stalePeriod, check, options));
+    }
+    if (prices.includes(null)) return null;
+
+    const [minPrice, maxPrice] = prices.reduce(([min, max], price) => [
+      (price.lt(min)) ? price : min, (price.gt(max)) ? price : max
+    ], [prices[0], prices[0]]);
+    const spread = getDeviation(maxPrice, minPrice);
+    if (spread.gt(toWad(options['max-feed-spread']))) {
+      findings.push({
+        key: 'feed-spread', level: 'warning',
+        message: `the feeds are ${formatPercent(spread)} apart (${prices.map((price) => fromWad(price)).join(', ')})`
+      });
+    }
+    const curvePool = await attachContract('ICurvePool', await oracle.curvePool({ blockTag }));
+    const virtualPrice = await tryCall(() => curvePool.get_virtual_price({ blockTag }));
+    if (virtualPrice == null) {
+      findings.push({ key: 'curve-pool', level: 'critical', message: `get_virtual_price of ${curvePool.address} reverts` });
+      return null;
+    }
+    check.sample.virtualPrice = virtualPrice.toString();
+    return wmul(minPrice, virtualPrice);
+  },
+  YearnOracle: async (oracle, token, check, options) => {
+    const { blockTag, findings, previous } = check;
+    const lens = await attachContract('IYearnLensOracle', await oracle.oracle({ blockTag }));
+    const vault = await attachContract('IYVault', await oracle.vault({ blockTag }));
+    const vaultToken = await oracle.vaultTokenAddress({ blockTag });
+    const isV1Vault = await oracle.isV1Vault({ blockTag });
+    const vaultTokenScale = await oracle.vaultTokenScale({ blockTag });
+
+    const underlyingPrice = await tryCall(() => lens.getPriceUsdcRecommended(vaultToken, { blockTag }));
+    if (underlyingPrice == null || underlyingPrice.isZero()) {
+      findings.push({
+        key: 'lens', level: 'critical', message: `the Yearn lens ${lens.address} has no price for ${vaultToken}`
+      });
+      return null;
+    }
+    const pricePerShare = await tryCall(() => (
+      (isV1Vault) ? vault.getPricePerFullShare({ blockTag }) : vault.pricePerShare({ blockTag })
+    ));
+    if (pricePerShare == null || pricePerShare.isZero()) {
+      findings.push({ key: 'price-per-share', level: 'critical', message: `no price per share from ${vault.address}` });
+      return null;
+    }
+    // the price per share of a Yearn vault only decreases if the vault took a loss
+    if (previous?.pricePerShare != undefined && pricePerShare.lt(previous.pricePerShare)) {
+      findings.push({
+        key: 'price-per-share', level: 'warning',
+        message: `the price per share of ${vault.address} dropped ` +
+          `${formatPercent(getDeviation(pricePerShare, ethers.BigNumber.from(previous.pricePerShare)))} ` +
+          `from ${previous.pricePerShare} to ${pricePerShare}`
+      });
+    }
+    check.sample.pricePerShare = pricePerShare.toString();
+    // YearnOracle scales the 6 decimals USDC price of the lens to a wad
+    return underlyingPrice.mul(pricePerShare).mul(1e12).div(vaultTokenScale);
+  }
+};
+
+async function checkOracle(entry, block, options) {
+  const { vault, token, oracleType } = entry;
+  const previous = entry.history.at(-1);
+  const check = {
+    blockTag: block.number,
+    timestamp: block.timestamp,
+    previous,
+    findings: [],
+    sample: { block: block.number, timestamp: block.timestamp }
+  };
+  const oracle = await attachContract(REFERENCES[oracleType] ? oracleType : 'IOracle', entry.oracle);
+
+  const status = await tryCall(() => oracle.getStatus(token, { blockTag: block.number }));
+  const spot = await tryCall(() => oracle.spot(token, { blockTag: block.number }));
+  if (status !== true) {
+    check.findings.push({
+      key: 'status', level: 'critical',
+      message: (status == null) ? 'getStatus() reverts'
+        : (previous?.status === true) ? 'getStatus() flipped to false' : 'getStatus() returned false'
+    });
+  }
+  if (spot == null) {
+    check.findings.push({ key: 'spot', level: 'critical', message: 'spot() reverts' });
+  } else if (previous?.spot != undefined) {
+    const change = getDeviation(spot, ethers.BigNumber.from(previous.spot));
+    if (change.gt(toWad(options['max-change']))) {
+      check.findings.push({
+        key: 'spot-change', level: 'warning',
+        message: `the spot price moved ${formatPercent(change)} from ${fromWad(previous.spot)} to ${fromWad(spot)} ` +
+          `since block ${previous.block}`
+      });
+    }
+  }
+
+  const reference = (REFERENCES[oracleType]) ? await REFERENCES[oracleType](oracle, token, check, options) : null;
+  if (spot != null && reference != null) {
+    const deviation = getDeviation(spot, reference);
+    if (deviation.gt(toWad(options['max-deviation']))) {
+      check.findings.push({
+        key: 'deviation', level: 'critical',
+        message: `spot() returned ${fromWad(spot)}, ${formatPercent(deviation)} off the price of ${fromWad(reference)} ` +
+          'recomputed from its sources'
+      });
+    }
+  }
+
+  Object.assign(check.sample, {
+    status,
+    spot: spot?.toString() ?? null,
+    reference: reference?.toString() ?? null
+  });
+  return { sample: check.sample, findings: check.findings };
+}
+
+/*//////////////////////////////////////////////////////////////
+                             MONITOR
+//////////////////////////////////////////////////////////////*/
+
+// Returns the oracles of the vaults (of --vault) from the metadata of the deployment, or the vault itself if the
+// metadata does not list them
+async function loadOracles(deployment, options) {
+  const metadata = await loadMetadataFile();
+  const vaults = (options.vault)
+    ? await Promise.all(options.vault.map(async (value) => await loadDeployedVault(value, CONFIG, deployment)))
+    : await Promise.all(Object.keys(deployment.vaults || {}).map((name) => loadDeployedVault(name, CONFIG, deployment)));
+  const oracles = [];
+  for (const { name, vault } of vaults) {
+    const vaultMetadata = metadata.vaults?.[vault.address] || {};
+    const oracle = vaultMetadata.oracle || await vault.oracle();
+    const [, oracleDeployment] = Object.entries(deployment.core || {}).find(([, { address }]) => (
+      address.toLowerCase() === oracle.toLowerCase()
+    )) || [];
+    oracles.push({
+      vault: name,
+      oracle,
+      oracleType: vaultMetadata.oracleType || oracleDeployment?.artifactName || 'IOracle',
+      token: vaultMetadata.token || await vault.token()
+    });
+  }
+  return oracles;
+}
+
+// Raises the findings which were not raised in the last check and resolves the ones which are gone
+function getAlerts(entry, findings, block) {
+  const alerts = [];
+  const active = {};
+  const alert = (level, key, message) => ({
+    level,
+    key,
+    vault: entry.vault,
+    oracle: entry.oracle,
+    oracleType: entry.oracleType,
+    message,
+    block: block.number,
+    timestamp: block.timestamp
+  });
+  for (const { key, level, message } of findings) {
+    active[key] = level;
+    if (entry.alerts[key] !== level) alerts.push(alert(level, key, message));
+  }
+  for (const key of Object.keys(entry.alerts)) {
+    if (active[key] == undefined) alerts.push(alert('info', key, `resolved: ${key}`));
+  }
+  entry.alerts = active;
+  return alerts;
+}
+
+// Alert about the monitor itself (not a vault's oracle), the block is unknown when the node is unavailable
+function getMonitorAlert(level, message) {
+  return {
+    level,
+    key: 'monitor',
+    vault: null,
+    oracle: null,
+    oracleType: null,
+    message,
+    block: null,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+async function runMonitor(deployment, sinks, options) {
+  const state = loadState(options);
+  options.reset = false;
+  const block = await ethers.provider.getBlock('latest');
+
+  console.log('------------------------------------');
+  console.log(`Block ${block.number}`);
+  for (const oracle of await loadOracles(deployment, options)) {
+    const entry = state.oracles[oracle.vault];
+    state.oracles[oracle.vault] = (entry?.oracle.toLowerCase() === oracle.oracle.toLowerCase())
+      ? { ...entry, ...oracle } : { ...oracle, alerts: {}, history: [] };
+    const current = state.oracles[oracle.vault];
+
+    const { sample, findings } = await checkOracle(current, block, options);
+    // a check in the same block as the last one (polling faster than blocks are produced) replaces its sample
+    const history = (current.history.at(-1)?.block === sample.block) ? current.history.slice(0, -1) : current.history;
+    current.history = [...history, sample].slice(-Number(options.history));
+    await sendAlerts(sinks, getAlerts(current, findings, block));
+    storeState(state);
+    console.log(
+      `${oracle.vault} (${oracle.oracleType} ${oracle.oracle}): status ${sample.status ?? 'reverts'}, ` +
+      `spot ${(sample.spot != null) ? fromWad(sample.spot) : '-'}, ` +
+      `source price ${(sample.reference != null) ? fromWad(sample.reference) : '-'}, ${findings.length} alerts`
+    );
+  }
+}
+
+async function printHistory(deployment, options) {
+  const { oracles } = loadState({});
+  const vaults = (options.vault)
+    ? await Promise.all(options.vault.map(async (value) => (await loadDeployedVault(value, CONFIG, deployment)).name))
+    : Object.keys(oracles);
+  for (const name of vaults) {
+    const entry = oracles[name];
+    if (!entry) {
+      console.log(`${name}: no checks recorded, run the monitor first`);
+      continue;
+    }
+    console.log(`${name} (${entry.oracleType} ${entry.oracle}):`);
+    for (const { block, timestamp, status, spot, reference } of entry.history.slice(-Number(options.history))) {
+      console.log(
+        `  ${new Date(timestamp * 1000).toISOString()} block ${block}: status ${status ?? 'reverts'}, ` +
+        `spot ${(spot != null) ? fromWad(spot) : '-'}, source price ${(reference != null) ? fromWad(reference) : '-'}`
+      );
+    }
+    const active = Object.entries(entry.alerts);
+    if (active.length > 0) console.log(`  active alerts: ${active.map(([key, level]) => `${key} (${level})`).join(', ')}`);
+  }
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const deployment = await loadDeploymentFile();
+  if (deployment.vaults == undefined) throw new Error(`No vaults found in the deployment file of ${hre.network.name}`);
+  if (command === 'history') return await printHistory(deployment, options);
+
+  const sinks = createSinks(options);
+  await runMonitor(deployment, sinks, options);
+  // a failed run (e.g. an unavailable RPC node) does not end the monitor, it is raised as an alert once and resolved
+  // by the next successful run
+  let failing = false;
+  while (options.watch) {
+    await new Promise((resolve) => setTimeout(resolve, Number(options.interval) * 1000));
+    try {
+      await runMonitor(deployment, sinks, options);
+      if (failing) await sendAlerts(sinks, [getMonitorAlert('info', 'resolved: monitor')]);
+      failing = false;
+    } catch (error) {
+      if (!failing) await sendAlerts(sinks, [getMonitorAlert('critical', `run failed: ${error.message}`)]);
+      else console.error(`Monitor run failed: ${error.message}`);
+      failing = true;
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
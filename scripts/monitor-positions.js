@@ -0,0 +1,226 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const { getPositionHealth, getMaxRepayAmount } = require('./positions.js');
+const {
+  toWad,
+  fromWad,
+  getSignerAddress,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  getIndexFilePath,
+  findDeploymentBlock
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const REPAY_STRATEGIES = ['max', 'debt', 'fraction'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/monitor-positions.js [options]
+
+Indexes the positions of every vault in scripts/deployment-<network>.json from their ModifyCollateralAndDebt events,
+computes their health factor and flags positions which are unsafe (collateral value below liquidationRatio) or
+below the targetHealthFactor. Optionally liquidates the unsafe positions via liquidatePositions.
+
+Options:
+  --watch                      keep monitoring, checking the positions every --interval seconds
+  --interval <seconds>         polling interval in watch mode (default: 15)
+  --liquidate                  liquidate unsafe positions with the signer's credit in the CDM
+  --repay-strategy <strategy>  amount repaid per position (default: max):
+                                 max       amount which brings the position back to its targetHealthFactor
+                                 debt      the position's entire debt (the vault caps it to the max. amount)
+                                 fraction  --repay-fraction of the max. amount
+  --repay-fraction <fraction>  fraction of the max. amount used by the fraction strategy (default: 0.5)
+  --max-repay <amount>         cap of the amount repaid per position [wad]
+  --batch-size <n>             positions liquidated per transaction (default: 20)
+  --from-block <block>         block to start indexing from (default: block the vault was deployed in)
+  --block-range <blocks>       max. number of blocks per log query (default: 10000)
+  --reset                      discard the index in scripts/monitor-<network>.json and index from scratch
+  --help                       show this message`;
+
+function parseOptions() {
+  const { values: options } = parseArgs({
+    options: {
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '15' },
+      liquidate: { type: 'boolean', default: false },
+      'repay-strategy': { type: 'string', default: 'max' },
+      'repay-fraction': { type: 'string', default: '0.5' },
+      'max-repay': { type: 'string' },
+      'batch-size': { type: 'string', default: '20' },
+      'from-block': { type: 'string' },
+      'block-range': { type: 'string', default: '10000' },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (!REPAY_STRATEGIES.includes(options['repay-strategy'])) {
+    throw new Error(`--repay-strategy has to be one of ${REPAY_STRATEGIES.join(', ')}`);
+  }
+  return options;
+}
+
+function loadIndex(options) {
+  const indexFilePath = getIndexFilePath('monitor');
+  return (!options.reset && fs.existsSync(indexFilePath)) ? JSON.parse(fs.readFileSync(indexFilePath)) : { vaults: {} };
+}
+
+function storeIndex(index) {
+  fs.writeFileSync(getIndexFilePath('monitor'), JSON.stringify(index, null, 2));
+}
+
+// Adds the positions of all ModifyCollateralAndDebt events since the last indexed block to the index
+async function indexPositions(vault, index, latestBlock, options) {
+  const entry = index.vaults[vault.address] || { nextBlock: null, positions: [] };
+  let fromBlock = entry.nextBlock ?? ((options['from-block'] != undefined)
+    ? Number(options['from-block']) : await findDeploymentBlock(vault.address, latestBlock));
+  const positions = new Set(entry.positions);
+  const blockRange = Number(options['block-range']);
+  for (; fromBlock <= latestBlock; fromBlock += blockRange) {
+    const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+    const events = await vault.queryFilter(vault.filters.ModifyCollateralAndDebt(), fromBlock, toBlock);
+    for (const { args } of events) positions.add(args.position);
+  }
+  index.vaults[vault.address] = { nextBlock: latestBlock + 1, positions: [...positions] };
+  return index.vaults[vault.address].positions;
+}
+
+async function checkPositions(name, vault, positions) {
+  const spotPrice = await vault.spotPrice();
+  const vaultConfig = await vault.vaultConfig();
+  const liquidationConfig = await vault.liquidationConfig();
+  const unsafe = [];
+  let flagged = 0;
+
+  for (const position of positions) {
+    const state = await vault.positions(position);
+    if (state.normalDebt.isZero()) continue;
+    const health = getPositionHealth(
+      state, await vault.virtualIRS(position), spotPrice, vaultConfig, liquidationConfig
+    );
+    if (!health.isUnsafe && !health.isBelowTarget) continue;
+    flagged++;
+    console.log(
+      `${health.isUnsafe ? 'UNSAFE  ' : 'WARNING '} ${name} ${position}: health factor ${fromWad(health.healthFactor)}, ` +
+      `collateral ${fromWad(state.collateral)} (${fromWad(health.collateralValue)}), debt ${fromWad(health.debt)}`
+    );
+    if (health.isUnsafe) {
+      const maxRepay = getMaxRepayAmount(state, health, spotPrice, vaultConfig, liquidationConfig);
+      unsafe.push({ position, health, maxRepay });
+    }
+  }
+
+  console.log(
+    `${name}: ${positions.length} positions, ${flagged} flagged, ${unsafe.length} unsafe (spot ${fromWad(spotPrice)})`
+  );
+  return unsafe;
+}
+
+function getRepayAmount({ health, maxRepay }, options) {
+  let amount = maxRepay;
+  if (options['repay-strategy'] === 'debt') amount = health.debt;
+  else if (options['repay-strategy'] === 'fraction') {
+    amount = maxRepay.mul(toWad(options['repay-fraction'])).div(toWad('1'));
+  }
+  if (options['max-repay'] != undefined && amount.gt(toWad(options['max-repay']))) amount = toWad(options['max-repay']);
+  return amount;
+}
+
+// Liquidates the unsafe positions, starting with the lowest health factor, with the signer's credit in the CDM
+async function liquidatePositions(name, vault, unsafe, cdm, options) {
+  const signer = await getSignerAddress();
+  let credit = (await cdm.accounts(signer)).balance;
+  const liquidations = [];
+  for (const entry of [...unsafe].sort((a, b) => (a.health.healthFactor.lt(b.health.healthFactor) ? -1 : 1))) {
+    let repayAmount = getRepayAmount(entry, options);
+    if (repayAmount.gt(credit)) repayAmount = credit;
+    if (repayAmount.lte(0)) {
+      console.log(`${name}: not enough credit to liquidate ${entry.position}, skipping the remaining positions`);
+      break;
+    }
+    credit = credit.sub(repayAmount);
+    liquidations.push({ position: entry.position, repayAmount });
+  }
+
+  if (liquidations.length == 0) return;
+
+  // the vault transfers the repaid credit from the liquidator
+  if (!(await cdm.hasPermission(signer, vault.address))) {
+    await (await cdm['modifyPermission(address,bool)'](vault.address, true)).wait();
+    console.log(`${name}: permitted the vault to transfer credit from ${signer}`);
+  }
+
+  const batchSize = Number(options['batch-size']);
+  for (let i = 0; i < liquidations.length; i += batchSize) {
+    const batch = liquidations.slice(i, i + batchSize);
+    try {
+      const receipt = await (await vault.liquidatePositions(
+        batch.map(({ position }) => position), batch.map(({ repayAmount }) => repayAmount)
+      )).wait();
+      // CDPVault_TypeA declares but does not emit LiquidatePosition, the liquidations are read from the positions
+      for (const { position } of batch) {
+        const before = await vault.positions(position, { blockTag: receipt.blockNumber - 1 });
+        const after = await vault.positions(position, { blockTag: receipt.blockNumber });
+        console.log(
+          `${name}: liquidated ${position}, repaid ${fromWad(before.normalDebt.sub(after.normalDebt))} normal debt ` +
+          `for ${fromWad(before.collateral.sub(after.collateral))} collateral`
+        );
+      }
+    } catch (error) {
+      console.log(`${name}: failed to liquidate ${batch.map(({ position }) => position).join(', ')}: ${error.message}`);
+    }
+  }
+}
+
+async function monitor(options) {
+  const deployment = await loadDeploymentFile();
+  if (deployment.vaults == undefined) throw new Error(`No vaults found in the deployment file of ${hre.network.name}`);
+  const contracts = await loadDeployedContracts(deployment);
+  const index = loadIndex(options);
+  const latestBlock = await ethers.provider.getBlockNumber();
+
+  console.log('------------------------------------');
+  console.log(`Block ${latestBlock}`);
+  for (const name of Object.keys(deployment.vaults)) {
+    const vault = contracts[name];
+    const positions = await indexPositions(vault, index, latestBlock, options);
+    storeIndex(index);
+    const unsafe = await checkPositions(name, vault, positions);
+    if (!options.liquidate || unsafe.length == 0) continue;
+    // liquidatePositions reverts while a vault is paused, the positions of a paused (unwindable) TypeB vault are
+    // settled via its CDPVaultUnwinder instead
+    if (await vault.paused()) {
+      console.log((deployment.vaults[name].artifactName === 'CDPVault_TypeB')
+        ? `${name}: paused, not liquidating (positions are settled via the vault's unwinder, see unwinder-keeper.js)`
+        : `${name}: paused, not liquidating`);
+      continue;
+    }
+    await liquidatePositions(name, vault, unsafe, contracts.CDM, options);
+  }
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  await monitor(options);
+  while (options.watch) {
+    await new Promise((resolve) => setTimeout(resolve, Number(options.interval) * 1000));
+    // a failed check (e.g. an unavailable RPC node) is retried in the next interval instead of ending the monitor
+    try {
+      await monitor(options);
+    } catch (error) {
+      console.error(`Monitoring failed: ${error.message}`);
+    }
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,204 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+
+const toWad = ethers.utils.parseEther;
+
+// Network profiles, selected by `hre.network.name`. scripts/config.js holds the vault economics shared by all chains
+// (and the mainnet addresses), a profile overlays it with the addresses, token pots, oracle feeds and debt ceilings of
+// its chain. Objects are merged key by key, any other value (addresses, arrays, BigNumbers) replaces the base value and
+// an object with a different `type` (e.g. an oracle) replaces the base object. `vaults` restricts a profile to a subset
+// of the vaults in scripts/config.js, `extends` inherits the overlay of another profile. An overlay can also be a
+// function of the base config and the network name.
+const NETWORK_PROFILES = {
+  mainnet: {
+    chainId: 1
+  },
+  // anvil (`make anvil`) and Tenderly fork mainnet and keep its chain id
+  local: {
+    extends: 'mainnet',
+    chainId: 1
+  },
+  tenderly: {
+    extends: 'mainnet',
+    chainId: 1
+  },
+  // in-process mainnet fork (see hardhat.config.js)
+  hardhat: {
+    extends: 'mainnet',
+    chainId: 31337
+  },
+  // plain hardhat / anvil chain without a fork (see scripts/devnet.js)
+  devnet: {
+    chainId: 31337,
+    overlay: getDevnetOverlay
+  },
+  // hardhat's built-in localhost network, the end-to-end tests in scripts/test run against a devnet chain through it
+  // such that their deployment and index files do not replace those of the devnet
+  localhost: {
+    chainId: 31337,
+    overlay: getDevnetOverlay
+  },
+  // PRBProxyRegistry, 1inch, Balancer and Uniswap V3 are deployed at the same addresses as on mainnet
+  arbitrum: {
+    chainId: 42161,
+    vaults: ['WETH', 'USDC'],
+    overlay: {
+      Core: {
+        CDM: {
+          initialGlobalDebtCeiling: toWad('100000')
+        },
+        Flashlender: {
+          initialDebtCeiling: toWad('10000')
+        }
+      },
+      Vaults: {
+        WETH: {
+          oracle: {
+            type: 'ChainlinkOracle',
+            aggregator: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', // ETH / USD
+            stalePeriod: 25 * 60 * 60
+          },
+          token: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+          tokenPot: null,
+          deploymentArguments: {
+            debtCeiling: toWad('10000')
+          }
+        },
+        USDC: {
+          oracle: {
+            type: 'ChainlinkOracle',
+            aggregator: '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3', // USDC / USD
+            stalePeriod: 25 * 60 * 60
+          },
+          token: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+          tokenPot: null,
+          deploymentArguments: {
+            debtCeiling: toWad('10000')
+          }
+        }
+      }
+    }
+  }
+};
+
+// Returns the deployment names of the mocks replacing the tokens of the vaults on a devnet. ERC4626 vaults get a mock
+// vault whose asset is the mock of the underlier, which is shared with the vault using it as collateral (if any).
+function getDevnetMocks(config) {
+  const tokens = {};
+  const vaults = {};
+  // ERC20 vaults first such that their tokens can be used as the underliers of ERC4626 vaults
+  const isERC4626 = ([, vault]) => vault.collateralType === 'ERC4626';
+  for (const [key, vault] of Object.entries(config.Vaults).sort((a, b) => isERC4626(a) - isERC4626(b))) {
+    if (vault.collateralType !== 'ERC4626') {
+      tokens[vault.token.toLowerCase()] ??= { name: `MockERC20_${key}`, tokenName: vault.tokenName, symbol: key };
+      vaults[key] = { token: tokens[vault.token.toLowerCase()].name, underlier: null };
+      continue;
+    }
+    const underlier = tokens[vault.underlier.toLowerCase()] ??= {
+      name: `MockERC20_${key}_underlier`, tokenName: vault.underlierName, symbol: `${key}-underlier`
+    };
+    tokens[vault.token.toLowerCase()] = {
+      name: `MockERC4626_${key}`, tokenName: vault.tokenName, symbol: key, asset: underlier.name
+    };
+    vaults[key] = { token: `MockERC4626_${key}`, underlier: underlier.name };
+  }
+  return { tokens: Object.values(tokens), vaults };
+}
+
+// Replaces the tokens, the PRBProxyRegistry and the swap routers with the mocks recorded in the deployment file by
+// `scripts/devnet.js mocks` (null until they are deployed) and the oracles with the MockOracle
+function getDevnetOverlay(config, network) {
+  const deploymentFilePath = path.join(__dirname, '.', `deployment-${network}.json`);
+  const { core = {} } = fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
+  const address = (name) => core[name]?.address || null;
+  const mocks = getDevnetMocks(config);
+  return {
+    // mocks used by scripts/devnet.js
+    Devnet: mocks,
+    Core: {
+      PRBProxyRegistry: address('PRBProxyRegistry'),
+      Actions: {
+        SwapAction: {
+          constructorArguments: {
+            oneInchRouter: address('MockSwapRouter_OneInch'),
+            balancerVault: address('MockSwapRouter_Balancer'),
+            uniV3Router: address('MockSwapRouter_UniV3')
+          }
+        },
+        JoinAction: {
+          constructorArguments: { balancerVault: address('MockSwapRouter_Balancer') }
+        }
+      }
+    },
+    Vaults: Object.fromEntries(Object.entries(config.Vaults).map(([key, vault]) => [key, {
+      oracle: { type: 'MockOracle', defaultPrice: vault.oracle.defaultPrice ?? toWad('1') },
+      token: address(mocks.vaults[key].token),
+      tokenPot: null,
+      // the mocks of ERC4626 collateral are plain ERC4626 vaults, also for collateral with its own position action
+      ...((mocks.vaults[key].underlier)
+        ? { underlier: address(mocks.vaults[key].underlier), positionAction: 'PositionAction4626' } : {})
+    }]))
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function mergeConfig(base, overlay) {
+  if (!isPlainObject(base) || !isPlainObject(overlay)) return overlay;
+  if (base.type !== undefined && overlay.type !== undefined && base.type !== overlay.type) return overlay;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overlay)) merged[key] = (key in base) ? mergeConfig(base[key], value) : value;
+  return merged;
+}
+
+// Returns the profile of a network with the overlays of the profiles it extends applied first
+function getNetworkProfile(network = hre.network.name) {
+  const profile = NETWORK_PROFILES[network];
+  if (!profile) {
+    throw new Error(`No network profile for ${network}, expected one of ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+  }
+  if (!profile.extends) return { network, overlay: {}, ...profile };
+  const parent = getNetworkProfile(profile.extends);
+  return {
+    ...parent,
+    ...profile,
+    network,
+    overlay: mergeConfig(parent.overlay, profile.overlay || {}),
+    vaults: profile.vaults || parent.vaults
+  };
+}
+
+// Returns the config of a network: the base config with the profile's overlay applied
+function applyNetworkProfile(config, network = hre.network.name) {
+  const { vaults, overlay: profileOverlay } = getNetworkProfile(network);
+  const overlay = (typeof profileOverlay === 'function') ? profileOverlay(config, network) : profileOverlay;
+  for (const key of vaults || []) {
+    if (!config.Vaults[key]) throw new Error(`Vault ${key} of the ${network} profile not found in scripts/config.js`);
+  }
+  for (const key of Object.keys(overlay.Vaults || {})) {
+    if (!config.Vaults[key]) throw new Error(`Vault ${key} of the ${network} profile not found in scripts/config.js`);
+  }
+  const merged = mergeConfig(config, overlay);
+  if (vaults) merged.Vaults = Object.fromEntries(vaults.map((key) => [key, merged.Vaults[key]]));
+  return merged;
+}
+
+// Throws if the provider is connected to another chain than the one of the network's profile
+async function assertNetworkChainId(network = hre.network.name, provider = ethers.provider) {
+  const { chainId } = getNetworkProfile(network);
+  const { chainId: actual } = await provider.getNetwork();
+  if (actual !== chainId) {
+    throw new Error(`The ${network} profile is for chain ${chainId} but the provider is connected to chain ${actual}`);
+  }
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  mergeConfig,
+  getNetworkProfile,
+  applyNetworkProfile,
+  assertNetworkChainId
+};
@@ -0,0 +1,303 @@
+require('hardhat/register');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const {
+  SWAP_PROTOCOLS,
+  SWAP_TYPES,
+  toPermitParams,
+  toCollateralParams,
+  toCreditParams,
+  toLeverParams,
+  getOrDeployProxy,
+  getPositionAction
+} = require('./positions.js');
+const { buildSwapParams, getSwapDeadline } = require('./swap-params.js');
+const {
+  BALANCER_QUERIES, getPoolAssets, buildLeverJoin, updateLeverJoin, getJoinMinOut, queryJoin
+} = require('./join-params.js');
+const {
+  toWad,
+  fromWad,
+  getSignerAddress,
+  loadDeploymentFile,
+  loadMetadataFile,
+  loadDeployedContracts,
+  loadDeployedVault,
+  attachContract
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const COMMANDS = [
+  'deposit', 'withdraw', 'borrow', 'repay', 'depositAndBorrow', 'withdrawAndRepay', 'increaseLever', 'decreaseLever'
+];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/position-action.js <command> --vault <vault> [options]
+
+Executes a position action through the signer's PRBProxy (deployed if the signer does not have one yet).
+The position action contract (PositionAction20, PositionAction4626, PositionActionYV or PositionActionChai)
+is selected from the vault metadata.
+
+Commands: ${COMMANDS.join(', ')}
+
+Options:
+  --vault <vault>                 vault config key (e.g. WETH), deployment name or address
+  --position <address>            position to modify (default: the signer's proxy)
+  --amount <amount>               collateral to deposit [target token] or to withdraw [wad]
+  --target-token <address>        token deposited or received instead of the collateral token (default: vault token)
+  --collateralizer <address>      account transferring or receiving the collateral (default: signer)
+  --debt <amount>                 Stablecoin to borrow or normal debt to repay [wad]
+  --creditor <address>            account receiving or repaying the Stablecoin (default: signer)
+  --permit <json>                 PermitParams (e.g. the output of scripts/sign-permit.js) instead of an approval
+  --skip-approve                  do not approve the proxy to transfer tokens from the signer
+  --up-front-token <address>      token added up front when increasing leverage (default: vault token)
+  --up-front-amount <amount>      amount of the up front token [up front token] (default: 0)
+  --swap-protocol <protocol>      ${Object.keys(SWAP_PROTOCOLS).join(', ')} (lever commands)
+  --swap-amount <amount>          Stablecoin swapped to (increaseLever) or from (decreaseLever) collateral [wad]
+  --swap-limit <amount>           min. collateral out (increaseLever) or max. collateral in (decreaseLever) [collateral]
+  --swap-asset-in <address>       asset swapped to Stablecoin by decreaseLever (default: vault token)
+  --swap-args <hex>               protocol specific swap arguments (see SwapParams.args)
+  --swap-route <addresses>        comma separated assets swapped along, in trade order, instead of --swap-args
+  --swap-hops <values>            comma separated pool ids (balancer) or fee tiers (univ3) of the --swap-route hops
+  --swap-deadline <timestamp>     swap deadline (default: latest block + 1 hour)
+  --join-pool <pool id>           Balancer pool the swapped --join-token is joined into (increaseLever of a vault whose
+                                  collateral wraps the pool token, e.g. an AuraVault)
+  --join-token <address>          asset of the pool the Stablecoin is swapped to
+  --join-min-out <amount>         min. pool tokens out of the join [wad] (default: queried via BalancerQueries)
+  --join-slippage <fraction>      slippage tolerance of the queried pool tokens out (default: 0.005)
+  --balancer-queries <address>    BalancerQueries used to query the join (default: ${BALANCER_QUERIES})
+  --sub-collateral <amount>       collateral to withdraw when decreasing leverage [wad]
+  --residual-recipient <address>  account receiving the residual collateral of decreaseLever (default: signer)
+  --gas-limit <gas>               gas limit of the transaction (default: estimated)
+  --dry-run                       simulate the action without sending any transactions
+  --help                          show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      vault: { type: 'string' },
+      position: { type: 'string' },
+      amount: { type: 'string' },
+      'target-token': { type: 'string' },
+      collateralizer: { type: 'string' },
+      debt: { type: 'string' },
+      creditor: { type: 'string' },
+      permit: { type: 'string' },
+      'skip-approve': { type: 'boolean', default: false },
+      'up-front-token': { type: 'string' },
+      'up-front-amount': { type: 'string', default: '0' },
+      'swap-protocol': { type: 'string' },
+      'swap-amount': { type: 'string' },
+      'swap-limit': { type: 'string' },
+      'swap-asset-in': { type: 'string' },
+      'swap-args': { type: 'string', default: '0x' },
+      'swap-deadline': { type: 'string' },
+      'swap-route': { type: 'string' },
+      'swap-hops': { type: 'string' },
+      'join-pool': { type: 'string' },
+      'join-token': { type: 'string' },
+      'join-min-out': { type: 'string' },
+      'join-slippage': { type: 'string', default: '0.005' },
+      'balancer-queries': { type: 'string', default: BALANCER_QUERIES },
+      'sub-collateral': { type: 'string' },
+      'residual-recipient': { type: 'string' },
+      'gas-limit': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+function required(options, name) {
+  if (options[name] == undefined) throw new Error(`--${name} is required`);
+  return options[name];
+}
+
+// Returns the deployment name, contract and metadata of a vault given its config key, deployment name or address
+async function resolveVault(value) {
+  const deployment = await loadDeploymentFile();
+  const { name, vault, vaultConfig } = await loadDeployedVault(value, CONFIG, deployment);
+  // fall back to the vault config for deployments without metadata
+  const metadata = (await loadMetadataFile()).vaults?.[vault.address] || vaultConfig;
+  if (!metadata) throw new Error(`No metadata found for ${name}`);
+  return { name, vault, metadata, deployment };
+}
+
+async function getDecimals(token) {
+  return await (await attachContract('ERC20PresetMinterPauser', token)).decimals();
+}
+
+// Approves `spender` to transfer `amount` of `token` from the signer if the current allowance is not sufficient
+async function approve(token, spender, amount, options) {
+  if (options['skip-approve'] || options.permit || amount.isZero()) return;
+  const contract = await attachContract('ERC20PresetMinterPauser', token);
+  const signer = await getSignerAddress();
+  if ((await contract.allowance(signer, spender)).gte(amount)) return;
+  console.log(`Approving ${spender} to transfer ${amount.toString()} of ${await contract.symbol()}`);
+  if (!options['dry-run']) await (await contract.approve(spender, amount)).wait();
+}
+
+async function getDeadline(options) {
+  if (options['swap-deadline'] != undefined) return ethers.BigNumber.from(options['swap-deadline']);
+  return getSwapDeadline((await ethers.provider.getBlock('latest')).timestamp);
+}
+
+// Builds the SwapParams via scripts/swap-params.js from --swap-route and --swap-hops, or from the raw --swap-args
+function buildSwap(options, swap) {
+  if (options['swap-route'] == undefined) return { ...swap, args: options['swap-args'] };
+  const protocol = options['swap-protocol'];
+  const route = options['swap-route'].split(',');
+  const hops = required(options, 'swap-hops').split(',');
+  if (ethers.utils.getAddress(route[0]) !== ethers.utils.getAddress(swap.assetIn)) {
+    throw new Error(`--swap-route has to start with the asset in ${swap.assetIn}`);
+  }
+  if (protocol === 'balancer') return buildSwapParams({ protocol, ...swap, assets: route, poolIds: hops });
+  if (protocol === 'univ3') return buildSwapParams({ protocol, ...swap, tokens: route, fees: hops.map(Number) });
+  throw new Error(`--swap-route is not supported for ${protocol}, pass the payload via --swap-args`);
+}
+
+// Builds the `auxJoin` and `auxJoinToken` of increaseLever via scripts/join-params.js. Unless --join-min-out is given,
+// the min. pool tokens out are queried for the min. amount out of the primary swap and the up front amount.
+async function buildLeverJoinArgs(options, { positionAction, swapAmountOut, upFrontToken, upFrontAmount }) {
+  const joinAction = await attachContract('JoinAction', await positionAction.joinAction());
+  const poolId = options['join-pool'];
+  const join = {
+    poolId,
+    assets: await getPoolAssets(await joinAction.balancerVault(), poolId, ethers.provider),
+    joinToken: required(options, 'join-token'),
+    recipient: positionAction.address,
+    sorted: true
+  };
+  if (options['join-min-out'] != undefined) return buildLeverJoin({ ...join, minOut: toWad(options['join-min-out']) });
+
+  const { auxJoin, auxJoinToken } = buildLeverJoin({ ...join, minOut: 0 });
+  const joinParams = updateLeverJoin(auxJoin, upFrontToken, auxJoinToken, swapAmountOut, upFrontAmount);
+  const expectedOut = await queryJoin(joinParams, positionAction.address, ethers.provider, options['balancer-queries']);
+  const minOut = getJoinMinOut(expectedOut, options['join-slippage']);
+  console.log(`Joining pool ${poolId} for ${fromWad(expectedOut)} pool tokens (min. ${fromWad(minOut)})`);
+  return { auxJoin: { ...auxJoin, minOut }, auxJoinToken };
+}
+
+// Builds the arguments of the position action call and sends any approvals the proxy needs beforehand
+async function buildArgs(command, context) {
+  const { options, signer, proxy, position, vault, positionAction, stablecoin } = context;
+  const token = await vault.token();
+  const targetToken = ethers.utils.getAddress(options['target-token'] || token);
+  const collateralizer = ethers.utils.getAddress(options.collateralizer || signer);
+  const creditor = ethers.utils.getAddress(options.creditor || signer);
+  const permitParams = toPermitParams(options.permit ? JSON.parse(options.permit) : {});
+
+  const getCollateralParams = async (isDeposit) => {
+    const amount = (isDeposit)
+      ? ethers.utils.parseUnits(required(options, 'amount'), await getDecimals(targetToken))
+      : toWad(required(options, 'amount'));
+    if (isDeposit && collateralizer == signer) await approve(targetToken, proxy.address, amount, options);
+    return toCollateralParams({ targetToken, amount, collateralizer });
+  };
+
+  const getCreditParams = async (isRepay) => {
+    const amount = toWad(required(options, 'debt'));
+    if (isRepay && creditor == signer) {
+      // the Stablecoin to repay includes the accrued interest, which keeps accruing until the transaction is mined
+      const [rateAccumulator, accruedRebate] = await vault.virtualIRS(position);
+      const repayAmount = amount.mul(rateAccumulator).div(toWad('1')).sub(accruedRebate);
+      await approve(stablecoin.address, proxy.address, repayAmount.mul(1001).div(1000), options);
+    }
+    return toCreditParams({ amount, creditor });
+  };
+
+  switch (command) {
+    case 'deposit':
+      return [position, vault.address, await getCollateralParams(true), permitParams];
+    case 'withdraw':
+      return [position, vault.address, await getCollateralParams(false)];
+    case 'borrow':
+      return [position, vault.address, await getCreditParams(false)];
+    case 'repay':
+      return [position, vault.address, await getCreditParams(true), permitParams];
+    case 'depositAndBorrow':
+      return [position, vault.address, await getCollateralParams(true), await getCreditParams(false), permitParams];
+    case 'withdrawAndRepay':
+      return [position, vault.address, await getCollateralParams(false), await getCreditParams(true), permitParams];
+  }
+
+  const swapProtocol = SWAP_PROTOCOLS[required(options, 'swap-protocol')];
+  if (swapProtocol == undefined) throw new Error(`--swap-protocol has to be one of ${Object.keys(SWAP_PROTOCOLS).join(', ')}`);
+  const isIncrease = command === 'increaseLever';
+  const swapTokenOut = options['join-token'] || token;
+  const swapAssetIn = (isIncrease) ? stablecoin.address : (options['swap-asset-in'] || token);
+  const primarySwap = buildSwap(options, {
+    swapProtocol,
+    // increasing leverage sells the flash loaned Stablecoin, decreasing leverage buys the flash loaned Stablecoin
+    swapType: (isIncrease) ? SWAP_TYPES.exactIn : SWAP_TYPES.exactOut,
+    assetIn: swapAssetIn,
+    amount: toWad(required(options, 'swap-amount')),
+    limit: ethers.utils.parseUnits(
+      required(options, 'swap-limit'), await getDecimals((isIncrease) ? swapTokenOut : swapAssetIn)
+    ),
+    recipient: positionAction.address,
+    deadline: await getDeadline(options)
+  });
+
+  if (isIncrease) {
+    const upFrontToken = options['up-front-token'] || token;
+    const upFrontAmount = ethers.utils.parseUnits(options['up-front-amount'], await getDecimals(upFrontToken));
+    const join = (options['join-pool'] == undefined) ? {} : await buildLeverJoinArgs(
+      options, { positionAction, swapAmountOut: primarySwap.limit, upFrontToken, upFrontAmount }
+    );
+    const leverParams = toLeverParams({ position, vault: vault.address, collateralToken: token, primarySwap, ...join });
+    if (collateralizer == signer) await approve(upFrontToken, proxy.address, upFrontAmount, options);
+    return [leverParams, upFrontToken, upFrontAmount, collateralizer, permitParams];
+  }
+  const leverParams = toLeverParams({ position, vault: vault.address, collateralToken: token, primarySwap });
+  return [leverParams, toWad(required(options, 'sub-collateral')), options['residual-recipient'] || signer];
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const signer = await getSignerAddress();
+  const { name, vault, metadata, deployment } = await resolveVault(required(options, 'vault'));
+  const contracts = await loadDeployedContracts({ core: deployment.core });
+  const positionAction = getPositionAction(contracts, metadata);
+  const prbProxyRegistry = await attachContract('PRBProxyRegistry', CONFIG.Core.PRBProxyRegistry);
+  const proxy = await getOrDeployProxy(prbProxyRegistry, signer, !options['dry-run']);
+  if (!proxy) throw new Error(`${signer} does not have a PRBProxy yet, run without --dry-run to deploy one`);
+  const position = options.position || proxy.address;
+
+  console.log(`${command} on ${name} (${vault.address}) via ${positionAction.address} and PRBProxy ${proxy.address}`);
+  const args = await buildArgs(
+    command, { options, signer, proxy, position, vault, positionAction, stablecoin: contracts.Stablecoin }
+  );
+  const data = positionAction.interface.encodeFunctionData(command, args);
+  console.log('------------------------------------');
+
+  const overrides = (options['gas-limit'] != undefined) ? { gasLimit: options['gas-limit'] } : {};
+  if (options['dry-run']) {
+    await proxy.callStatic.execute(positionAction.address, data, overrides);
+    console.log('Dry run succeeded, calldata:', data);
+  } else {
+    const receipt = await (await proxy.execute(positionAction.address, data, overrides)).wait();
+    console.log(`Executed in ${receipt.transactionHash} (gas used: ${receipt.gasUsed.toString()})`);
+  }
+
+  const { collateral, normalDebt } = await vault.positions(position);
+  console.log(`Position ${position}: collateral ${fromWad(collateral)}, normal debt ${fromWad(normalDebt)}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
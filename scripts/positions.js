@@ -0,0 +1,118 @@
+const { getPositionActionName } = require('./validate-config.js');
+const { SWAP_PROTOCOLS, SWAP_TYPES, toSwapParams } = require('./swap-params.js');
+const { toJoinParams } = require('./join-params.js');
+
+// match the enum in src/proxy/TransferAction.sol
+const APPROVAL_TYPES = { standard: 0, permit: 1, permit2: 2 };
+
+const WAD = ethers.constants.WeiPerEther;
+const wmul = (x, y) => ethers.BigNumber.from(x).mul(y).div(WAD);
+const wdiv = (x, y) => ethers.BigNumber.from(x).mul(WAD).div(y);
+
+// defaults to a standard ERC20 approval of the user's proxy
+function toPermitParams({
+  approvalType = APPROVAL_TYPES.standard,
+  approvalAmount = 0,
+  nonce = 0,
+  deadline = 0,
+  v = 0,
+  r = ethers.constants.HashZero,
+  s = ethers.constants.HashZero
+} = {}) {
+  return { approvalType, approvalAmount, nonce, deadline, v, r, s };
+}
+
+function toCollateralParams({ targetToken, amount, collateralizer, auxSwap }) {
+  return { targetToken, amount, collateralizer, auxSwap: toSwapParams(auxSwap) };
+}
+
+function toCreditParams({ amount, creditor, auxSwap }) {
+  return { amount, creditor, auxSwap: toSwapParams(auxSwap) };
+}
+
+function toLeverParams({
+  position,
+  vault,
+  collateralToken,
+  primarySwap,
+  auxSwap,
+  auxJoin,
+  auxJoinToken = ethers.constants.AddressZero
+}) {
+  return {
+    position,
+    vault,
+    collateralToken,
+    primarySwap: toSwapParams(primarySwap),
+    auxSwap: toSwapParams(auxSwap),
+    auxJoin: toJoinParams(auxJoin),
+    auxJoinToken
+  };
+}
+
+// Mirrors the collateralization check of CDPVault (`_isCollateralized`) given the state read from the vault:
+// `positions()`, `virtualIRS()`, `spotPrice()`, `vaultConfig()` and `liquidationConfig()`.
+// The health factor is the collateral value divided by the liquidation ratio and the debt [wad] (< 1 is unsafe).
+function getPositionHealth(position, virtualIRS, spotPrice, vaultConfig, liquidationConfig) {
+  const { collateral, normalDebt } = position;
+  const [rateAccumulator, accruedRebate] = virtualIRS;
+  const debt = wmul(normalDebt, rateAccumulator).sub(accruedRebate);
+  const collateralValue = wmul(collateral, spotPrice);
+  const healthFactor = (debt.isZero())
+    ? ethers.constants.MaxUint256 : collateral.mul(spotPrice).div(vaultConfig.liquidationRatio).mul(WAD).div(debt);
+  return {
+    debt,
+    collateralValue,
+    healthFactor,
+    isUnsafe: !debt.isZero() && collateral.mul(spotPrice).div(vaultConfig.liquidationRatio).lt(debt),
+    isBelowTarget: healthFactor.lt(liquidationConfig.targetHealthFactor)
+  };
+}
+
+// Mirrors `CDPVault_TypeA.liquidatePositions`: the max. amount a liquidator can repay for an unsafe position until its
+// health factor is back at `targetHealthFactor`. Larger repay amounts are capped to this amount by the vault.
+function getMaxRepayAmount({ collateral }, { debt }, spotPrice, vaultConfig, liquidationConfig) {
+  const { liquidationRatio } = vaultConfig;
+  const { targetHealthFactor, liquidationDiscount, liquidationPenalty } = liquidationConfig;
+  const nominator = wmul(targetHealthFactor, debt).sub(wdiv(wmul(collateral, spotPrice), liquidationRatio));
+  const denominator = wmul(targetHealthFactor, liquidationPenalty)
+    .sub(wdiv(WAD, wmul(liquidationRatio, liquidationDiscount)));
+  // the vault reverts for these configurations, the position can't be liquidated
+  if (nominator.lte(0) || denominator.lte(0)) return ethers.constants.Zero;
+  return wdiv(wdiv(nominator, denominator), liquidationPenalty);
+}
+
+// Returns the PRBProxy of `owner`, deploying it via the registry if `owner` does not have one yet
+async function getOrDeployProxy(prbProxyRegistry, owner, deploy = true) {
+  let proxyAddress = await prbProxyRegistry.getProxy(owner);
+  if (proxyAddress == ethers.constants.AddressZero) {
+    if (!deploy) return null;
+    await (await prbProxyRegistry.deploy()).wait();
+    proxyAddress = await prbProxyRegistry.getProxy(owner);
+    console.log(`PRBProxy deployed to: ${proxyAddress}`);
+  }
+  return (await ethers.getContractFactory('PRBProxy')).attach(proxyAddress);
+}
+
+// Returns the position action contract for a vault given its metadata entry or its vault config
+function getPositionAction(contracts, vault) {
+  const name = getPositionActionName(vault);
+  if (!contracts[name]) throw new Error(`${name} not found in the deployment file`);
+  return contracts[name];
+}
+
+module.exports = {
+  SWAP_PROTOCOLS,
+  SWAP_TYPES,
+  APPROVAL_TYPES,
+  toSwapParams,
+  toJoinParams,
+  toPermitParams,
+  toCollateralParams,
+  toCreditParams,
+  toLeverParams,
+  getPositionHealth,
+  getMaxRepayAmount,
+  getOrDeployProxy,
+  getPositionAction
+};
@@ -0,0 +1,61 @@
+const { ROLE_PLACEHOLDERS } = require('./validate-config.js');
+
+const ORACLE_TYPES = ['ChainlinkOracle', 'Chainlink3PoolOracle', 'YearnOracle'];
+
+// roles granted to the deployer by deploy.js and the `Core.Roles` entry they are handed over to
+// (null: the role is only renounced once the role admin is handed over)
+const CORE_ROLES = {
+  CDM: { CONFIG_ROLE: 'cdmAdmin', ACCOUNT_CONFIG_ROLE: 'accountAdmin', DEFAULT_ADMIN_ROLE: 'roleAdmin' },
+  Stablecoin: { MINTER_AND_BURNER_ROLE: null, DEFAULT_ADMIN_ROLE: 'roleAdmin' },
+  Minter: { PAUSER_ROLE: 'pauseAdmin', DEFAULT_ADMIN_ROLE: 'roleAdmin' },
+  Buffer: { CREDIT_MANAGER_ROLE: 'creditManager', DEFAULT_ADMIN_ROLE: 'roleAdmin' },
+  CDPVault_TypeA_Factory: { DEPLOYER_ROLE: 'deployerAdmin', PAUSER_ROLE: 'pauseAdmin', DEFAULT_ADMIN_ROLE: 'roleAdmin' },
+  CDPVault_TypeB_Factory: { DEPLOYER_ROLE: 'deployerAdmin', PAUSER_ROLE: 'pauseAdmin', DEFAULT_ADMIN_ROLE: 'roleAdmin' }
+};
+const ORACLE_ROLES = { MANAGER_ROLE: 'oracleManager', DEFAULT_ADMIN_ROLE: 'roleAdmin' };
+// the vault config uses the same keys as `Core.Roles`
+const VAULT_ROLES = {
+  VAULT_CONFIG_ROLE: 'vaultAdmin',
+  TICK_MANAGER_ROLE: 'tickManager',
+  PAUSER_ROLE: 'pauseAdmin',
+  VAULT_UNWINDER_ROLE: 'vaultUnwinder',
+  DEFAULT_ADMIN_ROLE: 'roleAdmin'
+};
+
+function resolveRole(value, deployer) {
+  return (ROLE_PLACEHOLDERS.includes(value)) ? deployer : value;
+}
+
+// Returns the account which is supposed to hold a vault role once the deployment is handed over
+function getVaultRoleHolder(vaultConfig, key, config) {
+  const value = vaultConfig.deploymentArguments.configs[key];
+  return (ROLE_PLACEHOLDERS.includes(value)) ? (config.Core.Roles?.[key] || value) : value;
+}
+
+// Returns every role held by the deployer after deploying, together with the account it is handed over to.
+// Roles are ordered such that the DEFAULT_ADMIN_ROLE of a contract comes after all roles it administers.
+function getHandoverRoles(deployment, config) {
+  const roles = [];
+  const coreRoles = config.Core.Roles || {};
+  for (const [name, { artifactName }] of Object.entries(deployment.core || {})) {
+    const contractRoles = CORE_ROLES[name] || ((ORACLE_TYPES.includes(artifactName) && !name.endsWith('Implementation'))
+      ? ORACLE_ROLES : null);
+    if (!contractRoles) continue;
+    for (const [role, key] of Object.entries(contractRoles)) {
+      roles.push({ name, role, key, target: (key) ? (coreRoles[key] || 'deployer') : null });
+    }
+  }
+  for (const [key, vaultConfig] of Object.entries(config.Vaults)) {
+    const name = `${vaultConfig.type}_${key}`;
+    if (!deployment.vaults?.[name]) continue;
+    for (const [role, roleKey] of Object.entries(VAULT_ROLES)) {
+      if (role === 'VAULT_UNWINDER_ROLE' && vaultConfig.type !== 'CDPVault_TypeB') continue;
+      // roles which are not assigned to the deployer by the vault config were never held by the deployer
+      if (!ROLE_PLACEHOLDERS.includes(vaultConfig.deploymentArguments.configs[roleKey])) continue;
+      roles.push({ name, role, key: roleKey, target: getVaultRoleHolder(vaultConfig, roleKey, config) });
+    }
+  }
+  return roles;
+}
+
+module.exports = { CORE_ROLES, ORACLE_ROLES, VAULT_ROLES, resolveRole, getVaultRoleHolder, getHandoverRoles };
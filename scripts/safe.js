@@ -0,0 +1,72 @@
+const fs = require('fs');
+
+// Safe Transaction Builder batch file format (https://github.com/safe-global/safe-react-apps/tree/main/apps/tx-builder)
+const BATCH_VERSION = '1.0';
+const TX_BUILDER_VERSION = '1.16.1';
+
+function stringifyReplacer(_, value) {
+  return (value === undefined) ? null : value;
+}
+
+// same serialization as the Transaction Builder uses for its checksum (keys sorted, no whitespace)
+function serializeJSONObject(json) {
+  if (Array.isArray(json)) return `[${json.map((el) => serializeJSONObject(el)).join(',')}]`;
+  if (typeof json === 'object' && json !== null) {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys, stringifyReplacer)}${keys.map((key) => `${serializeJSONObject(json[key])},`).join('')}}`;
+  }
+  return `${JSON.stringify(json, stringifyReplacer)}`;
+}
+
+function calculateChecksum(batch) {
+  return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(serializeJSONObject({ ...batch, meta: { ...batch.meta, name: null } })));
+}
+
+// the Transaction Builder expects arrays and tuples as JSON strings and everything else as plain strings
+function toInputValue(value) {
+  const toJSON = (v) => (Array.isArray(v)) ? v.map(toJSON) : (ethers.BigNumber.isBigNumber(v)) ? v.toString() : v;
+  return (Array.isArray(value)) ? JSON.stringify(toJSON(value)) : String(toJSON(value));
+}
+
+function createSafeBatch(chainId, safeAddress, name, description = '') {
+  return {
+    version: BATCH_VERSION,
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description,
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress,
+      createdFromOwnerAddress: ''
+    },
+    transactions: []
+  };
+}
+
+// Adds a call to `method` on `contract` to the batch, including the decoded method info for the Transaction Builder UI
+function addSafeTransaction(batch, contract, method, args) {
+  const fragment = contract.interface.getFunction(method);
+  const { inputs } = JSON.parse(fragment.format(ethers.utils.FormatTypes.json));
+  batch.transactions.push({
+    to: contract.address,
+    value: '0',
+    data: contract.interface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: inputs.map((input) => ({ internalType: input.type, ...input })),
+      name: fragment.name,
+      payable: fragment.payable
+    },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map(({ name }, i) => [name, toInputValue(args[i])]))
+  });
+}
+
+function writeSafeBatch(batch, filePath) {
+  const { checksum, ...meta } = batch.meta;
+  batch = { ...batch, meta };
+  batch.meta.checksum = calculateChecksum(batch);
+  fs.writeFileSync(filePath, JSON.stringify(batch, null, 2));
+  return batch;
+}
+
+module.exports = { createSafeBatch, addSafeTransaction, writeSafeBatch };
@@ -0,0 +1,249 @@
+require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+
+const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+// matches `ApprovalType` in src/proxy/TransferAction.sol
+const APPROVAL_TYPES = { permit: 1, permit2: 2 };
+// number of Permit2 nonce bitmap words searched for an unused nonce
+const PERMIT2_NONCE_WORDS = 16;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+const PERMIT_TRANSFER_FROM_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+const TOKEN_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)',
+  'function eip712Domain() view returns (bytes1, string name, string version, uint256, address, bytes32, uint256[])'
+];
+const PERMIT2_ABI = [
+  'function nonceBitmap(address owner, uint256 wordPos) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)'
+];
+
+const USAGE = `Usage: node scripts/sign-permit.js --token <address> --spender <address> --amount <wei|max> [options]
+
+Signs an ERC-2612 permit or a Permit2 PermitTransferFrom message and prints the PermitParams tuple
+(approvalType, approvalAmount, nonce, deadline, v, r, s) expected by TransferAction.
+
+Options:
+  --type <permit|permit2>   type of the signature (default: permit)
+  --deadline <timestamp|max> expiry of the signature (default: now + 1 hour)
+  --chain-id <id>           chain id of the domain (default: chain id of the node)
+  --rpc-url <url>           node used to read the nonce and domain (default: $RPC_URL or http://127.0.0.1:8545)
+  --offline                 do not connect to a node, requires --chain-id, --nonce and (for permit) --name
+  --nonce <nonce>           nonce to sign (default: read from the token or the Permit2 nonce bitmap)
+  --name <name>             EIP-712 domain name of the token (permit only, default: read from the token)
+  --version <version>       EIP-712 domain version of the token (permit only, default: read from the token or 1)
+  --keystore <path>         encrypted JSON keystore of the owner, decrypted with $KEYSTORE_PASSWORD
+                            (default: the owner's private key is read from $PERMIT_OWNER_PRIVATE_KEY)
+  --fixtures [path]         emit a Foundry test fixture (JSON, readable with vm.readFile and vm.parseJson)
+  --help                    show this message`;
+
+function parseUint(value, name) {
+  if (value === 'max') return ethers.constants.MaxUint256;
+  if (!/^\d+$/.test(value || '')) throw new Error(`--${name} has to be an unsigned integer or max, got ${value}`);
+  return ethers.BigNumber.from(value);
+}
+
+function parseAddress(value, name) {
+  if (!ethers.utils.isAddress(value || '')) throw new Error(`--${name} has to be an address, got ${value}`);
+  return ethers.utils.getAddress(value);
+}
+
+async function loadOwner(options) {
+  if (options.keystore) {
+    if (process.env.KEYSTORE_PASSWORD == undefined) throw new Error('KEYSTORE_PASSWORD is not set');
+    return await ethers.Wallet.fromEncryptedJson(fs.readFileSync(options.keystore, 'utf8'), process.env.KEYSTORE_PASSWORD);
+  }
+  if (process.env.PERMIT_OWNER_PRIVATE_KEY == undefined) {
+    throw new Error('Either PERMIT_OWNER_PRIVATE_KEY has to be set or --keystore has to be provided');
+  }
+  return new ethers.Wallet(process.env.PERMIT_OWNER_PRIVATE_KEY);
+}
+
+async function getProvider(options) {
+  if (options.offline) return null;
+  const provider = new ethers.providers.StaticJsonRpcProvider(
+    options['rpc-url'] || process.env.RPC_URL || 'http://127.0.0.1:8545'
+  );
+  try {
+    await provider.getNetwork();
+  } catch (error) {
+    throw new Error(`No node reachable at ${provider.connection.url}, pass --rpc-url or use --offline`);
+  }
+  return provider;
+}
+
+// Returns the first unused Permit2 nonce of `owner` (Permit2 uses unordered nonces stored in a bitmap)
+async function getPermit2Nonce(permit2, owner) {
+  for (let wordPos = 0; wordPos < PERMIT2_NONCE_WORDS; wordPos++) {
+    const bitmap = await permit2.nonceBitmap(owner, wordPos);
+    for (let bit = 0; bit < 256; bit++) {
+      if (!bitmap.shr(bit).and(1).eq(1)) return ethers.BigNumber.from(wordPos).shl(8).add(bit);
+    }
+  }
+  throw new Error(`No unused Permit2 nonce found in the first ${PERMIT2_NONCE_WORDS} bitmap words, pass --nonce`);
+}
+
+async function getTokenDomain(token, options) {
+  let { name, version } = options;
+  if (token && (name == undefined || version == undefined)) {
+    // EIP-5267 is not implemented by every token, fall back to name() and version 1
+    const domain = await token.eip712Domain().catch(() => null);
+    if (name == undefined) name = (domain) ? domain.name : await token.name();
+    if (version == undefined) version = (domain) ? domain.version : '1';
+  }
+  if (name == undefined) throw new Error('--name is required in offline mode');
+  return { name, version: version || '1' };
+}
+
+async function buildTypedData(type, owner, args, provider) {
+  const { token, spender, amount, deadline, chainId, options } = args;
+  let nonce = (options.nonce != undefined) ? parseUint(options.nonce, 'nonce') : undefined;
+
+  if (type === 'permit') {
+    const contract = (provider) ? new ethers.Contract(token, TOKEN_ABI, provider) : null;
+    if (nonce == undefined) nonce = await contract.nonces(owner);
+    const domain = { ...(await getTokenDomain(contract, options)), chainId, verifyingContract: token };
+    const message = { owner, spender, value: amount, nonce, deadline };
+    return { domain, types: PERMIT_TYPES, message, contract };
+  }
+
+  const contract = (provider) ? new ethers.Contract(PERMIT2, PERMIT2_ABI, provider) : null;
+  if (nonce == undefined) nonce = await getPermit2Nonce(contract, owner);
+  // the spender is the contract calling `permitTransferFrom`, i.e. the user's proxy when using the position actions
+  const message = { permitted: { token, amount }, spender, nonce, deadline };
+  return { domain: { name: 'Permit2', chainId, verifyingContract: PERMIT2 }, types: PERMIT_TRANSFER_FROM_TYPES, message, contract };
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      type: { type: 'string', default: 'permit' },
+      token: { type: 'string' },
+      spender: { type: 'string' },
+      amount: { type: 'string' },
+      deadline: { type: 'string' },
+      'chain-id': { type: 'string' },
+      'rpc-url': { type: 'string' },
+      offline: { type: 'boolean', default: false },
+      nonce: { type: 'string' },
+      name: { type: 'string' },
+      version: { type: 'string' },
+      keystore: { type: 'string' },
+      fixtures: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    },
+    // allows `--fixtures` without a path
+    args: process.argv.slice(2).map((arg, i, args) => (
+      arg === '--fixtures' && (args[i + 1] == undefined || args[i + 1].startsWith('--')) ? '--fixtures=' : arg
+    ))
+  });
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const type = options.type;
+  if (APPROVAL_TYPES[type] == undefined) throw new Error(`--type has to be one of ${Object.keys(APPROVAL_TYPES).join(', ')}`);
+  const token = parseAddress(options.token, 'token');
+  const spender = parseAddress(options.spender, 'spender');
+  const amount = parseUint(options.amount, 'amount');
+  const deadline = (options.deadline != undefined)
+    ? parseUint(options.deadline, 'deadline') : ethers.BigNumber.from(Math.floor(Date.now() / 1000) + 3600);
+
+  const provider = await getProvider(options);
+  if (!provider && (options['chain-id'] == undefined || options.nonce == undefined)) {
+    throw new Error('--chain-id and --nonce are required in offline mode');
+  }
+  let chainId = (options['chain-id'] != undefined) ? parseUint(options['chain-id'], 'chain-id').toNumber() : undefined;
+  if (provider) {
+    const network = await provider.getNetwork();
+    if (chainId != undefined && chainId != network.chainId) {
+      throw new Error(`--chain-id ${chainId} does not match the chain id of the node (${network.chainId})`);
+    }
+    chainId = network.chainId;
+  }
+
+  const wallet = await loadOwner(options);
+  const owner = wallet.address;
+  const { domain, types, message, contract } = await buildTypedData(
+    type, owner, { token, spender, amount, deadline, chainId, options }, provider
+  );
+
+  // make sure the signature will be accepted by comparing the domain with the one of the verifying contract
+  const domainSeparator = ethers.utils._TypedDataEncoder.hashDomain(domain);
+  if (contract) {
+    const expected = await contract.DOMAIN_SEPARATOR();
+    if (expected !== domainSeparator) {
+      throw new Error(`Domain separator ${domainSeparator} does not match ${expected} of ${domain.verifyingContract}`);
+    }
+  }
+
+  const { v, r, s } = ethers.utils.splitSignature(await wallet._signTypedData(domain, types, message));
+  const permitParams = {
+    approvalType: APPROVAL_TYPES[type],
+    approvalAmount: amount.toString(),
+    nonce: message.nonce.toString(),
+    deadline: deadline.toString(),
+    v,
+    r,
+    s
+  };
+
+  if (options.fixtures == undefined) {
+    console.log(`owner:           ${owner}`);
+    console.log(`domainSeparator: ${domainSeparator}`);
+    console.log(`digest:          ${ethers.utils._TypedDataEncoder.hash(domain, types, message)}`);
+    console.log('------------------------------------');
+    console.log(JSON.stringify(permitParams, null, 2));
+    console.log('------------------------------------');
+    console.log(`(${Object.values(permitParams).join(', ')})`);
+    return;
+  }
+
+  const fixture = JSON.stringify({
+    type,
+    chainId,
+    owner,
+    token,
+    spender,
+    domainSeparator,
+    digest: ethers.utils._TypedDataEncoder.hash(domain, types, message),
+    permitParams
+  }, null, 2);
+  if (options.fixtures === '') {
+    console.log(fixture);
+  } else {
+    fs.writeFileSync(options.fixtures, fixture);
+    console.log(`Fixture written to ${options.fixtures}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
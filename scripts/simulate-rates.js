@@ -0,0 +1,152 @@
+require('hardhat/register');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const {
+  MathError,
+  perSecondRateToAPR,
+  aprToPerSecondRate,
+  calculateInterestRate,
+  calculateRebateFactor,
+  calculateEffectiveAPR
+} = require('./interest-rate-model.js');
+const { toWad, fromWad } = require('./utils.js');
+
+const COMMANDS = ['convert', 'table'];
+
+const USAGE = `Usage: node scripts/simulate-rates.js <command> [options]
+
+Commands:
+  convert  convert an annual rate (--apr) to a per-second rate or a per-second rate (--rate) to an annual rate
+  table    tabulate the effective APR of the vaults in scripts/config.js across utilization ratios (rows, a single
+           row for a static baseRate) and rebate factors (columns, by default the rebate factors of the vault's
+           limit price ticks)
+
+Options:
+  --apr <percent>            annual rate, e.g. 2 for 2% (convert)
+  --rate <rate>              per-second rate [wad], e.g. 1000000000626221517 (convert)
+  --vault <vault>            vault config key, e.g. WETH (table, default: all vaults)
+  --steps <n>                number of utilization ratio steps up to maxUtilizationRatio (table, default: 10)
+  --rebate-factors <list>    comma separated rebate factors [wad], e.g. 0,0.5,1 (table)
+  --csv                      print the table as CSV (table)
+  --help                     show this message
+
+Rates are annualized over 366 days (the year RATE_CEILING and the rates in scripts/config.js are derived from).`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      apr: { type: 'string' },
+      rate: { type: 'string' },
+      vault: { type: 'string' },
+      steps: { type: 'string', default: '10' },
+      'rebate-factors': { type: 'string' },
+      csv: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+function formatPercent(value) {
+  return `${(Number(fromWad(value)) * 100).toFixed(4)}%`;
+}
+
+function convert(options) {
+  if (options.apr != undefined) {
+    const rate = aprToPerSecondRate(toWad(options.apr).div(100));
+    console.log(`${options.apr}% APR = ${rate.toString()} per second (${formatPercent(perSecondRateToAPR(rate))} APR)`);
+  } else if (options.rate != undefined) {
+    console.log(`${options.rate} per second = ${formatPercent(perSecondRateToAPR(options.rate))} APR`);
+  } else {
+    throw new Error('Either --apr or --rate is required');
+  }
+}
+
+// Returns the effective APR for each utilization ratio and rebate factor, or null if the vault reverts. A static
+// `baseRate` (anything but MaxUint256, see `calculateVaultRateAccumulator`) applies at every utilization ratio and is
+// tabulated as a single row without a utilization ratio.
+function getRateTable(params, baseRate, rebateFactors, steps) {
+  const toRow = (utilizationRatio, interestRate) => ({
+    utilizationRatio,
+    interestRate,
+    aprs: rebateFactors.map(({ rebateFactor }) => calculateEffectiveAPR(interestRate, rebateFactor))
+  });
+  if (!baseRate.eq(ethers.constants.MaxUint256)) return [toRow(null, baseRate)];
+
+  const rows = [];
+  for (let step = 0; step <= steps; step++) {
+    const utilizationRatio = ethers.BigNumber.from(params.maxUtilizationRatio).mul(step).div(steps);
+    try {
+      rows.push(toRow(utilizationRatio, calculateInterestRate(utilizationRatio, params)));
+    } catch (error) {
+      if (!(error instanceof MathError)) throw error;
+      rows.push({ utilizationRatio, interestRate: null, aprs: rebateFactors.map(() => null) });
+    }
+  }
+  return rows;
+}
+
+function printTable(key, config, options, printHeader) {
+  const { params, configs } = config.deploymentArguments;
+  const rebateFactors = (options['rebate-factors'] != undefined)
+    ? options['rebate-factors'].split(',').map((factor) => ({ label: `rebate ${factor}`, rebateFactor: toWad(factor) }))
+    : [
+      { label: 'no order', rebateFactor: ethers.constants.Zero },
+      ...config.exchange.limitPriceTicks.map((tick) => ({
+        label: `tick ${fromWad(tick)}`, rebateFactor: calculateRebateFactor(tick, params)
+      }))
+    ];
+  const baseRate = ethers.BigNumber.from(configs.baseRate);
+  const rows = getRateTable(params, baseRate, rebateFactors, Number(options.steps));
+
+  if (options.csv) {
+    if (printHeader) console.log(['vault', 'utilizationRatio', 'interestRate', ...rebateFactors.map(({ label }) => label)].join(','));
+    for (const { utilizationRatio, interestRate, aprs } of rows) {
+      console.log([
+        key, (utilizationRatio) ? fromWad(utilizationRatio) : '', interestRate?.toString() ?? '',
+        ...aprs.map((apr) => (apr) ? fromWad(apr) : '')
+      ].join(','));
+    }
+    return;
+  }
+
+  console.log('------------------------------------');
+  console.log(`${key}: baseRate ${(baseRate.eq(ethers.constants.MaxUint256))
+    ? 'utilization based' : `${baseRate.toString()} (${formatPercent(perSecondRateToAPR(baseRate))} APR, static)`}`);
+  for (const { label, rebateFactor } of rebateFactors) console.log(`  ${label}: rebate factor ${fromWad(rebateFactor)}`);
+  console.table(rows.map(({ utilizationRatio, interestRate, aprs }) => ({
+    utilization: (utilizationRatio) ? formatPercent(utilizationRatio) : 'any',
+    rate: interestRate?.toString() ?? 'reverts',
+    ...Object.fromEntries(rebateFactors.map(({ label }, i) => [label, (aprs[i]) ? formatPercent(aprs[i]) : 'reverts']))
+  })));
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  if (command === 'convert') {
+    convert(options);
+    return;
+  }
+  const keys = (options.vault) ? [options.vault] : Object.keys(CONFIG.Vaults);
+  for (const [i, key] of keys.entries()) {
+    if (!CONFIG.Vaults[key]) throw new Error(`Vault ${key} not found in scripts/config.js`);
+    printTable(key, CONFIG.Vaults[key], options, i == 0);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
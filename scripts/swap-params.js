@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Builds and decodes the `SwapParams` of src/proxy/SwapAction.sol (`swap`, `transferAndSwap` and the `primarySwap` and
+// `auxSwap` of the position actions) for Balancer batch swaps, Uniswap V3 paths and 1inch payloads. Amounts are
+// BigNumbers in the units of the tokens, routes are given in trade order (from the asset in to the asset out) and are
+// reversed for EXACT_OUT swaps as SwapAction expects.
+
+const { BigNumber, utils, constants: { AddressZero, WeiPerEther: WAD } } = ethers;
+
+// match the enums in src/proxy/SwapAction.sol
+const SWAP_PROTOCOLS = { balancer: 0, oneinch: 1, univ3: 2 };
+const SWAP_TYPES = { exactIn: 0, exactOut: 1 };
+const SWAP_PARAMS_TYPE = 'tuple(uint8 swapProtocol, uint8 swapType, address assetIn, uint256 amount, uint256 limit, ' +
+  'address recipient, uint256 deadline, bytes args)';
+const PERMIT_PARAMS_TYPE = 'tuple(uint8 approvalType, uint256 approvalAmount, uint256 nonce, uint256 deadline, uint8 v, ' +
+  'bytes32 r, bytes32 s)';
+// fee tiers of Uniswap V3 [hundredths of a bip]
+const UNIV3_FEES = [100, 500, 3000, 10000];
+
+const SWAP_ACTION_INTERFACE = new utils.Interface([
+  `function swap(${SWAP_PARAMS_TYPE} swapParams)`,
+  `function transferAndSwap(address from, ${PERMIT_PARAMS_TYPE} permitParams, ${SWAP_PARAMS_TYPE} swapParams)`
+]);
+// calls are usually wrapped in `PRBProxy.execute`
+const PRB_PROXY_INTERFACE = new utils.Interface(['function execute(address target, bytes data)']);
+// swap methods of the 1inch AggregationRouterV5 whose payloads are checked against the SwapParams
+const ONEINCH_INTERFACE = new utils.Interface([
+  'function swap(address executor, tuple(address srcToken, address dstToken, address srcReceiver, address dstReceiver, ' +
+    'uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)',
+  'function unoswap(address srcToken, uint256 amount, uint256 minReturn, uint256[] pools)',
+  'function uniswapV3Swap(uint256 amount, uint256 minReturn, uint256[] pools)'
+]);
+
+function toSwapParams({
+  swapProtocol = 0,
+  swapType = 0,
+  assetIn = AddressZero,
+  amount = 0,
+  limit = 0,
+  recipient = AddressZero,
+  deadline = 0,
+  args = '0x'
+} = {}) {
+  return { swapProtocol, swapType, assetIn, amount, limit, recipient, deadline, args };
+}
+
+function toEnum(values, value, name) {
+  if (Object.values(values).includes(value)) return value;
+  if (values[value] == undefined) throw new Error(`${name} has to be one of ${Object.keys(values).join(', ')}`);
+  return values[value];
+}
+
+function getName(values, value) {
+  return Object.keys(values).find((key) => values[key] == value) ?? String(value);
+}
+
+// Returns the decimal notation of a number. Numbers below 1e-6 are stringified in exponent notation (1e-7), which
+// parseEther does not accept, the digits are shifted by the exponent instead of rounding them with toFixed.
+function toDecimalString(number) {
+  const [mantissa, exponent] = String(number).split('e');
+  if (exponent == undefined) return mantissa;
+  const sign = (mantissa.startsWith('-')) ? '-' : '';
+  const [integer, fraction = ''] = mantissa.replace('-', '').split('.');
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+// Slippage tolerance as a fraction (0.005 = 0.5%) or a BigNumber [wad]
+function toSlippage(slippage) {
+  const decimal = (typeof slippage === 'number') ? toDecimalString(slippage) : String(slippage);
+  const value = (BigNumber.isBigNumber(slippage)) ? slippage : utils.parseEther(decimal);
+  if (value.lt(0) || value.gte(WAD)) throw new Error(`Slippage ${utils.formatEther(value)} has to be in [0, 1)`);
+  return value;
+}
+
+// Returns the `limit` of a swap from a quote: the min. amount out (EXACT_IN, rounded down) or the max. amount in
+// (EXACT_OUT, rounded up) given the quoted amount out or in and a slippage tolerance
+function getSwapLimit(swapType, quote, slippage) {
+  swapType = toEnum(SWAP_TYPES, swapType, 'swapType');
+  const tolerance = toSlippage(slippage);
+  if (swapType == SWAP_TYPES.exactIn) return BigNumber.from(quote).mul(WAD.sub(tolerance)).div(WAD);
+  return BigNumber.from(quote).mul(WAD.add(tolerance)).add(WAD).sub(1).div(WAD);
+}
+
+// Returns the deadline of a swap `ttl` seconds after `timestamp` (e.g. of the latest block)
+function getSwapDeadline(timestamp, ttl = 60 * 60) {
+  return BigNumber.from(timestamp).add(ttl);
+}
+
+function resolveLimit({ swapType, limit, quote, slippage }) {
+  if (limit != undefined) return BigNumber.from(limit);
+  if (quote == undefined || slippage == undefined) throw new Error('Either limit or quote and slippage are required');
+  return getSwapLimit(swapType, quote, slippage);
+}
+
+function resolveDeadline(deadline) {
+  if (deadline == undefined || BigNumber.from(deadline).isZero()) throw new Error('A deadline is required');
+  return BigNumber.from(deadline);
+}
+
+function checkRoute(tokens, hops, hopName) {
+  if (tokens.length < 2) throw new Error('A route needs at least two assets');
+  if (hops.length != tokens.length - 1) {
+    throw new Error(`A route of ${tokens.length} assets needs ${tokens.length - 1} ${hopName}, got ${hops.length}`);
+  }
+  const addresses = tokens.map((token) => utils.getAddress(token));
+  for (let i = 1; i < addresses.length; i++) {
+    if (addresses[i] === addresses[i - 1]) throw new Error(`Hop ${i} swaps ${addresses[i]} for itself`);
+  }
+  return addresses;
+}
+
+function encodeBalancerArgs(poolIds, assets) {
+  return utils.defaultAbiCoder.encode(['bytes32[]', 'address[]'], [poolIds, assets]);
+}
+
+function decodeBalancerArgs(args) {
+  const [poolIds, assets] = utils.defaultAbiCoder.decode(['bytes32[]', 'address[]'], args);
+  return { poolIds, assets };
+}
+
+// Packs a Uniswap V3 path: token, fee, token, ..., fee, token
+function encodeUniV3Path(tokens, fees) {
+  const types = tokens.flatMap((_, i) => (i == 0) ? ['address'] : ['uint24', 'address']);
+  const values = tokens.flatMap((token, i) => (i == 0) ? [token] : [fees[i - 1], token]);
+  return utils.solidityPack(types, values);
+}
+
+function decodeUniV3Path(data) {
+  const bytes = utils.arrayify(data);
+  if (bytes.length < 43 || (bytes.length - 20) % 23 != 0) throw new Error(`Invalid Uniswap V3 path ${utils.hexlify(data)}`);
+  const tokens = [];
+  const fees = [];
+  for (let offset = 0; ; offset += 23) {
+    tokens.push(utils.getAddress(utils.hexlify(bytes.slice(offset, offset + 20))));
+    if (offset + 20 == bytes.length) break;
+    fees.push(BigNumber.from(bytes.slice(offset + 20, offset + 23)).toNumber());
+  }
+  return { tokens, fees };
+}
+
+// Balancer batch swap along `assets` (in trade order), `poolIds[i]` swapping `assets[i]` for `assets[i + 1]`
+function buildBalancerSwap({ swapType = 'exactIn', assets, poolIds, amount, limit, quote, slippage, recipient, deadline }) {
+  swapType = toEnum(SWAP_TYPES, swapType, 'swapType');
+  const route = checkRoute(assets, poolIds, 'pool ids');
+  for (const poolId of poolIds) {
+    if (!utils.isHexString(poolId, 32)) throw new Error(`Invalid Balancer pool id ${poolId}`);
+  }
+  const isExactIn = swapType == SWAP_TYPES.exactIn;
+  return toSwapParams({
+    swapProtocol: SWAP_PROTOCOLS.balancer,
+    swapType,
+    assetIn: route[0],
+    amount: BigNumber.from(amount),
+    limit: resolveLimit({ swapType, limit, quote, slippage }),
+    recipient: utils.getAddress(recipient),
+    deadline: resolveDeadline(deadline),
+    args: (isExactIn)
+      ? encodeBalancerArgs(poolIds, route) : encodeBalancerArgs([...poolIds].reverse(), [...route].reverse())
+  });
+}
+
+// Uniswap V3 swap along `tokens` (in trade order), `fees[i]` being the fee tier of the pool of `tokens[i]` and
+// `tokens[i + 1]`
+function buildUniV3Swap({ swapType = 'exactIn', tokens, fees, amount, limit, quote, slippage, recipient, deadline }) {
+  swapType = toEnum(SWAP_TYPES, swapType, 'swapType');
+  const route = checkRoute(tokens, fees, 'fees');
+  for (const fee of fees) {
+    if (!UNIV3_FEES.includes(Number(fee))) throw new Error(`Invalid Uniswap V3 fee ${fee}, expected one of ${UNIV3_FEES}`);
+  }
+  const isExactIn = swapType == SWAP_TYPES.exactIn;
+  return toSwapParams({
+    swapProtocol: SWAP_PROTOCOLS.univ3,
+    swapType,
+    assetIn: route[0],
+    amount: BigNumber.from(amount),
+    limit: resolveLimit({ swapType, limit, quote, slippage }),
+    recipient: utils.getAddress(recipient),
+    deadline: resolveDeadline(deadline),
+    args: (isExactIn)
+      ? encodeUniV3Path(route, fees) : encodeUniV3Path([...route].reverse(), [...fees].reverse())
+  });
+}
+
+// Returns the tokens, amounts and receiver of a 1inch AggregationRouterV5 payload (null for unknown methods)
+function decodeOneInchPayload(payload) {
+  let call;
+  try {
+    call = ONEINCH_INTERFACE.parseTransaction({ data: payload });
+  } catch (error) {
+    return null;
+  }
+  if (call.name === 'swap') {
+    const { srcToken, dstToken, dstReceiver, amount, minReturnAmount } = call.args.desc;
+    return { method: call.name, srcToken, dstToken, dstReceiver, amount, minReturnAmount };
+  }
+  return {
+    method: call.name,
+    srcToken: call.args.srcToken ?? null,
+    amount: call.args.amount,
+    minReturnAmount: call.args.minReturn
+  };
+}
+
+// 1inch swap with a payload (the `tx.data` of the 1inch swap API for the SwapAction, or the PRBProxy it is executed
+// by, as the sender). Only EXACT_IN is supported. The amount and min. return of known methods have to match `amount`
+// and `limit`, the limit defaults to the payload's min. return.
+function buildOneInchSwap({ swapType = 'exactIn', assetIn, amount, payload, limit, recipient = AddressZero, deadline = 0 }) {
+  if (toEnum(SWAP_TYPES, swapType, 'swapType') != SWAP_TYPES.exactIn) throw new Error('1inch only supports EXACT_IN swaps');
+  if (!utils.isHexString(payload) || utils.hexDataLength(payload) < 4) throw new Error('Invalid 1inch payload');
+  const decoded = decodeOneInchPayload(payload);
+  if (decoded) {
+    if (decoded.srcToken && utils.getAddress(decoded.srcToken) !== utils.getAddress(assetIn)) {
+      throw new Error(`The 1inch payload swaps ${decoded.srcToken} instead of ${assetIn}`);
+    }
+    if (!decoded.amount.eq(amount)) throw new Error(`The 1inch payload swaps ${decoded.amount} instead of ${amount}`);
+    if (limit != undefined && decoded.minReturnAmount.lt(limit)) {
+      throw new Error(`The min. return of the 1inch payload ${decoded.minReturnAmount} is below the limit ${limit}`);
+    }
+  } else if (limit == undefined) {
+    throw new Error('A limit is required for 1inch payloads of unknown methods');
+  }
+  return toSwapParams({
+    swapProtocol: SWAP_PROTOCOLS.oneinch,
+    swapType: SWAP_TYPES.exactIn,
+    assetIn: utils.getAddress(assetIn),
+    amount: BigNumber.from(amount),
+    limit: BigNumber.from(limit ?? decoded.minReturnAmount),
+    recipient: utils.getAddress(recipient),
+    deadline: BigNumber.from(deadline),
+    args: payload
+  });
+}
+
+// Builds the SwapParams of a route: `protocol` is one of balancer, univ3 or oneinch, see the builders for the others
+function buildSwapParams({ protocol, ...route }) {
+  switch (protocol) {
+    case 'balancer':
+      return buildBalancerSwap(route);
+    case 'univ3':
+      return buildUniV3Swap(route);
+    case 'oneinch':
+      return buildOneInchSwap(route);
+    default:
+      throw new Error(`protocol has to be one of ${Object.keys(SWAP_PROTOCOLS).join(', ')}`);
+  }
+}
+
+function encodeSwapParams(swapParams) {
+  return utils.defaultAbiCoder.encode([SWAP_PARAMS_TYPE], [swapParams]);
+}
+
+// Returns a readable copy of SwapParams with the protocol specific `args` decoded
+function describeSwapParams(swapParams) {
+  const { swapProtocol, swapType, assetIn, amount, limit, recipient, deadline, args } = swapParams;
+  let route;
+  try {
+    if (swapProtocol == SWAP_PROTOCOLS.balancer) route = decodeBalancerArgs(args);
+    else if (swapProtocol == SWAP_PROTOCOLS.univ3) route = decodeUniV3Path(args);
+    else if (swapProtocol == SWAP_PROTOCOLS.oneinch) route = decodeOneInchPayload(args) ?? { method: 'unknown' };
+  } catch (error) {
+    route = { error: error.message };
+  }
+  return {
+    swapProtocol: getName(SWAP_PROTOCOLS, swapProtocol),
+    swapType: getName(SWAP_TYPES, swapType),
+    assetIn,
+    amount: BigNumber.from(amount).toString(),
+    limit: BigNumber.from(limit).toString(),
+    recipient,
+    deadline: BigNumber.from(deadline).toString(),
+    route: (route) ? JSON.parse(JSON.stringify(route, (_, v) => (v?.type === 'BigNumber') ? BigNumber.from(v).toString() : v)) : null,
+    args
+  };
+}
+
+function isSwapParams(value) {
+  return value != null && typeof value === 'object' && 'swapProtocol' in value && 'args' in value;
+}
+
+// Collects the SwapParams (named by their path) of a decoded call, unwrapping nested `PRBProxy.execute` calls
+function findSwapParams(value, interfaces, name, found) {
+  if (isSwapParams(value)) {
+    found.push({ name, swapParams: describeSwapParams(value) });
+  } else if (Array.isArray(value)) {
+    const keys = Object.keys(value).filter((key) => isNaN(Number(key)));
+    if (keys.length > 0) for (const key of keys) findSwapParams(value[key], interfaces, `${name}.${key}`, found);
+    else value.forEach((item, i) => findSwapParams(item, interfaces, `${name}[${i}]`, found));
+  } else if (typeof value === 'string' && name.endsWith('.data') && utils.isHexString(value)) {
+    decodeCall(value, interfaces, name, found);
+  }
+  return found;
+}
+
+function decodeCall(data, interfaces, name, found) {
+  for (const iface of [PRB_PROXY_INTERFACE, SWAP_ACTION_INTERFACE, ...interfaces]) {
+    let call;
+    try {
+      call = iface.parseTransaction({ data });
+    } catch (error) {
+      continue;
+    }
+    return findSwapParams(call.args, interfaces, (name) ? `${name}.${call.name}` : call.name, found);
+  }
+  return found;
+}
+
+// Decodes the SwapParams of calldata for debugging: a call of SwapAction, of a contract of `interfaces` (e.g. the
+// position actions) or `PRBProxy.execute` of one of them, or ABI encoded SwapParams
+function decodeSwapParams(data, interfaces = []) {
+  const found = decodeCall(data, interfaces, '', []);
+  if (found.length > 0) return found;
+  try {
+    return [{ name: 'swapParams', swapParams: describeSwapParams(utils.defaultAbiCoder.decode([SWAP_PARAMS_TYPE], data)[0]) }];
+  } catch (error) {
+    throw new Error('No SwapParams found in the calldata');
+  }
+}
+
+// Returns the interfaces of the proxy actions compiled by hardhat (artifacts/) or forge (out/), if any
+function loadActionInterfaces() {
+  const interfaces = [];
+  for (const dir of [path.join(__dirname, '..', 'artifacts', 'src', 'proxy'), path.join(__dirname, '..', 'out')]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const source of fs.readdirSync(dir).filter((file) => /Action[^.]*\.sol$/.test(file))) {
+      for (const file of fs.readdirSync(path.join(dir, source)).filter((file) => /^[^.]+\.json$/.test(file))) {
+        const { abi } = JSON.parse(fs.readFileSync(path.join(dir, source, file)));
+        if (abi?.length > 0) interfaces.push(new utils.Interface(abi));
+      }
+    }
+    if (interfaces.length > 0) break;
+  }
+  return interfaces;
+}
+
+module.exports = {
+  SWAP_PROTOCOLS,
+  SWAP_TYPES,
+  SWAP_PARAMS_TYPE,
+  UNIV3_FEES,
+  toSwapParams,
+  toSlippage,
+  getSwapLimit,
+  getSwapDeadline,
+  encodeBalancerArgs,
+  decodeBalancerArgs,
+  encodeUniV3Path,
+  decodeUniV3Path,
+  decodeOneInchPayload,
+  buildBalancerSwap,
+  buildUniV3Swap,
+  buildOneInchSwap,
+  buildSwapParams,
+  encodeSwapParams,
+  describeSwapParams,
+  decodeSwapParams
+};
+
+// Entry point of the differential tests (src/test/unit/SwapAction.differential.t.sol), called via `vm.ffi`:
+// `node scripts/swap-params.js <function> <args...>` prints the ABI encoded SwapParams, lists are comma separated and
+// the slippage is a wad. `node scripts/swap-params.js decode <calldata>` prints the decoded SwapParams.
+const list = (value) => value.split(',').filter((item) => item !== '');
+const FFI = {
+  balancer: ([swapType, assets, poolIds, amount, quote, slippage, recipient, deadline]) => buildBalancerSwap({
+    swapType: Number(swapType), assets: list(assets), poolIds: list(poolIds), amount, quote, slippage: BigNumber.from(slippage),
+    recipient, deadline
+  }),
+  univ3: ([swapType, tokens, fees, amount, quote, slippage, recipient, deadline]) => buildUniV3Swap({
+    swapType: Number(swapType), tokens: list(tokens), fees: list(fees).map(Number), amount, quote,
+    slippage: BigNumber.from(slippage), recipient, deadline
+  }),
+  oneinch: ([assetIn, amount, payload]) => buildOneInchSwap({ assetIn, amount, payload }),
+  // re-encodes the first SwapParams found in calldata
+  reencode: ([data]) => {
+    const [{ swapParams }] = decodeSwapParams(data);
+    return { ...swapParams, swapProtocol: SWAP_PROTOCOLS[swapParams.swapProtocol], swapType: SWAP_TYPES[swapParams.swapType] };
+  }
+};
+
+if (require.main === module) {
+  const [name, ...args] = process.argv.slice(2);
+  if (name === 'decode' && args.length == 1) {
+    console.log(JSON.stringify(decodeSwapParams(args[0], loadActionInterfaces()), null, 2));
+  } else if (FFI[name]) {
+    process.stdout.write(encodeSwapParams(FFI[name](args)));
+  } else {
+    console.error(`Usage: node scripts/swap-params.js <decode|${Object.keys(FFI).join('|')}> <args...>`);
+    process.exit(1);
+  }
+}
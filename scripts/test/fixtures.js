@@ -0,0 +1,203 @@
+// Fixtures of the end-to-end tests of the scripts (scripts/test/*.e2e.test.js, `make test-scripts`). The tests run
+// against a devnet chain (`make devnet`) through hardhat's built-in localhost network, deploy their contracts into
+// scripts/deployment-localhost.json and run the scripts as child processes like an operator would.
+process.env.HARDHAT_NETWORK = 'localhost';
+// @tenderly/hardhat-tenderly verifies every deployed contract on Tenderly unless this is turned off
+process.env.TENDERLY_AUTOMATIC_VERIFICATION = 'false';
+
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { createDeploymentRecord, storeDeploymentRecord, writeDeploymentFile } = require('../manifest.js');
+const { toWad, toBytes32, convertBigNumberToString, getDeploymentFilePath, getRoleHash } = require('../utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const WAD = ethers.constants.WeiPerEther;
+const DAY = 24 * 60 * 60;
+
+// Runs `node scripts/<script> ...args` on the localhost network and resolves with its exit code and output
+function runScript(script, args = [], env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', script), ...args], {
+      env: { ...process.env, ...env }
+    });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => { stdout += data; });
+    child.stderr.on('data', (data) => { stderr += data; });
+    child.on('error', reject);
+    child.on('close', (status) => resolve({ status, stdout, stderr }));
+  });
+}
+
+// Compiles the contracts and returns a snapshot of the chain to revert to after the tests
+async function setUpChain() {
+  await hre.run('compile', { quiet: true });
+  return await ethers.provider.send('evm_snapshot', []);
+}
+
+// Reverts the chain to `snapshot` and removes the files the tests and the scripts wrote (e.g. index files)
+async function tearDownChain(snapshot, files = []) {
+  await ethers.provider.send('evm_revert', [snapshot]);
+  for (const file of [await getDeploymentFilePath(), ...files]) fs.rmSync(file, { force: true });
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send('evm_increaseTime', [seconds]);
+  await ethers.provider.send('evm_mine', []);
+}
+
+async function getTimestamp() {
+  return (await ethers.provider.getBlock('latest')).timestamp;
+}
+
+async function storeDeployment(deployment, isVault, name, entry) {
+  const record = await createDeploymentRecord(deployment, isVault, name, {
+    ...entry, constructorArguments: convertBigNumberToString(entry.constructorArguments)
+  });
+  storeDeploymentRecord(deployment, isVault, name, record);
+  await writeDeploymentFile(deployment);
+}
+
+// Deploys a contract and records it in the deployment file (`deployment`) like scripts/deploy.js
+async function deployContract(deployment, name, artifactName, args = []) {
+  const contract = await (await ethers.getContractFactory(artifactName)).deploy(...args);
+  await contract.deployed();
+  await storeDeployment(deployment, false, name, {
+    address: contract.address, artifactName, constructorArguments: args, transactionHash: contract.deployTransaction.hash
+  });
+  return contract;
+}
+
+// Deploys a contract behind a TransparentUpgradeableProxy and records the proxy, its implementation and its ProxyAdmin
+// like `deployProxy` of scripts/deploy.js
+async function deployProxy(deployment, name, implementationArgs, proxyArgs) {
+  const proxyAdmin = await deployContract(deployment, `${name}ProxyAdmin`, 'ProxyAdmin');
+  const implementation = await deployContract(deployment, `${name}Implementation`, name, implementationArgs);
+  const args = [
+    implementation.address, proxyAdmin.address, implementation.interface.encodeFunctionData('initialize', proxyArgs)
+  ];
+  const proxy = await (await ethers.getContractFactory('TransparentUpgradeableProxy')).deploy(...args);
+  await proxy.deployed();
+  await storeDeployment(deployment, false, name, {
+    address: proxy.address, artifactName: name, constructorArguments: args, transactionHash: proxy.deployTransaction.hash
+  });
+  return implementation.attach(proxy.address);
+}
+
+// Deploys the CDM, the Buffer, a MockOracle and a mock collateral token (priced at 1 credit) and gives `creditor` an
+// unlimited credit line in the CDM to fund the test accounts with
+async function deployCore(deployment, creditor) {
+  const signer = await (await ethers.getSigners())[0].getAddress();
+  const cdm = await deployContract(deployment, 'CDM', 'CDM', [signer, signer, signer]);
+  await (await cdm['setParameter(bytes32,uint256)'](toBytes32('globalDebtCeiling'), toWad('1000000'))).wait();
+  await (await cdm['setParameter(address,bytes32,uint256)'](
+    creditor, toBytes32('debtCeiling'), ethers.constants.MaxInt256
+  )).wait();
+  const buffer = await deployProxy(deployment, 'Buffer', [cdm.address], [signer, signer]);
+  const oracle = await deployContract(deployment, 'MockOracle', 'MockOracle');
+  const token = await deployContract(deployment, 'MockERC20_TST', 'MockERC20', ['TestToken', 'TST', 18]);
+  await (await oracle.updateSpot(token.address, WAD)).wait();
+  return { cdm, buffer, oracle, token };
+}
+
+// Transfers `amount` credit from the credit line of `creditor` (see `deployCore`) to `to`
+async function fundCredit(cdm, creditor, to, amount) {
+  await (await cdm.connect(creditor).modifyBalance(await creditor.getAddress(), to, amount)).wait();
+}
+
+// Deploys a CDPVault_TypeB (CDPVault_TypeB_TST) with a position of the signer (300 collateral, 200 normal debt, no
+// interest) which becomes unsafe below a price of 0.8333 (liquidationRatio 1.25) and is liquidated at a 5% discount
+async function deployVaultWithPosition() {
+  const [owner, creditor] = await ethers.getSigners();
+  const signer = await owner.getAddress();
+  const deployment = {};
+  const { cdm, buffer, oracle, token } = await deployCore(deployment, await creditor.getAddress());
+  const unwinderFactory = await deployContract(deployment, 'CDPVaultUnwinderFactory', 'CDPVaultUnwinderFactory');
+  const deployer = await deployContract(deployment, 'CDPVault_TypeB_Deployer', 'CDPVault_TypeB_Deployer');
+  const factory = await deployContract(deployment, 'CDPVault_TypeB_Factory', 'CDPVault_TypeB_Factory', [
+    deployer.address, signer, signer, signer, unwinderFactory.address
+  ]);
+  await (await cdm.grantRole(getRoleHash('ACCOUNT_CONFIG_ROLE'), factory.address)).wait();
+
+  const args = [
+    {
+      cdm: cdm.address,
+      oracle: oracle.address,
+      buffer: buffer.address,
+      token: token.address,
+      tokenScale: WAD,
+      protocolFee: 0,
+      targetUtilizationRatio: 0,
+      maxUtilizationRatio: WAD,
+      minInterestRate: WAD,
+      maxInterestRate: '1000000021919499726',
+      targetInterestRate: '1000000015353288160',
+      rebateRate: 0,
+      maxRebate: WAD
+    },
+    {
+      liquidationPenalty: WAD, liquidationDiscount: toWad('0.95'), targetHealthFactor: toWad('1.05'), vaultUnwinder: signer
+    },
+    {
+      debtFloor: 0,
+      limitOrderFloor: WAD,
+      liquidationRatio: toWad('1.25'),
+      globalLiquidationRatio: 0,
+      baseRate: WAD,
+      roleAdmin: signer,
+      vaultAdmin: signer,
+      tickManager: signer,
+      pauseAdmin: signer
+    },
+    toWad('200')
+  ];
+  const receipt = await (await factory.create(...args)).wait();
+  const { args: { vault: address } } = receipt.events.find(({ event }) => event === 'CreateVault');
+  await storeDeployment(deployment, true, 'CDPVault_TypeB_TST', {
+    address, artifactName: 'CDPVault_TypeB', constructorArguments: args, transactionHash: receipt.transactionHash
+  });
+  const vault = await ethers.getContractAt('CDPVault_TypeB', address);
+  await (await cdm['modifyPermission(address,bool)'](vault.address, true)).wait();
+  await (await buffer.grantRole(getRoleHash('BAIL_OUT_QUALIFIER_ROLE'), vault.address)).wait();
+
+  await fundCredit(cdm, creditor, signer, toWad('1000'));
+  await (await token.mint(signer, toWad('300'))).wait();
+  await (await token.approve(vault.address, toWad('300'))).wait();
+  await (await vault.deposit(signer, toWad('300'))).wait();
+  await (await vault.modifyCollateralAndDebt(signer, signer, signer, toWad('300'), toWad('200'))).wait();
+  return { deployment, cdm, buffer, oracle, token, vault, unwinderFactory, signer };
+}
+
+// Deploys the vault of `deployVaultWithPosition` with 100 credit delegated by the signer, pauses it and deploys its
+// CDPVaultUnwinder after the 14 days a vault has to be paused for. The unwinder is created in the redeemCredit phase.
+async function deployUnwoundVault() {
+  const { deployment, cdm, token, oracle, vault, unwinderFactory, signer } = await deployVaultWithPosition();
+  await (await vault.delegateCredit(toWad('100'))).wait();
+
+  await (await vault.pause()).wait();
+  await increaseTime(14 * DAY);
+  await (await unwinderFactory.deployVaultUnwinder(vault.address)).wait();
+  const unwinder = await ethers.getContractAt('CDPVaultUnwinder', await unwinderFactory.unwinders(vault.address));
+  return { deployment, cdm, token, oracle, vault, unwinder, signer };
+}
+
+module.exports = {
+  WAD,
+  DAY,
+  runScript,
+  setUpChain,
+  tearDownChain,
+  increaseTime,
+  getTimestamp,
+  deployContract,
+  deployProxy,
+  deployCore,
+  fundCredit,
+  deployVaultWithPosition,
+  deployUnwoundVault
+};
@@ -0,0 +1,66 @@
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+
+const { runScript, setUpChain, tearDownChain, deployCore, fundCredit } = require('./fixtures.js');
+const { toWad } = require('../utils.js');
+
+const toAddress = (n) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20));
+
+describe('indexer.js', () => {
+  let snapshot;
+  let cdm;
+  let creditor;
+  const file = path.join(os.tmpdir(), `ledger-test-${process.pid}.sqlite`);
+  const [alice, bob] = [toAddress(10), toAddress(11)];
+
+  const indexer = (...args) => runScript('indexer.js', [...args, '--db', file]);
+
+  // Returns the balance of `account` printed by `indexer.js balances`
+  async function getIndexedBalance(account) {
+    const { status, stdout } = await indexer('balances', '--account', account);
+    assert.equal(status, 0);
+    return stdout.match(new RegExp(`${account}: (-?[\\d.]+)`))?.[1] ?? null;
+  }
+
+  before(async () => {
+    snapshot = await setUpChain();
+    [, creditor] = await ethers.getSigners();
+    ({ cdm } = await deployCore({}, await creditor.getAddress()));
+  });
+
+  after(async () => {
+    await tearDownChain(snapshot, [file, `${file}-wal`, `${file}-shm`]);
+  });
+
+  it('indexes the events of the deployment', async () => {
+    await fundCredit(cdm, creditor, alice, toWad('10'));
+    const { status, stdout } = await indexer('sync');
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`Indexed \\d+ events, ledger at block ${await ethers.provider.getBlockNumber()}`));
+    assert.equal(await getIndexedBalance(alice), '10.0');
+    assert.equal(await getIndexedBalance(await creditor.getAddress()), '-10.0');
+  });
+
+  it('rolls back the blocks of a reorg and indexes the new chain', async () => {
+    const fork = await ethers.provider.send('evm_snapshot', []);
+    const forkBlock = await ethers.provider.getBlockNumber();
+    await fundCredit(cdm, creditor, alice, toWad('5'));
+    await fundCredit(cdm, creditor, bob, toWad('1'));
+    assert.equal((await indexer('sync')).status, 0);
+    assert.equal(await getIndexedBalance(alice), '15.0');
+
+    // replace the indexed blocks with other ones
+    await ethers.provider.send('evm_revert', [fork]);
+    await fundCredit(cdm, creditor, bob, toWad('20'));
+    await ethers.provider.send('evm_mine', []);
+    const { status, stdout } = await indexer('sync');
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`Reorg detected, rolling back to block ${forkBlock}`));
+    assert.match(stdout, new RegExp(`ledger at block ${await ethers.provider.getBlockNumber()}`));
+    assert.equal(await getIndexedBalance(alice), '10.0');
+    assert.equal(await getIndexedBalance(bob), '20.0');
+    assert.equal(await getIndexedBalance(await creditor.getAddress()), '-30.0');
+  });
+});
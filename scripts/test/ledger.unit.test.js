@@ -0,0 +1,138 @@
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const {
+  EVENTS, openLedger, getNextBlock, decodeLogs, insertEvents, rollback, getBalances, getLiquidations
+} = require('../ledger.js');
+
+const toWad = ethers.utils.parseEther;
+
+const EVENTS_INTERFACE = new ethers.utils.Interface(EVENTS);
+
+const toAddress = (n) => ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20));
+const toHash = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+
+// Returns a raw log of `eth_getLogs` emitting the event `name` with `args`
+function toLog(address, name, args, { blockNumber, logIndex, transactionHash = toHash(blockNumber) }) {
+  const { data, topics } = EVENTS_INTERFACE.encodeEventLog(EVENTS_INTERFACE.getEvent(name), args);
+  return {
+    address,
+    data,
+    topics,
+    blockNumber: ethers.utils.hexValue(blockNumber),
+    blockHash: toHash(blockNumber + 1000),
+    logIndex: ethers.utils.hexValue(logIndex),
+    transactionHash,
+    removed: false
+  };
+}
+
+describe('ledger.js', () => {
+  const cdm = toAddress(1);
+  const vault = toAddress(2);
+  const [alice, bob, liquidator] = [toAddress(10), toAddress(11), toAddress(12)];
+  const blocks = [1, 2, 3].map((number) => ({ number, hash: toHash(number + 1000), timestamp: 1000 + number }));
+  let db;
+
+  // block 1: alice pays bob 10, block 2: alice pays bob 5 and bob opens a position, block 3: bob's position is
+  // liquidated by the liquidator (once with and once without a LiquidatePosition event)
+  before(() => {
+    db = openLedger(':memory:');
+    const logs = [
+      toLog(cdm, 'ModifyBalance', [alice, bob, toWad('-10'), toWad('10'), toWad('10')], { blockNumber: 1, logIndex: 0 }),
+      toLog(cdm, 'ModifyBalance', [alice, bob, toWad('-15'), toWad('15'), toWad('15')], { blockNumber: 2, logIndex: 0 }),
+      toLog(vault, 'ModifyPosition', [bob, toWad('100'), toWad('50'), toWad('50')], { blockNumber: 2, logIndex: 1 }),
+      toLog(vault, 'ModifyCollateralAndDebt', [bob, bob, bob, toWad('100'), toWad('50')], { blockNumber: 2, logIndex: 2 }),
+      toLog(cdm, 'ModifyBalance', [liquidator, vault, toWad('-20'), toWad('20'), toWad('15')], {
+        blockNumber: 3, logIndex: 0, transactionHash: toHash(3)
+      }),
+      toLog(vault, 'ModifyPosition', [bob, toWad('-40'), toWad('-20'), toWad('30')], {
+        blockNumber: 3, logIndex: 1, transactionHash: toHash(3)
+      }),
+      toLog(vault, 'LiquidatePosition', [bob, toWad('10'), toWad('5'), liquidator], {
+        blockNumber: 3, logIndex: 2, transactionHash: toHash(4)
+      }),
+      toLog(vault, 'ModifyPosition', [bob, toWad('-10'), toWad('-5'), toWad('25')], {
+        blockNumber: 3, logIndex: 3, transactionHash: toHash(4)
+      })
+    ];
+    insertEvents(db, decodeLogs(logs), blocks, 3);
+  });
+
+  after(() => {
+    db.close();
+  });
+
+  it('stores the events and the balances and advances the next block', () => {
+    assert.equal(getNextBlock(db), 4);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 8);
+    const balances = Object.fromEntries(getBalances(db).map(({ account, balance }) => [account, balance.toString()]));
+    assert.deepEqual(balances, {
+      [alice]: toWad('-15').toString(),
+      [bob]: toWad('15').toString(),
+      [liquidator]: toWad('-20').toString(),
+      [vault]: toWad('20').toString()
+    });
+  });
+
+  it('returns the balances as of a block', () => {
+    const [balance] = getBalances(db, { account: bob.toLowerCase(), toBlock: 1 });
+    assert.equal(balance.balance.toString(), toWad('10').toString());
+    assert.equal(balance.updatedAt, 1);
+    assert.deepEqual(getBalances(db, { account: liquidator, toBlock: 2 }), []);
+  });
+
+  it('returns the emitted and the derived liquidations', () => {
+    const liquidations = getLiquidations(db).map(({ blockNumber, logIndex, position, liquidator, ...amounts }) => ({
+      blockNumber,
+      logIndex,
+      position,
+      liquidator,
+      collateralReleased: amounts.collateralReleased.toString(),
+      normalDebtRepaid: amounts.normalDebtRepaid.toString()
+    }));
+    // the ModifyPosition of the LiquidatePosition's transaction and the one of bob's own transaction are not counted
+    assert.deepEqual(liquidations, [
+      {
+        blockNumber: 3,
+        logIndex: 1,
+        position: bob,
+        liquidator,
+        collateralReleased: toWad('40').toString(),
+        normalDebtRepaid: toWad('20').toString()
+      },
+      {
+        blockNumber: 3,
+        logIndex: 2,
+        position: bob,
+        liquidator,
+        collateralReleased: toWad('10').toString(),
+        normalDebtRepaid: toWad('5').toString()
+      }
+    ]);
+  });
+
+  it('stores the events of a block range all or nothing', () => {
+    const events = decodeLogs([
+      toLog(cdm, 'ModifyBalance', [alice, bob, toWad('-16'), toWad('16'), toWad('16')], { blockNumber: 4, logIndex: 0 }),
+      toLog(cdm, 'ModifyBalance', [alice, bob, toWad('-17'), toWad('17'), toWad('17')], { blockNumber: 4, logIndex: 1 })
+    ]);
+    // transaction_hash is NOT NULL
+    events[1].transactionHash = null;
+    assert.throws(() => insertEvents(db, events, [{ number: 4, hash: toHash(1004), timestamp: 1004 }], 4));
+    assert.equal(getNextBlock(db), 4);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events WHERE block_number = 4').get().count, 0);
+    assert.equal(getBalances(db, { account: bob })[0].balance.toString(), toWad('15').toString());
+  });
+
+  it('rolls back the events, balances and blocks after a block', () => {
+    rollback(db, 1);
+    assert.equal(getNextBlock(db), 2);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM events').get().count, 1);
+    assert.deepEqual(db.prepare('SELECT number FROM blocks').all(), [{ number: 1 }]);
+    assert.equal(getBalances(db, { account: bob })[0].balance.toString(), toWad('10').toString());
+    assert.deepEqual(getBalances(db, { account: vault }), []);
+    assert.deepEqual(getLiquidations(db), []);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, before, after, beforeEach, it } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { runScript, setUpChain, tearDownChain, deployVaultWithPosition } = require('./fixtures.js');
+const { toWad, getIndexFilePath } = require('../utils.js');
+
+// Stub of a webhook which records the POSTed alerts and answers with `status`, or not at all while `hang` is set
+function createWebhook() {
+  const webhook = { requests: [], status: 200, hang: false };
+  webhook.server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (data) => { body += data; });
+    request.on('end', () => {
+      webhook.requests.push({ method: request.method, headers: request.headers, body: JSON.parse(body) });
+      if (webhook.hang) return;
+      response.writeHead(webhook.status);
+      response.end();
+    });
+  });
+  return webhook;
+}
+
+// The MockOracle of the fixture has no sources to recompute its price from, it is flagged by the change of its spot
+// price between two checks (--max-change, 5% by default)
+describe('monitor-oracles.js webhook', () => {
+  let snapshot;
+  let fixture;
+  let webhook;
+  let url;
+
+  const monitor = (...args) => runScript('monitor-oracles.js', ['run', '--webhook', url, ...args]);
+
+  before(async () => {
+    snapshot = await setUpChain();
+    fixture = await deployVaultWithPosition();
+    webhook = createWebhook();
+    await new Promise((resolve) => webhook.server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${webhook.server.address().port}/alerts`;
+  });
+
+  after(async () => {
+    webhook.server.closeAllConnections();
+    await new Promise((resolve) => webhook.server.close(resolve));
+    await tearDownChain(snapshot, [getIndexFilePath('monitor-oracles')]);
+  });
+
+  beforeEach(() => {
+    webhook.requests = [];
+    webhook.status = 200;
+    webhook.hang = false;
+  });
+
+  it('does not post anything without alerts', async () => {
+    const { status, stdout } = await monitor();
+    assert.equal(status, 0);
+    assert.match(stdout, /CDPVault_TypeB_TST \(MockOracle 0x[0-9a-fA-F]{40}\): status true, spot 1\.0, .*, 0 alerts/);
+    assert.equal(webhook.requests.length, 0);
+  });
+
+  it('posts the alert of a deviating oracle', async () => {
+    const { oracle, token } = fixture;
+    await (await oracle.updateSpot(token.address, toWad('0.9'))).wait();
+    const { status } = await monitor();
+    assert.equal(status, 0);
+
+    assert.equal(webhook.requests.length, 1);
+    const [{ method, headers, body }] = webhook.requests;
+    assert.equal(method, 'POST');
+    assert.equal(headers['content-type'], 'application/json');
+    const block = await ethers.provider.getBlock('latest');
+    assert.deepEqual(body.alert, {
+      level: 'warning',
+      key: 'spot-change',
+      vault: 'CDPVault_TypeB_TST',
+      oracle: oracle.address,
+      oracleType: 'MockOracle',
+      message: `the spot price moved 10.0% from 1.0 to 0.9 since block ${block.number - 1}`,
+      block: block.number,
+      timestamp: block.timestamp
+    });
+    assert.equal(body.text, `WARNING  CDPVault_TypeB_TST (MockOracle ${oracle.address}): ${body.alert.message}`);
+  });
+
+  it('reports a non-2xx response of the webhook without failing', async () => {
+    webhook.status = 500;
+    // the resolved spot-change alert is an info alert
+    const { status, stdout } = await monitor('--webhook-level', 'info');
+    assert.equal(status, 0);
+    assert.equal(webhook.requests.length, 1);
+    assert.equal(webhook.requests[0].body.alert.message, 'resolved: spot-change');
+    assert.match(stdout, new RegExp(`Failed to send the alert to ${url}: 500 Internal Server Error`));
+    assert.match(stdout, /CDPVault_TypeB_TST \(MockOracle .*\): status true, spot 0\.9, .*, 0 alerts/);
+  });
+
+  it('reports a timeout of the webhook without failing', async () => {
+    const { oracle, token } = fixture;
+    webhook.hang = true;
+    await (await oracle.updateSpot(token.address, toWad('0.8'))).wait();
+    const { status, stdout } = await monitor('--webhook-timeout', '1');
+    assert.equal(status, 0);
+    assert.equal(webhook.requests.length, 1);
+    assert.equal(webhook.requests[0].body.alert.key, 'spot-change');
+    assert.match(stdout, new RegExp(`Failed to send the alert to ${url}: no response within 1s`));
+    assert.match(stdout, /CDPVault_TypeB_TST \(MockOracle .*\): status true, spot 0\.8, .*, 1 alerts/);
+  });
+});
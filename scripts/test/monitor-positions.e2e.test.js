@@ -0,0 +1,73 @@
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { runScript, setUpChain, tearDownChain, deployVaultWithPosition } = require('./fixtures.js');
+const { toWad, getIndexFilePath } = require('../utils.js');
+
+// The position of the fixture (300 collateral, 200 debt, liquidationRatio 1.25, targetHealthFactor 1.05) is flagged
+// below the target at a price of 0.85 (health factor 1.02) and unsafe at 0.8 (0.96)
+describe('monitor-positions.js', () => {
+  let snapshot;
+  let fixture;
+
+  const monitor = (...args) => runScript('monitor-positions.js', args);
+
+  before(async () => {
+    snapshot = await setUpChain();
+    fixture = await deployVaultWithPosition();
+  });
+
+  after(async () => {
+    await tearDownChain(snapshot, [getIndexFilePath('monitor')]);
+  });
+
+  it('indexes the positions and does not flag a safe position', async () => {
+    const { status, stdout } = await monitor();
+    assert.equal(status, 0);
+    assert.match(stdout, /CDPVault_TypeB_TST: 1 positions, 0 flagged, 0 unsafe \(spot 1\.0\)/);
+
+    const index = JSON.parse(fs.readFileSync(getIndexFilePath('monitor')));
+    assert.deepEqual(index.vaults[fixture.vault.address].positions, [fixture.signer]);
+  });
+
+  it('flags a position below the targetHealthFactor', async () => {
+    const { oracle, token, signer } = fixture;
+    await (await oracle.updateSpot(token.address, toWad('0.85'))).wait();
+    const { status, stdout } = await monitor();
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`WARNING  CDPVault_TypeB_TST ${signer}: health factor 1\\.02,`));
+    assert.match(stdout, /CDPVault_TypeB_TST: 1 positions, 1 flagged, 0 unsafe \(spot 0\.85\)/);
+  });
+
+  it('flags an unsafe position without liquidating it', async () => {
+    const { oracle, token, vault, signer } = fixture;
+    await (await oracle.updateSpot(token.address, toWad('0.8'))).wait();
+    const { status, stdout } = await monitor();
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`UNSAFE   CDPVault_TypeB_TST ${signer}: health factor 0\\.96,`));
+    assert.match(stdout, /CDPVault_TypeB_TST: 1 positions, 1 flagged, 1 unsafe \(spot 0\.8\)/);
+    assert.doesNotMatch(stdout, /liquidated/);
+    assert.equal((await vault.positions(signer)).normalDebt.toString(), toWad('200').toString());
+  });
+
+  it('liquidates an unsafe position with --liquidate', async () => {
+    const { vault, signer } = fixture;
+    const { status, stdout } = await monitor('--liquidate');
+    assert.equal(status, 0);
+    const liquidated = new RegExp(
+      `CDPVault_TypeB_TST: liquidated ${signer}, repaid ([\\d.]+) normal debt for ([\\d.]+) collateral`
+    );
+    assert.match(stdout, liquidated);
+    const [, repaid, released] = stdout.match(liquidated);
+    // the collateral is sold at the discounted price (0.8 * 0.95)
+    assert.ok(Number(repaid) > 0);
+    assert.ok(Math.abs(Number(released) - Number(repaid) / 0.76) < 1e-9);
+
+    const { normalDebt } = await vault.positions(signer);
+    assert.equal(normalDebt.toString(), toWad('200').sub(toWad(repaid)).toString());
+
+    const { stdout: after } = await monitor();
+    assert.match(after, /CDPVault_TypeB_TST: 1 positions, \d flagged, 0 unsafe \(spot 0\.8\)/);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const { SWAP_TYPES, toSlippage, getSwapLimit } = require('../swap-params.js');
+
+const toWad = ethers.utils.parseEther;
+
+describe('toSlippage', () => {
+  it('converts fractions to wad', () => {
+    assert.ok(toSlippage(0.005).eq(toWad('0.005')));
+    assert.ok(toSlippage('0.01').eq(toWad('0.01')));
+    assert.ok(toSlippage(0).isZero());
+  });
+
+  it('converts numbers in exponent notation exactly', () => {
+    assert.ok(toSlippage(1e-7).eq('100000000000'));
+    assert.ok(toSlippage(1.5e-7).eq('150000000000'));
+    assert.ok(toSlippage(1e-18).eq(1));
+  });
+
+  it('passes BigNumbers through as wad', () => {
+    assert.ok(toSlippage(ethers.BigNumber.from(42)).eq(42));
+  });
+
+  it('rejects a slippage outside of [0, 1)', () => {
+    assert.throws(() => toSlippage(1), /has to be in \[0, 1\)/);
+    assert.throws(() => toSlippage(-1e-7), /has to be in \[0, 1\)/);
+  });
+});
+
+describe('getSwapLimit', () => {
+  it('rounds the min. amount out down and the max. amount in up', () => {
+    assert.ok(getSwapLimit(SWAP_TYPES.exactIn, 1000001, 1e-7).eq(1000000));
+    assert.ok(getSwapLimit(SWAP_TYPES.exactOut, 1000000, 1.5e-7).eq(1000001));
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { DAY, runScript, setUpChain, tearDownChain, increaseTime, deployUnwoundVault } = require('./fixtures.js');
+const { toWad, getIndexFilePath } = require('../utils.js');
+
+// The keeper's commands in the order of the phases of an unwinder: redeemCredit (14 days after the unwinder was
+// deployed), auction (until 28 days) and redeemShares
+describe('unwinder-keeper.js', () => {
+  let snapshot;
+  let fixture;
+
+  const keeper = (...args) => runScript('unwinder-keeper.js', args);
+
+  // Returns the takeCash call and the TakeCash event of the latest block
+  async function getLatestTake(unwinder) {
+    const block = await ethers.provider.getBlockWithTransactions('latest');
+    const tx = block.transactions.find(({ to }) => to?.toLowerCase() === unwinder.address.toLowerCase());
+    const call = unwinder.interface.parseTransaction(tx);
+    const receipt = await ethers.provider.getTransactionReceipt(tx.hash);
+    const event = receipt.logs
+      .filter(({ address }) => address.toLowerCase() === unwinder.address.toLowerCase())
+      .map((log) => unwinder.interface.parseLog(log))
+      .find(({ name }) => name === 'TakeCash');
+    return { call, event };
+  }
+
+  before(async () => {
+    snapshot = await setUpChain();
+    fixture = await deployUnwoundVault();
+  });
+
+  after(async () => {
+    await tearDownChain(snapshot, [getIndexFilePath('unwinder')]);
+  });
+
+  it('indexes the unwinder and prints its status', async () => {
+    const { status, stdout } = await keeper('status');
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`CDPVault_TypeB_TST: unwinder ${fixture.unwinder.address}, phase redeemCredit`));
+    assert.match(stdout, /debt 200\.0, collateral 300\.0/);
+    assert.match(stdout, /auction not started/);
+
+    const index = JSON.parse(fs.readFileSync(getIndexFilePath('unwinder')));
+    assert.deepEqual(index.unwinders, { [fixture.vault.address]: fixture.unwinder.address });
+    assert.equal(index.nextBlock, (await ethers.provider.getBlockNumber()) + 1);
+  });
+
+  it('resumes indexing at the next block', async () => {
+    await ethers.provider.send('evm_mine', []);
+    const { status } = await keeper('status', '--from-block', '0');
+    assert.equal(status, 0);
+    const index = JSON.parse(fs.readFileSync(getIndexFilePath('unwinder')));
+    assert.equal(Object.keys(index.unwinders).length, 1);
+    assert.equal(index.nextBlock, (await ethers.provider.getBlockNumber()) + 1);
+  });
+
+  it('does not start the auction before the auction phase', async () => {
+    const { status, stderr } = await keeper('start');
+    assert.equal(status, 1);
+    assert.match(stderr, /the auction can only be started in the auction phase \(redeemCredit\)/);
+  });
+
+  it('redeems credit for the collateral of a position', async () => {
+    const { unwinder, token, signer } = fixture;
+    const balance = await token.balanceOf(signer);
+    const { status, stdout } = await keeper('redeem-credit', '--vault', 'CDPVault_TypeB_TST', '--amount', '20');
+    assert.equal(status, 0);
+    assert.match(stdout, /permitted the unwinder to transfer credit/);
+    assert.match(stdout, /repaid 20\.0 normal debt of .* for 30\.0 collateral/);
+    assert.equal((await unwinder.repaidNormalDebt(signer)).toString(), toWad('20').toString());
+    assert.equal((await token.balanceOf(signer)).sub(balance).toString(), toWad('30').toString());
+  });
+
+  it('starts the auction in the auction phase', async () => {
+    await increaseTime(14 * DAY);
+    const { status, stdout } = await keeper('start');
+    assert.equal(status, 0);
+    assert.match(stdout, /started the auction of 270\.0 cash for 180\.0 debt at 1\.1/);
+  });
+
+  it('does not take above the market price minus --min-profit', async () => {
+    const { status, stdout } = await keeper('take');
+    assert.equal(status, 0);
+    assert.match(stdout, /price 1\.\d+ above the limit price 0\.98, take from /);
+    const { cash } = await fixture.unwinder.auction();
+    assert.equal(cash.toString(), toWad('270').toString());
+  });
+
+  it('does not take above --max-price', async () => {
+    const { status, stdout } = await keeper('take', '--max-price', '0.5');
+    assert.equal(status, 0);
+    assert.match(stdout, /above the limit price 0\.5/);
+  });
+
+  it('takes once the price is at or below the limit price, bounded by --slippage', async () => {
+    const { unwinder } = fixture;
+    // the price falls below 0.98 after ~0.16 days
+    await increaseTime(0.2 * DAY);
+    const [, price] = await unwinder.getAuctionStatus();
+    const { status, stdout } = await keeper('take', '--max-credit', '50', '--slippage', '0.001');
+    assert.equal(status, 0);
+    assert.match(stdout, /bought [\d.]+ cash for [\d.]+ credit at 0\.\d+, profit [\d.]+, [\d.]+ cash and [\d.]+ debt left/);
+
+    const { call, event } = await getLatestTake(unwinder);
+    assert.ok(call.args.maxPrice.lte(toWad('0.98')));
+    assert.ok(call.args.maxPrice.lte(price.mul(toWad('1.001')).div(toWad('1'))));
+    assert.ok(call.args.maxPrice.gte(event.args.price));
+    assert.ok(event.args.creditToPay.lte(toWad('50')));
+    assert.ok(event.args.debt.gte(toWad('130')));
+    // bought below the market price
+    assert.ok(event.args.cashToBuy.gt(event.args.creditToPay));
+  });
+
+  it('restarts the auction once it is done', async () => {
+    await increaseTime(1.5 * DAY);
+    const take = await keeper('take');
+    assert.equal(take.status, 1);
+    assert.match(take.stderr, /the auction is done and needs to be redone/);
+
+    const { status, stdout } = await keeper('redo');
+    assert.equal(status, 0);
+    assert.match(stdout, /restarted the auction at 1\.1/);
+  });
+
+  it('redoes and takes the auction as the keeper', async () => {
+    await increaseTime(1.5 * DAY + 60);
+    const { status, stdout } = await keeper('run', '--market-price', '2');
+    assert.equal(status, 0);
+    assert.match(stdout, /restarted the auction at 1\.1/);
+    assert.match(stdout, /bought [\d.]+ cash for [\d.]+ credit at 1\.\d+, profit [\d.]+, [\d.]+ cash and 0\.0 debt left/);
+    const { debt } = await fixture.unwinder.auction();
+    assert.ok(debt.isZero());
+  });
+
+  it('redeems the shares of the delegators after the auction phase', async () => {
+    const { cdm, signer } = fixture;
+    const early = await keeper('redeem-shares', '--vault', 'CDPVault_TypeB_TST');
+    assert.equal(early.status, 1);
+
+    await increaseTime(14 * DAY);
+    const { balance } = await cdm.accounts(signer);
+    const { status, stdout } = await keeper('redeem-shares', '--vault', 'CDPVault_TypeB_TST');
+    assert.equal(status, 0);
+    assert.match(stdout, /redeemed 100\.0 shares for 100\.0 credit/);
+    assert.equal((await cdm.accounts(signer)).balance.sub(balance).toString(), toWad('100').toString());
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, before, after, it } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { runScript, setUpChain, tearDownChain, deployContract } = require('./fixtures.js');
+
+// Stub of an Etherscan compatible explorer API, with the endpoints @nomiclabs/hardhat-etherscan uses. `scenarios` maps
+// addresses (lowercase) to how the explorer treats them: `verified` (getsourcecode returns the source), `flaky` (the
+// first submission fails with HTTP 500), `already` (submissions are rejected as already verified) and `failing` (the
+// verification fails). Other contracts verify on the first submission.
+function startExplorer(scenarios) {
+  const requests = [];
+  const guids = {};
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const params = new URLSearchParams((req.method === 'POST') ? body : new URL(req.url, 'http://127.0.0.1').search);
+    const action = params.get('action');
+    const address = (params.get('address') || params.get('contractaddress') || guids[params.get('guid')] || '').toLowerCase();
+    const scenario = scenarios[address];
+    requests.push({ action, address, params });
+    const reply = (statusCode, json) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    };
+
+    if (action === 'getsourcecode') {
+      return reply(200, {
+        status: '1', message: 'OK', result: [{ SourceCode: (scenario === 'verified') ? 'contract MockOracle {}' : '' }]
+      });
+    }
+    if (action === 'verifysourcecode') {
+      const submissions = requests.filter((request) => request.action === action && request.address === address);
+      if (scenario === 'flaky' && submissions.length == 1) return reply(500, { error: 'Internal Server Error' });
+      if (scenario === 'already') {
+        return reply(200, { status: '0', message: 'NOTOK', result: 'Contract source code already verified' });
+      }
+      const guid = `guid${requests.length}`;
+      guids[guid] = address;
+      return reply(200, { status: '1', message: 'OK', result: guid });
+    }
+    if (action === 'checkverifystatus') {
+      return reply(200, (scenario === 'failing')
+        ? { status: '0', message: 'NOTOK', result: 'Fail - Unable to verify' }
+        : { status: '1', message: 'OK', result: 'Pass - Verified' });
+    }
+    reply(200, { status: '0', message: 'NOTOK', result: `Unknown action ${action}` });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/api` }));
+  });
+}
+
+describe('verify-contracts.js', () => {
+  let snapshot;
+  let explorer;
+  const contracts = {};
+
+  const verify = (...args) => runScript('verify-contracts.js', [...args, '--delay', '0'], {
+    EXPLORER_API_URL: explorer.url, EXPLORER_CHAIN_ID: '31337'
+  });
+  const getSubmissions = (name) => explorer.requests.filter(({ action, address }) => (
+    action === 'verifysourcecode' && address === contracts[name].address.toLowerCase()
+  ));
+
+  before(async () => {
+    snapshot = await setUpChain();
+    const signer = await (await ethers.getSigners())[0].getAddress();
+    const deployment = {};
+    contracts.CDM = await deployContract(deployment, 'CDM', 'CDM', [signer, signer, signer]);
+    for (const name of ['Verified', 'Flaky', 'Already', 'Failing']) {
+      contracts[`MockOracle_${name}`] = await deployContract(deployment, `MockOracle_${name}`, 'MockOracle');
+    }
+    explorer = await startExplorer({
+      [contracts.MockOracle_Verified.address.toLowerCase()]: 'verified',
+      [contracts.MockOracle_Flaky.address.toLowerCase()]: 'flaky',
+      [contracts.MockOracle_Already.address.toLowerCase()]: 'already',
+      [contracts.MockOracle_Failing.address.toLowerCase()]: 'failing'
+    });
+  });
+
+  after(async () => {
+    explorer?.server.close();
+    await tearDownChain(snapshot);
+  });
+
+  it('verifies a contract with its constructor arguments', async () => {
+    const { status, stdout } = await verify('--contract', 'CDM');
+    assert.equal(status, 0);
+    assert.match(stdout, new RegExp(`Verified CDM \\(CDM\\) at ${contracts.CDM.address}`));
+    assert.match(stdout, /Verified 1 contract\(s\)/);
+    const signer = await (await ethers.getSigners())[0].getAddress();
+    const encoded = ethers.utils.defaultAbiCoder.encode(['address', 'address', 'address'], [signer, signer, signer]);
+    for (const { params } of getSubmissions('CDM')) assert.equal(`0x${params.get('constructorArguements')}`, encoded);
+  });
+
+  it('does not submit contracts the explorer has the source of', async () => {
+    const { status } = await verify('--contract', 'MockOracle_Verified');
+    assert.equal(status, 0);
+    assert.equal(getSubmissions('MockOracle_Verified').length, 0);
+  });
+
+  it('treats an "already verified" response as verified', async () => {
+    const { status, stdout } = await verify('--contract', 'MockOracle_Already', '--retries', '3');
+    assert.equal(status, 0);
+    assert.match(stdout, /MockOracle_Already \(MockOracle\) at 0x[0-9a-fA-F]{40} is already verified/);
+    assert.equal(getSubmissions('MockOracle_Already').length, 1);
+  });
+
+  it('retries a failed submission', async () => {
+    const { status, stdout } = await verify('--contract', 'MockOracle_Flaky', '--retries', '2');
+    assert.equal(status, 0);
+    assert.match(stdout, /Failed to verify MockOracle_Flaky \(attempt 1 of 2\)/);
+    assert.match(stdout, /Verified MockOracle_Flaky \(MockOracle\)/);
+    assert.ok(getSubmissions('MockOracle_Flaky').length >= 2);
+  });
+
+  it('lists the contracts which failed to verify and exits with a non-zero code', async () => {
+    const { status, stdout } = await verify('--contract', 'MockOracle_Failing', '--contract', 'CDM', '--retries', '2');
+    assert.equal(status, 1);
+    assert.match(stdout, /Failed to verify MockOracle_Failing \(attempt 1 of 2\)/);
+    assert.match(stdout, /Failed to verify MockOracle_Failing \(attempt 2 of 2\)/);
+    assert.match(stdout, /Verified CDM \(CDM\)/);
+    assert.match(stdout, /1 of 2 contract\(s\) failed to verify:/);
+    assert.match(stdout, new RegExp(
+      `  MockOracle_Failing \\(MockOracle\\) at ${contracts.MockOracle_Failing.address}: The contract verification failed`
+    ));
+  });
+
+  it('fails for contracts which are not in the deployment file', async () => {
+    const { status, stderr } = await verify('--contract', 'Missing');
+    assert.equal(status, 1);
+    assert.match(stderr, /Missing not found in the deployment file/);
+  });
+});
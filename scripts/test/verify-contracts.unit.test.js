@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ethers } = require('ethers');
+
+const { getVerificationTargets } = require('../verify-contracts.js');
+
+describe('getVerificationTargets', () => {
+  const address = (n) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 20);
+  const core = {
+    CDM: { address: address(1), artifactName: 'CDM', constructorArguments: [address(9), address(9), address(9)] },
+    BufferProxyAdmin: { address: address(2), artifactName: 'ProxyAdmin', constructorArguments: [] },
+    BufferImplementation: { address: address(3), artifactName: 'Buffer', constructorArguments: [address(1)] },
+    Buffer: { address: address(4), artifactName: 'Buffer', constructorArguments: [address(3), address(2), '0x1234'] },
+    StablecoinImplementation: { address: address(5), artifactName: 'Stablecoin', constructorArguments: [] },
+    Stablecoin: { address: address(6), artifactName: 'Stablecoin', constructorArguments: [address(5), '0x'] },
+    CDPVault_TypeA_Factory: { address: address(7), artifactName: 'CDPVault_TypeA_Factory', constructorArguments: [] }
+  };
+  const vaults = {
+    CDPVault_TypeA_WETH: { address: address(8), artifactName: 'CDPVault_TypeA', constructorArguments: [[address(1)], 100] }
+  };
+
+  it('verifies core contracts with their artifact and constructor arguments', () => {
+    const { CDM, BufferImplementation } = Object.fromEntries(
+      getVerificationTargets({ core, vaults }).map((target) => [target.name, target])
+    );
+    assert.deepEqual(CDM, { name: 'CDM', address: address(1), contract: 'CDM', constructorArguments: core.CDM.constructorArguments });
+    assert.equal(BufferImplementation.contract, 'Buffer');
+  });
+
+  it('verifies proxies as TransparentUpgradeableProxy or ERC1967Proxy', () => {
+    const targets = Object.fromEntries(getVerificationTargets({ core, vaults }).map((target) => [target.name, target]));
+    assert.equal(targets.Buffer.contract, 'TransparentUpgradeableProxy');
+    assert.deepEqual(targets.Buffer.constructorArguments, core.Buffer.constructorArguments);
+    assert.equal(targets.BufferProxyAdmin.contract, 'ProxyAdmin');
+    // UUPS proxies have no ProxyAdmin
+    assert.equal(targets.Stablecoin.contract, 'ERC1967Proxy');
+  });
+
+  it('verifies vaults with the address of their factory', () => {
+    const vault = getVerificationTargets({ core, vaults }).find(({ name }) => name === 'CDPVault_TypeA_WETH');
+    assert.deepEqual(vault, {
+      name: 'CDPVault_TypeA_WETH', address: address(8), contract: 'CDPVault_TypeA', constructorArguments: [address(7)]
+    });
+  });
+
+  it('throws if the factory of a vault is not in the deployment file', () => {
+    const { CDPVault_TypeA_Factory, ...rest } = core;
+    assert.throws(
+      () => getVerificationTargets({ core: rest, vaults }),
+      /CDPVault_TypeA_Factory of CDPVault_TypeA_WETH not found in the deployment file/
+    );
+  });
+});
@@ -0,0 +1,129 @@
+const { ethers } = require('ethers');
+
+const { WAD, wmul, wdiv } = require('./interest-rate-model.js');
+
+// Mirrors the auction math of src/CDPVaultUnwinder.sol (`_getStartPrice`, `_auctionPrice`, `_auctionStatus` and the
+// amounts of `takeCash`) including the rounding of src/utils/Math.sol. Amounts of cash (collateral) and credit are
+// BigNumbers [wad], prices are in credit per cash [wad] and times are unix timestamps [seconds].
+
+const { BigNumber, constants: { Zero } } = ethers;
+const DAY = 24 * 60 * 60;
+// constants of CDPVaultUnwinder, relative to its `createdAt`
+const AUCTION_START = 14 * DAY;
+const AUCTION_END = 28 * DAY;
+const AUCTION_DEBT_FLOOR = WAD.mul(100);
+const AUCTION_MULTIPLIER = WAD.mul(11).div(10);
+const AUCTION_DURATION = DAY + DAY / 2;
+
+// Returns the phase of an unwinder at `timestamp`: borrowers redeem their collateral with credit (`redeemCredit`), then
+// the remaining collateral is auctioned off (`startAuction`, `redoAuction`, `takeCash`) and finally delegators redeem
+// their shares for the credit (`redeemShares`)
+function getUnwinderPhase(createdAt, timestamp) {
+  if (timestamp < Number(createdAt) + AUCTION_START) return 'redeemCredit';
+  if (timestamp < Number(createdAt) + AUCTION_END) return 'auction';
+  return 'redeemShares';
+}
+
+// Start price of an auction: the oracle's spot price times AUCTION_MULTIPLIER or, if the oracle reverts (`spot` is
+// null), the debt per cash times AUCTION_MULTIPLIER
+function getStartPrice(spot, cash, debt) {
+  if (spot != null) return wmul(spot, AUCTION_MULTIPLIER);
+  return BigNumber.from(debt).mul(AUCTION_MULTIPLIER).div(cash);
+}
+
+// Price of an auction `elapsed` seconds after its start, decreasing linearly from `startPrice` to 0 over AUCTION_DURATION
+function getAuctionPrice(startPrice, elapsed) {
+  elapsed = Number(elapsed);
+  if (elapsed >= AUCTION_DURATION) return Zero;
+  return wmul(startPrice, wdiv(AUCTION_DURATION - elapsed, AUCTION_DURATION));
+}
+
+// Status of an auction (as returned by `auction()`) at `timestamp`, same as `getAuctionStatus`. An auction is done once
+// it ran for more than AUCTION_DURATION or the auction phase is over, a done auction with debt left has to be redone.
+function getAuctionStatus({ debt, startsAt, startPrice }, createdAt, timestamp) {
+  const elapsed = timestamp - Number(startsAt);
+  const price = getAuctionPrice(startPrice, elapsed);
+  const done = elapsed > AUCTION_DURATION || timestamp >= Number(createdAt) + AUCTION_END;
+  return { done, needsRedo: !BigNumber.from(debt).isZero() && done, price };
+}
+
+// Returns the first timestamp at which the price of an auction is at or below `limitPrice` (null if it already is or
+// never gets there before the auction is done)
+function getTakeTime({ startsAt, startPrice }, limitPrice) {
+  const isBelow = (elapsed) => getAuctionPrice(startPrice, elapsed).lte(limitPrice);
+  if (isBelow(0)) return null;
+  // estimate from the linear decay, then correct for the rounding of wmul and wdiv
+  const remaining = BigNumber.from(limitPrice).mul(AUCTION_DURATION).div(startPrice).toNumber();
+  let elapsed = Math.max(0, AUCTION_DURATION - remaining);
+  while (elapsed > 0 && isBelow(elapsed - 1)) elapsed--;
+  while (!isBelow(elapsed)) elapsed++;
+  return (elapsed > AUCTION_DURATION) ? null : Number(startsAt) + elapsed;
+}
+
+// Cash bought and credit paid by `takeCash(cashAmount, ...)` at `price` and the debt and cash left in the auction.
+// Buys up to `cashAmount` but never more credit than the auction's debt and leaves at least AUCTION_DEBT_FLOOR of debt
+// unless all the cash is bought. Returns null if `takeCash` reverts because the debt is below AUCTION_DEBT_FLOOR and not
+// all the cash is bought.
+function getTakeAmounts({ debt, cash }, price, cashAmount) {
+  debt = BigNumber.from(debt);
+  cash = BigNumber.from(cash);
+  let cashToBuy = (cash.lt(cashAmount)) ? cash : BigNumber.from(cashAmount);
+  let creditToPay = wmul(cashToBuy, price);
+  if (creditToPay.gt(debt)) {
+    creditToPay = debt;
+    cashToBuy = wdiv(creditToPay, price);
+  } else if (creditToPay.lt(debt) && cashToBuy.lt(cash) && debt.sub(creditToPay).lt(AUCTION_DEBT_FLOOR)) {
+    if (debt.lte(AUCTION_DEBT_FLOOR)) return null;
+    creditToPay = debt.sub(AUCTION_DEBT_FLOOR);
+    cashToBuy = wdiv(creditToPay, price);
+  }
+  return { cashToBuy, creditToPay, debt: debt.sub(creditToPay), cash: cash.sub(cashToBuy) };
+}
+
+// `maxPrice` passed to `takeCash`: the current price plus `slippage` (a redo between quoting and mining restarts the
+// auction at a higher price), capped at `limitPrice`
+function getMaxPrice(price, limitPrice, slippage) {
+  const maxPrice = wmul(price, WAD.add(slippage));
+  return (maxPrice.gt(limitPrice)) ? BigNumber.from(limitPrice) : maxPrice;
+}
+
+module.exports = {
+  AUCTION_START,
+  AUCTION_END,
+  AUCTION_DEBT_FLOOR,
+  AUCTION_MULTIPLIER,
+  AUCTION_DURATION,
+  getUnwinderPhase,
+  getStartPrice,
+  getAuctionPrice,
+  getAuctionStatus,
+  getTakeTime,
+  getTakeAmounts,
+  getMaxPrice
+};
+
+// Entry point of the differential tests (src/test/unit/CDPVaultUnwinder.differential.t.sol), called via `vm.ffi`:
+// `node scripts/unwinder-auction.js <function> <args...>` prints the ABI encoded return values
+const FFI = {
+  getAuctionStatus: ([debt, startsAt, startPrice, createdAt, timestamp]) => {
+    const { needsRedo, price } = getAuctionStatus({ debt, startsAt, startPrice }, createdAt, timestamp.toNumber());
+    return [['bool', 'uint256'], [needsRedo, price]];
+  },
+  getTakeTime: ([startsAt, startPrice, limitPrice]) => [
+    ['uint256'], [getTakeTime({ startsAt, startPrice }, limitPrice) ?? 0]
+  ],
+  getTakeAmounts: ([debt, cash, price, cashAmount]) => {
+    const amounts = getTakeAmounts({ debt, cash }, price, cashAmount);
+    return [['bool', 'uint256', 'uint256'], [amounts != null, amounts?.cashToBuy ?? 0, amounts?.creditToPay ?? 0]];
+  }
+};
+
+if (require.main === module) {
+  const [name, ...args] = process.argv.slice(2);
+  if (!FFI[name]) {
+    console.error(`Usage: node scripts/unwinder-auction.js <${Object.keys(FFI).join('|')}> <args...>`);
+    process.exit(1);
+  }
+  const [types, values] = FFI[name](args.map((arg) => BigNumber.from(arg)));
+  process.stdout.write(ethers.utils.defaultAbiCoder.encode(types, values));
+}
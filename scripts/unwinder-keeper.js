@@ -0,0 +1,404 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const { WAD, wmul, wdiv } = require('./interest-rate-model.js');
+const {
+  getUnwinderPhase,
+  getAuctionStatus,
+  getTakeTime,
+  getTakeAmounts,
+  getMaxPrice
+} = require('./unwinder-auction.js');
+const {
+  toWad,
+  fromWad,
+  getSignerAddress,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  loadDeployedVault,
+  attachContract,
+  getIndexFilePath,
+  findDeploymentBlock
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const COMMANDS = ['status', 'start', 'redo', 'take', 'run', 'redeem-credit', 'redeem-shares'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/unwinder-keeper.js <command> [options]
+
+Finds the CDPVaultUnwinders of the vaults in scripts/deployment-<network>.json from the DeployVaultUnwinder events of the
+CDPVaultUnwinderFactory (the index is kept in scripts/unwinder-<network>.json) and drives their collateral auctions.
+Auction prices are computed off-chain (scripts/unwinder-auction.js) to decide when taking the cash is profitable.
+
+Commands:
+  status         print the phase, the debt and the auction of every unwinder
+  start          start the auction of the unwinders in the auction phase (startAuction)
+  redo           restart the auctions which are done but have debt left (redoAuction)
+  take           buy the cash of the running auctions with the signer's credit in the CDM (takeCash) if the auction
+                 price is at or below the limit price
+  run            keeper: start, redo and take as needed, every --interval seconds with --watch
+  redeem-credit  repay --amount normal debt of --owner's position with the signer's credit for its share of the
+                 collateral (redeemCredit, before the auction phase, requires --vault)
+  redeem-shares  redeem --amount of the signer's shares for credit (redeemShares, after the auction phase, requires
+                 --vault)
+
+Options:
+  --vault <vault>          only this vault, by config key, deployment name or address (can be repeated)
+  --min-profit <fraction>  min. discount of the auction price to the market price (default: 0.02)
+  --market-price <price>   market price of the collateral [wad] (default: the vault's oracle)
+  --max-price <price>      limit price, instead of the market price minus --min-profit [wad]
+  --slippage <fraction>    max. increase of the auction price until the take is mined (default: 0.005)
+  --max-credit <amount>    max. credit spent per take [wad] (default: the signer's credit in the CDM)
+  --recipient <address>    recipient of the bought cash (default: the signer)
+  --owner <address>        position to redeem (redeem-credit, default: the signer)
+  --receiver <address>     recipient of the redeemed collateral (redeem-credit, default: the signer)
+  --amount <amount>        normal debt (redeem-credit) or shares (redeem-shares) to redeem [wad] (default: all)
+  --watch                  keep running, every --interval seconds (run)
+  --interval <seconds>     polling interval in watch mode (default: 60)
+  --from-block <block>     block to start indexing from (default: block the factory was deployed in)
+  --block-range <blocks>   max. number of blocks per log query (default: 10000)
+  --reset                  discard the index and index from scratch
+  --help                   show this message`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      vault: { type: 'string', multiple: true },
+      'min-profit': { type: 'string', default: '0.02' },
+      'market-price': { type: 'string' },
+      'max-price': { type: 'string' },
+      slippage: { type: 'string', default: '0.005' },
+      'max-credit': { type: 'string' },
+      recipient: { type: 'string' },
+      owner: { type: 'string' },
+      receiver: { type: 'string' },
+      amount: { type: 'string' },
+      watch: { type: 'boolean', default: false },
+      interval: { type: 'string', default: '60' },
+      'from-block': { type: 'string' },
+      'block-range': { type: 'string', default: '10000' },
+      reset: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], options };
+}
+
+function loadIndex(options) {
+  const indexFilePath = getIndexFilePath('unwinder');
+  return (!options.reset && fs.existsSync(indexFilePath))
+    ? JSON.parse(fs.readFileSync(indexFilePath)) : { nextBlock: null, unwinders: {} };
+}
+
+function storeIndex(index) {
+  fs.writeFileSync(getIndexFilePath('unwinder'), JSON.stringify(index, null, 2));
+}
+
+// Adds the unwinders of all DeployVaultUnwinder events since the last indexed block to the index. Starts at the block
+// the factory was deployed in as recorded in the deployment file (or found by bisection).
+async function indexUnwinders(factory, index, factoryBlock, options) {
+  const latestBlock = await ethers.provider.getBlockNumber();
+  let fromBlock = index.nextBlock ?? ((options['from-block'] != undefined)
+    ? Number(options['from-block']) : factoryBlock ?? await findDeploymentBlock(factory.address, latestBlock));
+  const blockRange = Number(options['block-range']);
+  for (; fromBlock <= latestBlock; fromBlock += blockRange) {
+    const toBlock = Math.min(fromBlock + blockRange - 1, latestBlock);
+    const events = await factory.queryFilter(factory.filters.DeployVaultUnwinder(), fromBlock, toBlock);
+    for (const { args } of events) index.unwinders[args.vault] = args.unwinder;
+  }
+  index.nextBlock = latestBlock + 1;
+  storeIndex(index);
+}
+
+// Returns the indexed unwinders (of the --vault vaults), named after their vault
+async function loadUnwinders(deployment, contracts, options) {
+  const factory = contracts.CDPVaultUnwinderFactory;
+  if (!factory) throw new Error(`CDPVaultUnwinderFactory not found in the deployment file of ${hre.network.name}`);
+  const index = loadIndex(options);
+  await indexUnwinders(factory, index, deployment.core.CDPVaultUnwinderFactory.blockNumber, options);
+
+  const vaults = (options.vault)
+    ? await Promise.all(options.vault.map(async (value) => (await loadDeployedVault(value, CONFIG, deployment)).vault.address))
+    : null;
+  const unwinders = [];
+  for (const [vault, address] of Object.entries(index.unwinders)) {
+    if (vaults && !vaults.some((v) => v.toLowerCase() === vault.toLowerCase())) continue;
+    const [name] = Object.entries(deployment.vaults || {}).find(([, v]) => v.address.toLowerCase() === vault.toLowerCase())
+      || [vault];
+    unwinders.push({ name, unwinder: await attachContract('CDPVaultUnwinder', address) });
+  }
+  if (vaults && unwinders.length < vaults.length) console.log('No unwinder deployed for some of the --vault vaults');
+  return unwinders;
+}
+
+async function getUnwinderState(unwinder) {
+  const [debt, cash, startsAt, startPrice] = await unwinder.auction();
+  const token = await attachContract('ERC20PresetMinterPauser', await unwinder.token());
+  return {
+    createdAt: (await unwinder.createdAt()).toNumber(),
+    totalDebt: await unwinder.totalDebt(),
+    // collateral left to auction off [wad]
+    collateral: wdiv(await token.balanceOf(unwinder.address), await unwinder.tokenScale()),
+    auction: { debt, cash, startsAt: startsAt.toNumber(), startPrice }
+  };
+}
+
+// Returns the market price of the unwinder's collateral: --market-price or the spot price of the vault's oracle (null if
+// the oracle reverts, which is likely for a vault that is unwound)
+async function getMarketPrice(unwinder, options) {
+  if (options['market-price'] != undefined) return toWad(options['market-price']);
+  const vault = await attachContract('CDPVault_TypeB', await unwinder.vault());
+  try {
+    return await (await attachContract('IOracle', await vault.oracle())).spot(await unwinder.token());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Highest auction price at which the keeper takes: --max-price or the market price minus --min-profit
+function getLimitPrice(marketPrice, options) {
+  if (options['max-price'] != undefined) return toWad(options['max-price']);
+  if (marketPrice == null) return null;
+  return wmul(marketPrice, WAD.sub(toWad(options['min-profit'])));
+}
+
+async function getTimestamp() {
+  return (await ethers.provider.getBlock('latest')).timestamp;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+async function printStatus(name, unwinder, options) {
+  const state = await getUnwinderState(unwinder);
+  const timestamp = await getTimestamp();
+  const phase = getUnwinderPhase(state.createdAt, timestamp);
+  console.log(`${name}: unwinder ${unwinder.address}, phase ${phase}`);
+  console.log(`  debt ${fromWad(state.totalDebt)}, collateral ${fromWad(state.collateral)}`);
+  if (state.auction.startsAt == 0) {
+    console.log('  auction not started');
+    return;
+  }
+  const { auction } = state;
+  const { done, needsRedo, price } = getAuctionStatus(auction, state.createdAt, timestamp);
+  console.log(
+    `  auction started ${formatTime(auction.startsAt)} at ${fromWad(auction.startPrice)}: price ${fromWad(price)}, ` +
+    `cash ${fromWad(auction.cash)}, debt ${fromWad(auction.debt)}` +
+    `${(needsRedo) ? ', needs redo' : ((done) ? ', done' : '')}`
+  );
+  const limitPrice = getLimitPrice(await getMarketPrice(unwinder, options), options);
+  if (limitPrice == null || done || auction.debt.isZero()) return;
+  if (price.lte(limitPrice)) {
+    console.log(`  limit price ${fromWad(limitPrice)}: take now`);
+    return;
+  }
+  const takeTime = getTakeTime(auction, limitPrice);
+  console.log(
+    `  limit price ${fromWad(limitPrice)}: ` +
+    `${(takeTime == null) ? 'not reached before the auction is done' : `take from ${formatTime(takeTime)}`}`
+  );
+}
+
+async function startAuction(name, unwinder) {
+  const state = await getUnwinderState(unwinder);
+  const phase = getUnwinderPhase(state.createdAt, await getTimestamp());
+  if (phase !== 'auction') throw new Error(`${name}: the auction can only be started in the auction phase (${phase})`);
+  if (!state.auction.debt.isZero()) throw new Error(`${name}: the auction is already running`);
+  if (state.collateral.isZero()) throw new Error(`${name}: no collateral left to auction off`);
+  const receipt = await (await unwinder.startAuction()).wait();
+  const { args } = receipt.events.find(({ event }) => event === 'StartAuction');
+  console.log(
+    `${name}: started the auction of ${fromWad(args.cash)} cash for ${fromWad(args.debt)} debt at ${fromWad(args.startPrice)}`
+  );
+}
+
+async function redoAuction(name, unwinder) {
+  const state = await getUnwinderState(unwinder);
+  const timestamp = await getTimestamp();
+  if (state.auction.debt.isZero()) throw new Error(`${name}: the auction is not running`);
+  if (!getAuctionStatus(state.auction, state.createdAt, timestamp).needsRedo
+    || getUnwinderPhase(state.createdAt, timestamp) !== 'auction') {
+    throw new Error(`${name}: the auction cannot be redone`);
+  }
+  const receipt = await (await unwinder.redoAuction()).wait();
+  const { args } = receipt.events.find(({ event }) => event === 'RedoAuction');
+  console.log(`${name}: restarted the auction at ${fromWad(args.startPrice)}`);
+}
+
+// The unwinder transfers the credit paid by the caller (takeCash, redeemCredit)
+async function ensureCreditPermission(name, unwinder, cdm, signer) {
+  if (await cdm.hasPermission(signer, unwinder.address)) return;
+  await (await cdm['modifyPermission(address,bool)'](unwinder.address, true)).wait();
+  console.log(`${name}: permitted the unwinder to transfer credit from ${signer}`);
+}
+
+// Buys the auction's cash with the signer's credit if the auction price is at or below the limit price
+async function takeCash(name, unwinder, cdm, options) {
+  const state = await getUnwinderState(unwinder);
+  const timestamp = await getTimestamp();
+  const { auction } = state;
+  if (auction.debt.isZero()) throw new Error(`${name}: the auction is not running`);
+  const { done, price } = getAuctionStatus(auction, state.createdAt, timestamp);
+  if (done) throw new Error(`${name}: the auction is done and needs to be redone`);
+
+  const marketPrice = await getMarketPrice(unwinder, options);
+  const limitPrice = getLimitPrice(marketPrice, options);
+  if (limitPrice == null) throw new Error(`${name}: no oracle price, set --market-price or --max-price`);
+  if (price.gt(limitPrice)) {
+    const takeTime = getTakeTime(auction, limitPrice);
+    console.log(
+      `${name}: price ${fromWad(price)} above the limit price ${fromWad(limitPrice)}` +
+      `${(takeTime == null) ? '' : `, take from ${formatTime(takeTime)}`}`
+    );
+    return;
+  }
+
+  const signer = await getSignerAddress();
+  const { balance } = await cdm.accounts(signer);
+  let credit = (balance.gt(0)) ? balance : ethers.constants.Zero;
+  if (options['max-credit'] != undefined && credit.gt(toWad(options['max-credit']))) credit = toWad(options['max-credit']);
+  let cashAmount = (price.isZero()) ? auction.cash : wdiv(credit, price);
+  let amounts = getTakeAmounts(auction, price, cashAmount);
+  // less than AUCTION_DEBT_FLOOR of debt would be left, the whole cash has to be bought
+  if (amounts == null) {
+    cashAmount = auction.cash;
+    amounts = getTakeAmounts(auction, price, cashAmount);
+  }
+  if (amounts == null || amounts.cashToBuy.isZero() || amounts.creditToPay.gt(credit)) {
+    console.log(`${name}: not enough credit to take the auction (${fromWad(credit)} credit)`);
+    return;
+  }
+
+  await ensureCreditPermission(name, unwinder, cdm, signer);
+  const maxPrice = getMaxPrice(price, limitPrice, toWad(options.slippage));
+  const receipt = await (await unwinder.takeCash(cashAmount, maxPrice, options.recipient || signer)).wait();
+  const { args } = receipt.events.find(({ event }) => event === 'TakeCash');
+  const profit = (marketPrice == null) ? '' : `, profit ${fromWad(wmul(args.cashToBuy, marketPrice).sub(args.creditToPay))}`;
+  console.log(
+    `${name}: bought ${fromWad(args.cashToBuy)} cash for ${fromWad(args.creditToPay)} credit at ${fromWad(args.price)}` +
+    `${profit}, ${fromWad(args.cash)} cash and ${fromWad(args.debt)} debt left`
+  );
+}
+
+// Starts, redoes or takes the auction of an unwinder as needed
+async function keepUnwinder(name, unwinder, cdm, options) {
+  const state = await getUnwinderState(unwinder);
+  const timestamp = await getTimestamp();
+  if (getUnwinderPhase(state.createdAt, timestamp) !== 'auction') return;
+  if (state.auction.startsAt == 0) {
+    if (state.collateral.isZero()) return;
+    await startAuction(name, unwinder);
+  } else if (getAuctionStatus(state.auction, state.createdAt, timestamp).needsRedo) {
+    await redoAuction(name, unwinder);
+  } else if (state.auction.debt.isZero()) {
+    return;
+  }
+  await takeCash(name, unwinder, cdm, options);
+}
+
+async function runKeeper(deployment, contracts, options) {
+  console.log('------------------------------------');
+  console.log(`Block ${await ethers.provider.getBlockNumber()}`);
+  for (const { name, unwinder } of await loadUnwinders(deployment, contracts, options)) {
+    try {
+      await keepUnwinder(name, unwinder, contracts.CDM, options);
+    } catch (error) {
+      console.log(`${name}: ${error.message}`);
+    }
+  }
+}
+
+async function getSingleUnwinder(deployment, contracts, options) {
+  if (options.vault?.length != 1) throw new Error('Exactly one --vault is required');
+  const [entry] = await loadUnwinders(deployment, contracts, options);
+  if (!entry) throw new Error(`No unwinder deployed for ${options.vault[0]}`);
+  return entry;
+}
+
+async function redeemCredit(deployment, contracts, options) {
+  const { name, unwinder } = await getSingleUnwinder(deployment, contracts, options);
+  const signer = await getSignerAddress();
+  const owner = (options.owner) ? ethers.utils.getAddress(options.owner) : signer;
+  const vault = await attachContract('CDPVault_TypeB', await unwinder.vault());
+  if (!(await vault.hasPermission(owner, signer))) throw new Error(`${signer} has no permission to modify ${owner}`);
+  const { normalDebt } = await vault.positions(owner);
+  const amount = (options.amount != undefined)
+    ? toWad(options.amount) : normalDebt.sub(await unwinder.repaidNormalDebt(owner));
+  if (amount.isZero()) throw new Error(`${name}: ${owner} has no debt left to repay`);
+
+  await ensureCreditPermission(name, unwinder, contracts.CDM, signer);
+  const receipt = await (await unwinder.redeemCredit(owner, options.receiver || signer, signer, amount)).wait();
+  const { args } = receipt.events.find(({ event }) => event === 'RedeemCredit');
+  console.log(
+    `${name}: repaid ${fromWad(args.subNormalDebt)} normal debt of ${owner} for ${fromWad(args.collateralRedeemed)} collateral`
+  );
+}
+
+async function redeemShares(deployment, contracts, options) {
+  const { name, unwinder } = await getSingleUnwinder(deployment, contracts, options);
+  const signer = await getSignerAddress();
+  const vault = await attachContract('CDPVault_TypeB', await unwinder.vault());
+  const amount = (options.amount != undefined)
+    ? toWad(options.amount) : (await vault.shares(signer)).sub(await unwinder.redeemedShares(signer));
+  if (amount.isZero()) throw new Error(`${name}: ${signer} has no shares left to redeem`);
+
+  const receipt = await (await unwinder.redeemShares(amount)).wait();
+  const event = receipt.events.find(({ event }) => event === 'RedeemShares');
+  // the first redemption only fixes the credit to redeem if there is none
+  if (!event) {
+    console.log(`${name}: no credit to redeem`);
+    return;
+  }
+  console.log(`${name}: redeemed ${fromWad(event.args.subShares)} shares for ${fromWad(event.args.creditRedeemed)} credit`);
+}
+
+async function main() {
+  const { command, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const deployment = await loadDeploymentFile();
+  const contracts = await loadDeployedContracts({ core: deployment.core });
+  if (command === 'redeem-credit') return await redeemCredit(deployment, contracts, options);
+  if (command === 'redeem-shares') return await redeemShares(deployment, contracts, options);
+  if (command === 'run') {
+    await runKeeper(deployment, contracts, options);
+    while (options.watch) {
+      await new Promise((resolve) => setTimeout(resolve, Number(options.interval) * 1000));
+      // a failed run (e.g. an unavailable RPC node) is retried in the next interval instead of ending the keeper
+      try {
+        await runKeeper(deployment, contracts, options);
+      } catch (error) {
+        console.error(`Keeper run failed: ${error.message}`);
+      }
+    }
+    return;
+  }
+
+  const unwinders = await loadUnwinders(deployment, contracts, options);
+  if (unwinders.length == 0) console.log(`No unwinders deployed on ${hre.network.name}`);
+  for (const { name, unwinder } of unwinders) {
+    if (command === 'status') await printStatus(name, unwinder, options);
+    else if (command === 'start') await startAuction(name, unwinder);
+    else if (command === 'redo') await redoAuction(name, unwinder);
+    else if (command === 'take') await takeCash(name, unwinder, contracts.CDM, options);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
@@ -0,0 +1,371 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const { createSafeBatch, addSafeTransaction, writeSafeBatch } = require('./safe.js');
+const {
+  getGitCommit,
+  hashBytecode,
+  getImmutableReferences,
+  createDeploymentRecord,
+  storeDeploymentRecord,
+  writeDeploymentFile
+} = require('./manifest.js');
+const {
+  convertBigNumberToString,
+  getSignerAddress,
+  loadDeploymentFile,
+  attachContract,
+  confirm
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const COMMANDS = ['check', 'upgrade', 'sync', 'history', 'register'];
+// EIP-1967 implementation slot: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// Buffer and the oracles set their immutables in the constructor of the implementation, the initializer only sets up
+// the roles. Redeploying the implementation with the same constructor arguments keeps them.
+const UNSAFE_ALLOW = ['constructor', 'state-variable-immutable'];
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/upgrade.js <command> <name> [options]
+
+Upgrades the proxies recorded in scripts/deployment-<network>.json: Buffer (TransparentUpgradeableProxy, upgraded by
+its ProxyAdmin) and the oracles (ERC1967Proxy, UUPS upgradeable by the MANAGER_ROLE while they report an invalid
+status). <name> is the deployment name of the proxy, e.g. Buffer or ChainlinkOracle_WETH.
+
+Commands:
+  check    check that the new implementation is upgrade safe and its storage layout is compatible with the current one
+  upgrade  run \`check\`, deploy the new implementation and upgrade the proxy to it (ProxyAdmin.upgrade / upgradeAndCall
+           or upgradeTo / upgradeToAndCall), or export the upgrade call as a Safe Transaction Builder batch (--safe)
+  sync     record an upgrade exported with --safe once the batch is executed
+  history  print the implementation history of the proxy
+  register register the storage layout of the current implementation (required once per proxy deployed without its
+           layout in .openzeppelin/), has to be run with the commit the implementation was deployed from checked out
+
+Options:
+  --artifact <name>            artifact of the new implementation (default: the artifact of the current implementation)
+  --args <json>                constructor arguments of the new implementation, e.g. '["0x..."]' (default: the
+                               constructor arguments of the current implementation)
+  --call <signature>           function of the new implementation to call with the upgrade, e.g. 'initializeV2(uint256)'
+  --call-args <json>           arguments of --call, e.g. '[1]'
+  --safe <address>             export the upgrade call for the Safe instead of sending it (the implementation is still
+                               deployed by the signer)
+  --commit <commit>            full hash of the commit the implementation was deployed from, for implementations
+                               recorded without a clean gitCommit (register)
+  --yes                        upgrade without asking for confirmation
+  --unsafe-skip-storage-check  skip the storage layout check (check, upgrade)
+  --help                       show this message
+
+The storage layouts are tracked by @openzeppelin/hardhat-upgrades in .openzeppelin/, which is not committed.
+scripts/deploy.js registers the layout of every implementation it deploys. Without it, e.g. on another machine, check
+and upgrade fail until the layout is registered with \`register\` from the commit recorded as the implementation's
+gitCommit in scripts/deployment-<network>.json: the sources of that commit have to be checked out and compile to the
+bytecode of the deployed implementation.`;
+
+function parseOptions() {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      artifact: { type: 'string' },
+      args: { type: 'string' },
+      call: { type: 'string' },
+      'call-args': { type: 'string' },
+      safe: { type: 'string' },
+      commit: { type: 'string' },
+      yes: { type: 'boolean', default: false },
+      'unsafe-skip-storage-check': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return { command: positionals[0], name: positionals[1], options };
+}
+
+function parseJSONOption(options, option) {
+  if (options[option] == undefined) return undefined;
+  try {
+    const value = JSON.parse(options[option]);
+    if (!Array.isArray(value)) throw new Error();
+    return value;
+  } catch (error) {
+    throw new Error(`--${option} has to be a JSON array`);
+  }
+}
+
+// Returns the proxy `name` of the deployment file with its current implementation and ProxyAdmin (if transparent)
+function getUpgradeableProxy(deployment, name) {
+  const core = deployment.core || {};
+  const upgradeable = Object.keys(core).filter((key) => core[`${key}Implementation`]);
+  if (!name) throw new Error(`Missing proxy name, expected one of ${upgradeable.join(', ') || 'none'}`);
+  if (!upgradeable.includes(name)) {
+    throw new Error(`${name} is not an upgradeable proxy of ${hre.network.name}, expected one of ${upgradeable.join(', ') || 'none'}`);
+  }
+  const proxyAdmin = core[`${name}ProxyAdmin`];
+  return {
+    name,
+    kind: (proxyAdmin) ? 'transparent' : 'uups',
+    proxy: core[name],
+    implementation: core[`${name}Implementation`],
+    proxyAdmin: proxyAdmin || null
+  };
+}
+
+async function getImplementationAddress(proxyAddress) {
+  const slot = await ethers.provider.getStorageAt(proxyAddress, IMPLEMENTATION_SLOT);
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(slot, 12));
+}
+
+// Registers the storage layout of a proxy's implementation with @openzeppelin/hardhat-upgrades such that upgrades can
+// be checked against it. `Implementation` has to be the contract factory the implementation was deployed from.
+async function registerProxy(proxyAddress, Implementation, kind, constructorArguments) {
+  await hre.upgrades.forceImport(proxyAddress, Implementation, {
+    kind, constructorArgs: constructorArguments, unsafeAllow: UNSAFE_ALLOW
+  });
+}
+
+function getUpgradeOptions(target, constructorArguments, options) {
+  return {
+    kind: target.kind,
+    constructorArgs: constructorArguments,
+    unsafeAllow: UNSAFE_ALLOW,
+    unsafeSkipStorageCheck: options['unsafe-skip-storage-check']
+  };
+}
+
+// Throws if the new implementation is not upgrade safe or its storage layout is incompatible with the current one
+async function checkUpgrade(target, Implementation, upgradeOptions) {
+  try {
+    await hre.upgrades.validateUpgrade(target.proxy.address, Implementation, upgradeOptions);
+  } catch (error) {
+    if (!/is not registered/.test(error.message)) throw error;
+    const commit = target.implementation.gitCommit || '<commit>';
+    throw new Error(
+      `The storage layout of ${target.name}'s implementation is not registered in .openzeppelin/, check out the commit ` +
+      `it was deployed from and run \`register ${target.name}\` (git checkout ${commit})`
+    );
+  }
+  const skipped = (upgradeOptions.unsafeSkipStorageCheck) ? ' (storage layout check skipped)' : '';
+  console.log(`${target.name}: the new implementation is upgrade safe${skipped}`);
+}
+
+// Registers the storage layout of the current implementation from the sources it was deployed from: the checked out
+// commit has to be the recorded `gitCommit` (or --commit) and the compiled artifact has to match the deployed bytecode
+async function register(target, options) {
+  const { address, artifactName, constructorArguments = [], gitCommit } = target.implementation;
+  const deployCommit = options.commit || gitCommit;
+  if (!deployCommit || deployCommit.endsWith('-dirty')) {
+    throw new Error(
+      `${target.name}'s implementation was recorded ${(deployCommit) ? `from a dirty working tree (${deployCommit})` : 'without a commit'}, ` +
+      'pass the commit of its sources with --commit'
+    );
+  }
+  const checkedOut = getGitCommit();
+  if (checkedOut !== deployCommit) {
+    throw new Error(`${target.name}'s implementation was deployed from ${deployCommit}, the checked out commit is ${checkedOut}`);
+  }
+
+  await hre.run('compile');
+  const { deployedBytecode } = await hre.artifacts.readArtifact(artifactName);
+  const immutableReferences = await getImmutableReferences(artifactName);
+  if (hashBytecode(await ethers.provider.getCode(address), immutableReferences)
+    !== hashBytecode(deployedBytecode, immutableReferences)) {
+    throw new Error(`The compiled ${artifactName} does not match the bytecode of ${target.name}'s implementation ${address}`);
+  }
+  await registerProxy(
+    target.proxy.address, await ethers.getContractFactory(artifactName), target.kind, constructorArguments
+  );
+  console.log(`Registered the storage layout of ${target.name}'s implementation ${address} (${artifactName} at ${deployCommit})`);
+}
+
+// Returns the contract and the method + args of the upgrade call
+async function getUpgradeCall(target, implementation, callData) {
+  if (target.kind === 'transparent') {
+    const proxyAdmin = await attachContract('ProxyAdmin', target.proxyAdmin.address);
+    return (callData)
+      ? { contract: proxyAdmin, method: 'upgradeAndCall', args: [target.proxy.address, implementation, callData] }
+      : { contract: proxyAdmin, method: 'upgrade', args: [target.proxy.address, implementation] };
+  }
+  const proxy = await attachContract(target.implementation.artifactName, target.proxy.address);
+  return (callData)
+    ? { contract: proxy, method: 'upgradeToAndCall', args: [implementation, callData] }
+    : { contract: proxy, method: 'upgradeTo', args: [implementation] };
+}
+
+// Simulates an upgrade to the current implementation from `sender` to check that it is allowed to upgrade the proxy
+// before the new implementation is deployed
+async function checkUpgradeAuthorization(target, sender) {
+  const current = await getImplementationAddress(target.proxy.address);
+  const { contract, method, args } = await getUpgradeCall(target, current);
+  try {
+    await contract.connect(ethers.provider).callStatic[method](...args, { from: sender });
+  } catch (error) {
+    const reason = error.errorName || error.reason || error.message;
+    if (/__authorizeUpgrade_validStatus$/.test(error.errorName)) {
+      throw new Error(`${target.name} reports a valid status, oracles can only be upgraded while their status is invalid (${reason})`);
+    }
+    const authority = (target.kind === 'transparent') ? `the owner of ${target.name}ProxyAdmin` : 'the MANAGER_ROLE';
+    throw new Error(`${sender} cannot upgrade ${target.name}, the upgrade has to be sent by ${authority} (${reason})`);
+  }
+}
+
+// Makes `implementation` the current implementation of the proxy, the previous one is moved to its history
+async function storeUpgrade(target, implementation, upgradeTransactionHash) {
+  const deploymentFile = await loadDeploymentFile();
+  const name = `${target.name}Implementation`;
+  delete deploymentFile.core[name].pendingUpgrade;
+  const record = await createDeploymentRecord(deploymentFile, false, name, {
+    ...implementation, constructorArguments: convertBigNumberToString(implementation.constructorArguments)
+  });
+  storeDeploymentRecord(
+    deploymentFile, false, name, { ...record, upgradedAt: new Date().toISOString(), upgradeTransactionHash }
+  );
+  deploymentFile.core[target.name].artifactName = implementation.artifactName;
+  await writeDeploymentFile(deploymentFile);
+}
+
+async function storePendingUpgrade(target, implementation, safeBatchFilePath) {
+  const deploymentFile = await loadDeploymentFile();
+  deploymentFile.core[`${target.name}Implementation`].pendingUpgrade = {
+    ...implementation,
+    constructorArguments: convertBigNumberToString(implementation.constructorArguments),
+    safeBatch: path.basename(safeBatchFilePath)
+  };
+  await writeDeploymentFile(deploymentFile);
+}
+
+async function upgrade(target, options) {
+  const artifactName = options.artifact || target.implementation.artifactName;
+  const constructorArguments = parseJSONOption(options, 'args') ?? target.implementation.constructorArguments ?? [];
+  const Implementation = await ethers.getContractFactory(artifactName);
+  const expectedArguments = Implementation.interface.deploy.inputs.length;
+  if (constructorArguments.length != expectedArguments) {
+    throw new Error(`${artifactName} takes ${expectedArguments} constructor argument(s), pass them with --args`);
+  }
+  const callData = (options.call) ? Implementation.interface.encodeFunctionData(
+    options.call, parseJSONOption(options, 'call-args') || []
+  ) : null;
+
+  const sender = (options.safe) ? ethers.utils.getAddress(options.safe) : await getSignerAddress();
+  await checkUpgradeAuthorization(target, sender);
+  const upgradeOptions = getUpgradeOptions(target, constructorArguments, options);
+  await checkUpgrade(target, Implementation, upgradeOptions);
+  if (!options.safe && !options.yes) {
+    const call = (options.call) ? ` and call ${options.call}` : '';
+    if (!(await confirm(`Upgrade ${target.name} on ${hre.network.name} to a new ${artifactName} implementation${call}?`))) return;
+  }
+
+  // deploys the implementation (or reuses an implementation with the same bytecode deployed before) and registers its
+  // storage layout
+  const response = await hre.upgrades.prepareUpgrade(
+    target.proxy.address, Implementation, { ...upgradeOptions, getTxResponse: true }
+  );
+  const { contractAddress, transactionHash = null } = (typeof response === 'string')
+    ? { contractAddress: response }
+    : await response.wait();
+  const address = ethers.utils.getAddress(contractAddress);
+  console.log(`${target.name}'s new implementation ${(transactionHash) ? 'deployed to' : 'already deployed at'}: ${address}`);
+  const implementation = { address, artifactName, constructorArguments, transactionHash };
+  const { contract, method, args } = await getUpgradeCall(target, address, callData);
+
+  if (options.safe) {
+    const batch = createSafeBatch(
+      (await ethers.provider.getNetwork()).chainId, sender, `Upgrade ${target.name}`, `Upgrade ${target.name} to ${address}`
+    );
+    addSafeTransaction(batch, contract, method, args);
+    const safeBatchFilePath = path.join(__dirname, '.', `safe-batch-upgrade-${target.name}-${hre.network.name}.json`);
+    writeSafeBatch(batch, safeBatchFilePath);
+    await storePendingUpgrade(target, implementation, safeBatchFilePath);
+    console.log(`Exported ${method} for the Safe to ${safeBatchFilePath}`);
+    console.log(`Run \`sync ${target.name}\` once the batch is executed to record the upgrade in the deployment file`);
+    return;
+  }
+
+  const receipt = await (await contract[method](...args)).wait();
+  if ((await getImplementationAddress(target.proxy.address)) !== address) {
+    throw new Error(`${target.name} does not point to the new implementation after the upgrade`);
+  }
+  await storeUpgrade(target, implementation, receipt.transactionHash);
+  console.log(`Upgraded ${target.name} to ${address} (${receipt.transactionHash})`);
+}
+
+// Records an upgrade exported for the Safe once the proxy points to the pending implementation
+async function sync(target) {
+  const { pendingUpgrade } = target.implementation;
+  const current = await getImplementationAddress(target.proxy.address);
+  if (current.toLowerCase() === target.implementation.address.toLowerCase()) {
+    console.log(`${target.name} still points to ${current}${(pendingUpgrade) ? `, ${pendingUpgrade.safeBatch} is not executed yet` : ''}`);
+    return;
+  }
+  if (!pendingUpgrade || current.toLowerCase() !== pendingUpgrade.address.toLowerCase()) {
+    throw new Error(`${target.name} points to ${current}, which is neither its recorded nor its pending implementation`);
+  }
+  const proxy = new ethers.Contract(
+    target.proxy.address, ['event Upgraded(address indexed implementation)'], ethers.provider
+  );
+  const [event] = (await proxy.queryFilter(proxy.filters.Upgraded(current))).slice(-1);
+  await storeUpgrade(target, pendingUpgrade, event?.transactionHash || null);
+  console.log(`Recorded the upgrade of ${target.name} to ${current}`);
+}
+
+async function history(target) {
+  const { history = [], pendingUpgrade, ...current } = target.implementation;
+  const log = ({ address, artifactName, upgradedAt, upgradeTransactionHash }, label) => console.log(
+    `  ${label.padEnd(8)} ${address} ${artifactName}${(upgradedAt) ? ` upgraded at ${upgradedAt}` : ''}` +
+    `${(upgradeTransactionHash) ? ` (${upgradeTransactionHash})` : ''}`
+  );
+  console.log(`${target.name} (${target.kind}) at ${target.proxy.address}`);
+  for (const [i, entry] of history.entries()) log(entry, `#${i}`);
+  log(current, 'current');
+  if (pendingUpgrade) log(pendingUpgrade, 'pending');
+  const onChain = await getImplementationAddress(target.proxy.address);
+  if (onChain.toLowerCase() !== current.address.toLowerCase()) {
+    console.log(`The proxy points to ${onChain} on chain, run \`sync ${target.name}\` to record the upgrade`);
+  }
+}
+
+module.exports = { registerProxy, getImplementationAddress };
+
+async function main() {
+  const { command, name, options } = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    throw new Error(`Unknown command ${command}`);
+  }
+
+  const target = getUpgradeableProxy(await loadDeploymentFile(), name);
+  if (command === 'history') {
+    await history(target);
+    return;
+  }
+  if (command === 'sync') {
+    await sync(target);
+    return;
+  }
+  if (command === 'register') {
+    await register(target, options);
+    return;
+  }
+  await hre.run('compile');
+  if (command === 'check') {
+    const artifactName = options.artifact || target.implementation.artifactName;
+    const constructorArguments = parseJSONOption(options, 'args') ?? target.implementation.constructorArguments ?? [];
+    await checkUpgrade(
+      target, await ethers.getContractFactory(artifactName), getUpgradeOptions(target, constructorArguments, options)
+    );
+  } else if (command === 'upgrade') {
+    await upgrade(target, options);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+    process.exitCode = 1;
+  });
+}
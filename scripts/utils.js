@@ -0,0 +1,128 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const toWad = ethers.utils.parseEther;
+const fromWad = ethers.utils.formatEther;
+const toBytes32 = ethers.utils.formatBytes32String;
+
+function convertBigNumberToString(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (value instanceof Array) return value.map((v) => convertBigNumberToString(v));
+  if (value instanceof Object) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, convertBigNumberToString(v)]));
+  return value;
+}
+
+function getRoleHash(role) {
+  return (role === 'DEFAULT_ADMIN_ROLE') ? ethers.constants.HashZero : ethers.utils.keccak256(ethers.utils.toUtf8Bytes(role));
+}
+
+async function getSignerAddress() {
+  return (await (await ethers.getSigners())[0].getAddress());
+}
+
+async function getDeploymentFilePath() {
+  return path.join(__dirname, '.', `deployment-${hre.network.name}.json`);
+}
+
+async function getMetadataFilePath() {
+  return path.join(__dirname, '.', `metadata-${hre.network.name}.json`);
+}
+
+async function loadDeploymentFile() {
+  const deploymentFilePath = await getDeploymentFilePath();
+  return fs.existsSync(deploymentFilePath) ? JSON.parse(fs.readFileSync(deploymentFilePath)) : {};
+}
+
+async function loadMetadataFile() {
+  const metadataFilePath = await getMetadataFilePath();
+  return fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
+}
+
+async function loadDeployedContracts(deployment) {
+  if (deployment == undefined) deployment = await loadDeploymentFile();
+  const contracts = {};
+  for (let [name, { address, artifactName }] of Object.entries({ ...deployment.core, ...deployment.vaults })) {
+    contracts[name] = (await ethers.getContractFactory(artifactName)).attach(address);
+  }
+  return contracts;
+}
+
+async function loadDeployedVaults(deployment) {
+  if (deployment == undefined) deployment = await loadDeploymentFile();
+  return await loadDeployedContracts({ vaults: deployment.vaults });
+}
+
+// Returns the contract of a deployed vault given its config key (e.g. WETH), deployment name or address,
+// together with its deployment name and vault config (if the vault is part of `config`)
+async function loadDeployedVault(value, config, deployment) {
+  if (deployment == undefined) deployment = await loadDeploymentFile();
+  const [name, { address, artifactName }] = Object.entries(deployment.vaults || {}).find(([name, { address }]) => (
+    name === value || name === `${config.Vaults[value]?.type}_${value}` || address.toLowerCase() === value.toLowerCase()
+  )) || [null, {}];
+  if (!name) throw new Error(`Vault ${value} not found in the deployment file of ${hre.network.name}`);
+  const [key, vaultConfig] = Object.entries(config.Vaults).find(([key, { type }]) => name === `${type}_${key}`) || [];
+  return { name, key, vaultConfig, vault: await attachContract(artifactName, address) };
+}
+
+async function attachContract(name, address) {
+  return await ethers.getContractAt(name, address);
+}
+
+// Returns the price ticks of a vault in the order of `getPriceTick`
+async function getPriceTicks(vault) {
+  const ticks = [];
+  for (let index = 0; ; index++) {
+    const { priceTick, isActive } = await vault.getPriceTick(index);
+    if (priceTick.isZero()) break;
+    ticks.push({ priceTick, isActive });
+  }
+  return ticks;
+}
+
+// Path of the file a script keeps its index (or state) in, e.g. scripts/monitor-<network>.json for `monitor`
+function getIndexFilePath(name) {
+  return path.join(__dirname, '.', `${name}-${hre.network.name}.json`);
+}
+
+// Returns the first block in which `address` has code (requires an archive node for blocks before a fork)
+async function findDeploymentBlock(address, latestBlock) {
+  let low = 0;
+  let high = latestBlock;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if ((await ethers.provider.getCode(address, middle)) === '0x') low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) throw new Error('Not running in a terminal, pass --yes to proceed without confirmation');
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return ['y', 'yes'].includes(answer.trim().toLowerCase());
+}
+
+module.exports = {
+  toWad,
+  fromWad,
+  toBytes32,
+  convertBigNumberToString,
+  getRoleHash,
+  getSignerAddress,
+  getDeploymentFilePath,
+  getMetadataFilePath,
+  loadDeploymentFile,
+  loadMetadataFile,
+  loadDeployedContracts,
+  loadDeployedVaults,
+  loadDeployedVault,
+  attachContract,
+  getPriceTicks,
+  getIndexFilePath,
+  findDeploymentBlock,
+  confirm
+};
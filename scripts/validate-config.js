@@ -0,0 +1,381 @@
+const WAD = ethers.constants.WeiPerEther;
+const toWad = ethers.utils.parseEther;
+const fromWad = ethers.utils.formatEther;
+
+// upper bound for the per-second base rate (see InterestRateModel.sol)
+const RATE_CEILING = ethers.BigNumber.from('1000000021919499726');
+// base rate which tells the vault to derive the rate from the utilization ratio
+const UTILIZATION_BASE_RATE = ethers.constants.MaxUint256;
+
+const ROLE_PLACEHOLDERS = ['deployer'];
+const VAULT_TYPES = ['CDPVault_TypeA', 'CDPVault_TypeB'];
+const COLLATERAL_TYPES = ['ERC20', 'ERC4626'];
+const POSITION_ACTIONS = ['PositionAction20', 'PositionAction4626', 'PositionActionYV', 'PositionActionChai'];
+// position action used for a collateral type unless the vault config sets `positionAction`
+const DEFAULT_POSITION_ACTIONS = { ERC20: 'PositionAction20', ERC4626: 'PositionAction4626' };
+const ORACLE_FIELDS = {
+  MockOracle: ['defaultPrice'],
+  ChainlinkOracle: ['aggregator', 'stalePeriod'],
+  Chainlink3PoolOracle: ['aggregators', 'curvePool', 'stalePeriod'],
+  YearnOracle: ['yearnLensOracle', 'yearnVault']
+};
+
+// field order of the Solidity structs passed to the vault factories
+const STRUCT_FIELDS = {
+  CDPVaultConstants: [
+    'protocolFee', 'targetUtilizationRatio', 'maxUtilizationRatio', 'minInterestRate', 'maxInterestRate',
+    'targetInterestRate', 'rebateRate', 'maxRebate'
+  ],
+  CDPVault_TypeAConfig: ['liquidationPenalty', 'liquidationDiscount', 'targetHealthFactor'],
+  CDPVault_TypeBConfig: ['liquidationPenalty', 'liquidationDiscount', 'targetHealthFactor', 'vaultUnwinder'],
+  CDPVaultConfig: [
+    'debtFloor', 'limitOrderFloor', 'liquidationRatio', 'globalLiquidationRatio', 'baseRate', 'roleAdmin',
+    'vaultAdmin', 'tickManager', 'pauseAdmin'
+  ]
+};
+
+// fields of `deploymentArguments.configs` which are not part of CDPVaultConfig (vaultUnwinder goes into CDPVault_TypeBConfig)
+const EXTRA_CONFIG_FIELDS = ['vaultUnwinder'];
+
+const ROLE_FIELDS = ['roleAdmin', 'vaultAdmin', 'tickManager', 'vaultUnwinder', 'pauseAdmin'];
+// accounts the deployer's roles are handed over to at the end of the deployment
+const CORE_ROLE_FIELDS = [
+  ...ROLE_FIELDS, 'cdmAdmin', 'accountAdmin', 'creditManager', 'deployerAdmin', 'oracleManager', 'proxyAdminOwner'
+];
+
+const VAULT_FIELDS = {
+  ERC20: ['name', 'description', 'type', 'collateralType', 'oracle', 'exchange', 'token', 'tokenName', 'deploymentArguments'],
+  ERC4626: [
+    'name', 'description', 'type', 'collateralType', 'oracle', 'exchange', 'token', 'tokenName', 'underlier',
+    'underlierName', 'underlierIcon', 'deploymentArguments'
+  ]
+};
+
+// widths of the fields of the factory structs (src/interfaces/ICDPVault_FactoryBase.sol, ICDPVault_TypeA_Factory.sol
+// and ICDPVault_TypeB_Factory.sol) and of the vault storage `setParameter` writes to, wider values are truncated on chain
+const UINT_BITS = {
+  protocolFee: 256, targetUtilizationRatio: 64, maxUtilizationRatio: 64, minInterestRate: 64,
+  maxInterestRate: 64, targetInterestRate: 64, rebateRate: 128, maxRebate: 128,
+  liquidationPenalty: 64, liquidationDiscount: 64, targetHealthFactor: 64,
+  debtFloor: 128, limitOrderFloor: 256, liquidationRatio: 64, globalLiquidationRatio: 64, baseRate: 256
+};
+// the interest rates are packed as uint40 with an offset of 1 (rate - WAD, see `CDPVault_TypeA_Factory`)
+const PACKED_RATE_BITS = 40;
+// Returns why `baseRate` is neither a per-second rate between WAD and RATE_CEILING nor uint256 max (the utilization
+// model), or null if it is valid. `setParameter` stores a static baseRate as int64 which holds every rate in that range
+function getBaseRateError(baseRate) {
+  baseRate = ethers.BigNumber.from(baseRate);
+  if (baseRate.eq(UTILIZATION_BASE_RATE) || (baseRate.gte(WAD) && baseRate.lte(RATE_CEILING))) return null;
+  return `expected a per-second rate between ${WAD} and ${RATE_CEILING} (e.g. "1000000000626221517" for 2% APR) ` +
+    `or uint256 max to use the utilization model (got ${baseRate})`;
+}
+
+// Returns why `value` can not be set as the vault parameter `parameter` via `setParameter` without being truncated,
+// or null if it fits
+function getParameterWidthError(parameter, value) {
+  const bn = ethers.BigNumber.from(value);
+  if (parameter === 'baseRate') {
+    const error = getBaseRateError(bn);
+    return (error) ? `baseRate ${error}` : null;
+  }
+  const bits = UINT_BITS[parameter] ?? 256;
+  return (bn.gt(ethers.constants.Two.pow(bits).sub(1))) ? `${parameter} ${bn} does not fit into uint${bits}` : null;
+}
+
+function getPositionActionName(vault) {
+  return vault.positionAction || DEFAULT_POSITION_ACTIONS[vault.collateralType];
+}
+
+// Returns the field values of a Solidity struct in declaration order, resolving role placeholders
+function toStructArgs(structName, values, signer) {
+  return STRUCT_FIELDS[structName].map((field) => ROLE_PLACEHOLDERS.includes(values[field]) ? signer : values[field]);
+}
+
+function toBigNumber(value) {
+  try {
+    if (ethers.BigNumber.isBigNumber(value)) return value;
+    if (typeof value === 'string' && /^[0-9]+$/.test(value)) return ethers.BigNumber.from(value);
+    if (Number.isSafeInteger(value) && value >= 0) return ethers.BigNumber.from(value);
+  } catch {}
+  return null;
+}
+
+function createValidator(errors, path) {
+  const error = (field, message) => errors.push(`${field ? `${path}.${field}` : path}: ${message}`);
+
+  return {
+    error,
+
+    object(value, field) {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        error(field, 'expected an object');
+        return false;
+      }
+      return true;
+    },
+
+    string(value, field) {
+      if (typeof value !== 'string' || value.length === 0) error(field, 'expected a non-empty string');
+    },
+
+    oneOf(value, field, allowed) {
+      if (!allowed.includes(value)) error(field, `expected one of ${allowed.join(', ')} (got ${value})`);
+    },
+
+    address(value, field) {
+      if (typeof value !== 'string' || !ethers.utils.isAddress(value)) {
+        error(field, `expected an address (got ${value})`);
+      } else if (ethers.utils.getAddress(value) !== value) {
+        error(field, `invalid address checksum, expected ${ethers.utils.getAddress(value)}`);
+      }
+    },
+
+    role(value, field) {
+      if (ROLE_PLACEHOLDERS.includes(value)) return;
+      if (typeof value === 'string' && !value.startsWith('0x')) {
+        error(field, `unknown role placeholder ${value}, expected one of ${ROLE_PLACEHOLDERS.join(', ')} or an address`);
+      } else {
+        this.address(value, field);
+      }
+    },
+
+    uint(value, field, bits = 256) {
+      const bn = toBigNumber(value);
+      if (bn === null) {
+        error(field, `expected an unsigned integer (BigNumber or decimal string) (got ${value})`);
+      } else if (bn.gt(ethers.constants.Two.pow(bits).sub(1))) {
+        error(field, `does not fit into uint${bits} (got ${bn.toString()})`);
+      }
+      return bn;
+    },
+
+    wad(value, field, { min, max, bits } = {}) {
+      const bn = this.uint(value, field, bits);
+      if (bn === null) return null;
+      if (min !== undefined && bn.lt(min)) error(field, `must be >= ${fromWad(min)} (got ${fromWad(bn)})`);
+      if (max !== undefined && bn.gt(max)) error(field, `must be <= ${fromWad(max)} (got ${fromWad(bn)})`);
+      return bn;
+    },
+
+    keys(value, expected, optional = []) {
+      for (const key of expected) if (!(key in value)) error(key, 'missing');
+      for (const key of Object.keys(value)) {
+        if (!expected.includes(key) && !optional.includes(key)) error(key, 'unknown field');
+      }
+    }
+  };
+}
+
+function validateCore(core, errors) {
+  const v = createValidator(errors, 'Core');
+  if (!v.object(core)) return;
+
+  if (v.object(core.CDM, 'CDM')) v.wad(core.CDM.initialGlobalDebtCeiling, 'CDM.initialGlobalDebtCeiling');
+
+  if (v.object(core.Flashlender, 'Flashlender')) {
+    v.wad(core.Flashlender.constructorArguments?.protocolFee_, 'Flashlender.constructorArguments.protocolFee_', { max: WAD });
+    v.wad(core.Flashlender.initialDebtCeiling, 'Flashlender.initialDebtCeiling');
+  }
+
+  v.address(core.PRBProxyRegistry, 'PRBProxyRegistry');
+  if (core.Roles !== undefined && v.object(core.Roles, 'Roles')) {
+    createValidator(errors, 'Core.Roles').keys(core.Roles, [], CORE_ROLE_FIELDS);
+    for (const [key, value] of Object.entries(core.Roles)) v.role(value, `Roles.${key}`);
+  }
+
+  if (!v.object(core.Actions, 'Actions')) return;
+  const actionArguments = {
+    SwapAction: ['oneInchRouter', 'balancerVault', 'uniV3Router'],
+    JoinAction: ['balancerVault']
+  };
+  for (const [action, fields] of Object.entries(actionArguments)) {
+    const args = core.Actions[action]?.constructorArguments;
+    const path = `Actions.${action}.constructorArguments`;
+    if (!v.object(args, path)) continue;
+    // constructor arguments are passed positionally
+    if (Object.keys(args).join() !== fields.join()) {
+      v.error(path, `expected the fields ${fields.join(', ')} in this order (got ${Object.keys(args).join(', ')})`);
+    }
+    for (const field of fields) v.address(args[field], `${path}.${field}`);
+  }
+}
+
+function validateOracle(oracle, v) {
+  v.oneOf(oracle.type, 'oracle.type', Object.keys(ORACLE_FIELDS));
+  if (!ORACLE_FIELDS[oracle.type]) return;
+  for (const key of ORACLE_FIELDS[oracle.type]) {
+    if (oracle[key] === undefined) v.error(`oracle.${key}`, `required for ${oracle.type}`);
+  }
+
+  if (oracle.type === 'MockOracle') v.wad(oracle.defaultPrice, 'oracle.defaultPrice', { min: 1 });
+  if (oracle.stalePeriod !== undefined) {
+    const stalePeriod = v.uint(oracle.stalePeriod, 'oracle.stalePeriod');
+    if (stalePeriod?.isZero()) v.error('oracle.stalePeriod', 'must be greater than 0 seconds');
+  }
+  for (const key of ['aggregator', 'curvePool', 'yearnLensOracle', 'yearnVault']) {
+    if (oracle[key] !== undefined) v.address(oracle[key], `oracle.${key}`);
+  }
+  if (oracle.aggregators !== undefined) {
+    if (!Array.isArray(oracle.aggregators) || oracle.aggregators.length !== 3) {
+      v.error('oracle.aggregators', 'expected the addresses of 3 aggregators');
+    } else {
+      oracle.aggregators.forEach((aggregator, i) => v.address(aggregator, `oracle.aggregators[${i}]`));
+    }
+  }
+
+  // optional bounds for the spot price check after deploying the oracle
+  const minSpot = (oracle.minSpot !== undefined) ? v.wad(oracle.minSpot, 'oracle.minSpot') : null;
+  const maxSpot = (oracle.maxSpot !== undefined) ? v.wad(oracle.maxSpot, 'oracle.maxSpot') : null;
+  if (minSpot && maxSpot && minSpot.gt(maxSpot)) v.error('oracle.minSpot', 'must not exceed oracle.maxSpot');
+}
+
+function validateVault(name, vault, errors) {
+  const v = createValidator(errors, `Vaults.${name}`);
+  if (!v.object(vault)) return;
+
+  v.oneOf(vault.type, 'type', VAULT_TYPES);
+  v.oneOf(vault.collateralType, 'collateralType', COLLATERAL_TYPES);
+  if (vault.positionAction !== undefined) v.oneOf(vault.positionAction, 'positionAction', POSITION_ACTIONS);
+  for (const field of (VAULT_FIELDS[vault.collateralType] || [])) {
+    if (vault[field] === undefined || vault[field] === null) v.error(field, `required for ${vault.collateralType} vaults`);
+  }
+
+  v.string(vault.name, 'name');
+  v.string(vault.tokenName, 'tokenName');
+  v.address(vault.token, 'token');
+  if (vault.tokenPot != null) v.address(vault.tokenPot, 'tokenPot');
+  if (vault.collateralType === 'ERC4626') {
+    if (vault.underlier != null) v.address(vault.underlier, 'underlier');
+  } else if (vault.underlier != null) {
+    v.error('underlier', `must be null for ${vault.collateralType} vaults`);
+  }
+
+  if (v.object(vault.oracle, 'oracle')) validateOracle(vault.oracle, v);
+
+  if (v.object(vault.exchange, 'exchange')) {
+    const ticks = vault.exchange.limitPriceTicks;
+    if (!Array.isArray(ticks)) {
+      v.error('exchange.limitPriceTicks', 'expected an array');
+    } else {
+      ticks.forEach((tick, i) => {
+        const bn = v.wad(tick, `exchange.limitPriceTicks[${i}]`, { min: WAD, max: toWad('100') });
+        const prev = i > 0 ? toBigNumber(ticks[i - 1]) : null;
+        if (bn && prev && !bn.gt(prev)) {
+          v.error(`exchange.limitPriceTicks[${i}]`, `must be strictly greater than the previous tick (${fromWad(prev)})`);
+        }
+      });
+    }
+  }
+
+  const args = vault.deploymentArguments;
+  if (!v.object(args, 'deploymentArguments')) return;
+  v.wad(args.debtCeiling, 'deploymentArguments.debtCeiling');
+
+  const { params, configs } = args;
+  const field = (group, key) => `deploymentArguments.${group}.${key}`;
+  const wadField = (group, values, key, limits) => v.wad(values[key], field(group, key), { bits: UINT_BITS[key], ...limits });
+
+  let baseRate = null;
+  if (v.object(configs, 'deploymentArguments.configs')) {
+    createValidator(errors, `Vaults.${name}.deploymentArguments.configs`).keys(configs, STRUCT_FIELDS.CDPVaultConfig, EXTRA_CONFIG_FIELDS);
+    const debtFloor = wadField('configs', configs, 'debtFloor');
+    wadField('configs', configs, 'limitOrderFloor');
+    wadField('configs', configs, 'liquidationRatio', { min: WAD });
+    wadField('configs', configs, 'globalLiquidationRatio');
+    if (debtFloor && toBigNumber(args.debtCeiling)?.lt(debtFloor)) {
+      v.error(field('configs', 'debtFloor'), 'must not exceed deploymentArguments.debtCeiling');
+    }
+
+    baseRate = v.uint(configs.baseRate, field('configs', 'baseRate'));
+    const baseRateError = (baseRate) ? getBaseRateError(baseRate) : null;
+    if (baseRateError) v.error(field('configs', 'baseRate'), baseRateError);
+
+    for (const role of ROLE_FIELDS) if (role in configs) v.role(configs[role], field('configs', role));
+    if (vault.type === 'CDPVault_TypeB' && !('vaultUnwinder' in configs)) {
+      v.error(field('configs', 'vaultUnwinder'), 'required for CDPVault_TypeB vaults');
+    }
+  }
+
+  if (v.object(params, 'deploymentArguments.params')) {
+    createValidator(errors, `Vaults.${name}.deploymentArguments.params`).keys(params, STRUCT_FIELDS.CDPVaultConstants);
+    wadField('params', params, 'protocolFee', { max: WAD });
+    const targetUtilizationRatio = wadField('params', params, 'targetUtilizationRatio', { max: WAD });
+    const maxUtilizationRatio = wadField('params', params, 'maxUtilizationRatio', { max: WAD });
+    if (targetUtilizationRatio && maxUtilizationRatio && targetUtilizationRatio.gt(maxUtilizationRatio)) {
+      v.error(field('params', 'targetUtilizationRatio'), 'must not exceed maxUtilizationRatio');
+    }
+    if (targetUtilizationRatio?.isZero() && baseRate?.eq(UTILIZATION_BASE_RATE)) {
+      v.error(field('params', 'targetUtilizationRatio'), 'must be greater than 0 when the utilization model is used');
+    }
+
+    const rates = {};
+    for (const key of ['minInterestRate', 'targetInterestRate', 'maxInterestRate']) {
+      rates[key] = wadField('params', params, key, { min: WAD, max: RATE_CEILING });
+      if (rates[key]?.gte(WAD) && rates[key].sub(WAD).gt(ethers.constants.Two.pow(PACKED_RATE_BITS).sub(1))) {
+        v.error(field('params', key), `rate - WAD must fit into the packed uint${PACKED_RATE_BITS} (got ${rates[key]})`);
+      }
+    }
+    if (rates.minInterestRate && rates.targetInterestRate && rates.minInterestRate.gt(rates.targetInterestRate)) {
+      v.error(field('params', 'minInterestRate'), 'must not exceed targetInterestRate');
+    }
+    if (rates.targetInterestRate && rates.maxInterestRate && rates.targetInterestRate.gt(rates.maxInterestRate)) {
+      v.error(field('params', 'targetInterestRate'), 'must not exceed maxInterestRate');
+    }
+
+    wadField('params', params, 'rebateRate');
+    wadField('params', params, 'maxRebate', { min: WAD });
+  }
+
+  // TypeA vaults are configured by `paramsTypeA`, TypeB vaults by `paramsTypeB`
+  const [group, otherGroup] = (vault.type === 'CDPVault_TypeB') ? ['paramsTypeB', 'paramsTypeA'] : ['paramsTypeA', 'paramsTypeB'];
+  if (args[otherGroup] !== undefined) v.error(`deploymentArguments.${otherGroup}`, `not used by ${vault.type} vaults`);
+  const typeParams = args[group];
+  if (v.object(typeParams, `deploymentArguments.${group}`)) {
+    createValidator(errors, `Vaults.${name}.deploymentArguments.${group}`).keys(typeParams, STRUCT_FIELDS.CDPVault_TypeAConfig);
+    wadField(group, typeParams, 'liquidationPenalty', { min: 1, max: WAD });
+    wadField(group, typeParams, 'liquidationDiscount', { min: 1, max: WAD });
+    wadField(group, typeParams, 'targetHealthFactor', { min: WAD });
+  }
+}
+
+// Returns a list of all errors found in the deployment config (empty if the config is valid)
+function validateConfig(config) {
+  const errors = [];
+  validateCore(config.Core, errors);
+  if (config.Vaults === null || typeof config.Vaults !== 'object') {
+    errors.push('Vaults: expected an object');
+  } else {
+    for (const [name, vault] of Object.entries(config.Vaults)) validateVault(name, vault, errors);
+  }
+  return errors;
+}
+
+// Prints all errors found in the deployment config and throws if there are any
+function assertValidConfig(config) {
+  const errors = validateConfig(config);
+  if (errors.length === 0) return;
+  console.error(`Found ${errors.length} error(s) in scripts/config.js:`);
+  for (const error of errors) console.error(`  - ${error}`);
+  throw new Error('Invalid deployment config');
+}
+
+module.exports = {
+  STRUCT_FIELDS,
+  ROLE_PLACEHOLDERS,
+  POSITION_ACTIONS,
+  UINT_BITS,
+  getPositionActionName,
+  getParameterWidthError,
+  toStructArgs,
+  validateConfig,
+  assertValidConfig
+};
+
+if (require.main === module) {
+  try {
+    assertValidConfig(require('./config.js'));
+    console.log(`scripts/config.js is valid for ${require('hardhat').network.name}`);
+  } catch (error) {
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,209 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const CONFIG = require('./config.js');
+const { perSecondRateToAPR } = require('./interest-rate-model.js');
+const { createSafeBatch, addSafeTransaction, writeSafeBatch } = require('./safe.js');
+const { getParameterWidthError } = require('./validate-config.js');
+const {
+  fromWad,
+  toBytes32,
+  convertBigNumberToString,
+  getMetadataFilePath,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  loadDeployedVault,
+  confirm
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/vault-parameters.js [--vault <vault>] [options]
+
+Compares the parameters of the deployed vaults with deploymentArguments in scripts/config.js (vaultConfig(),
+limitOrderFloor(), getGlobalIRS().baseRate, liquidationConfig() and the debt ceiling in the CDM), prints the
+differences and applies the setParameter calls of the changed parameters only. Applied values are recorded in
+scripts/metadata-<network>.json.
+
+Options:
+  --vault <vault>   vault config key (e.g. WETH), deployment name or address (default: all vaults in scripts/config.js)
+  --apply           send the setParameter calls from the signer (requires the VAULT_CONFIG_ROLE on the vault and the
+                    ACCOUNT_CONFIG_ROLE on the CDM for debt ceiling changes)
+  --yes             apply without asking for confirmation
+  --safe <address>  export the setParameter calls as a Safe Transaction Builder batch instead of sending them
+  --help            show this message`;
+
+function parseOptions() {
+  const { values: options } = parseArgs({
+    options: {
+      vault: { type: 'string' },
+      apply: { type: 'boolean', default: false },
+      yes: { type: 'boolean', default: false },
+      safe: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return options;
+}
+
+// baseRate is a per-second rate accumulator factor [wad], type(uint256).max (-1 on chain) selects the utilization
+// based interest rate model
+function formatBaseRate(baseRate) {
+  baseRate = ethers.BigNumber.from(baseRate);
+  if (baseRate.eq(ethers.constants.MaxUint256) || baseRate.eq(-1)) return 'utilization based';
+  if (baseRate.isZero()) return '0';
+  const apr = Number(fromWad(perSecondRateToAPR(baseRate)));
+  return `${baseRate.toString()} (${(apr * 100).toFixed(2)}% APR)`;
+}
+
+function formatValue(parameter, value) {
+  return (parameter === 'baseRate') ? formatBaseRate(value) : fromWad(value);
+}
+
+// Returns the parameters of a vault as configured in `config` and as set on chain. Each parameter is changed via
+// `setParameter` on `target` (the vault or, for the debt ceiling, the CDM's account of the vault).
+async function getParameters(vault, config, cdm) {
+  const { configs, debtCeiling } = config.deploymentArguments;
+  const typeParams = (config.type === 'CDPVault_TypeB')
+    ? config.deploymentArguments.paramsTypeB : config.deploymentArguments.paramsTypeA;
+  const vaultConfig = await vault.vaultConfig();
+  const liquidationConfig = await vault.liquidationConfig();
+  // the utilization based interest rate model is stored as -1 but set via type(uint256).max
+  const baseRate = (await vault.getGlobalIRS()).baseRate;
+  return [
+    { parameter: 'debtFloor', actual: vaultConfig.debtFloor, expected: configs.debtFloor },
+    { parameter: 'liquidationRatio', actual: vaultConfig.liquidationRatio, expected: configs.liquidationRatio },
+    {
+      parameter: 'globalLiquidationRatio',
+      actual: vaultConfig.globalLiquidationRatio,
+      expected: configs.globalLiquidationRatio
+    },
+    { parameter: 'limitOrderFloor', actual: await vault.limitOrderFloor(), expected: configs.limitOrderFloor },
+    {
+      parameter: 'baseRate',
+      actual: (ethers.BigNumber.from(baseRate).eq(-1)) ? ethers.constants.MaxUint256 : baseRate,
+      expected: configs.baseRate
+    },
+    {
+      parameter: 'liquidationPenalty',
+      actual: liquidationConfig.liquidationPenalty,
+      expected: typeParams.liquidationPenalty
+    },
+    {
+      parameter: 'liquidationDiscount',
+      actual: liquidationConfig.liquidationDiscount,
+      expected: typeParams.liquidationDiscount
+    },
+    {
+      parameter: 'targetHealthFactor',
+      actual: liquidationConfig.targetHealthFactor,
+      expected: typeParams.targetHealthFactor
+    },
+    {
+      parameter: 'debtCeiling',
+      actual: (await cdm.accounts(vault.address)).debtCeiling,
+      expected: debtCeiling,
+      target: cdm
+    }
+  ].map((entry) => ({ ...entry, expected: ethers.BigNumber.from(entry.expected), target: entry.target || vault }));
+}
+
+function getCall(vault, { parameter, expected, target }) {
+  return (target === vault)
+    ? { contract: vault, method: 'setParameter', args: [toBytes32(parameter), expected] }
+    : { contract: target, method: 'setParameter(address,bytes32,uint256)', args: [vault.address, toBytes32(parameter), expected] };
+}
+
+async function storeVaultParameters(address, parameters) {
+  const metadataFilePath = await getMetadataFilePath();
+  const metadataFile = fs.existsSync(metadataFilePath) ? JSON.parse(fs.readFileSync(metadataFilePath)) : {};
+  if (metadataFile.vaults == undefined) metadataFile.vaults = {};
+  metadataFile.vaults[address] = { ...metadataFile.vaults[address], ...convertBigNumberToString(parameters) };
+  fs.writeFileSync(metadataFilePath, JSON.stringify(metadataFile, null, 2));
+}
+
+function diffVault(name, vault, parameters) {
+  console.log('------------------------------------');
+  console.log(`${name} (${vault.address})`);
+  const changes = [];
+  for (const entry of parameters) {
+    const { parameter, actual, expected } = entry;
+    if (ethers.BigNumber.from(actual).eq(expected)) {
+      console.log(`  ${parameter}: ${formatValue(parameter, actual)}`);
+      continue;
+    }
+    console.log(`* ${parameter}: ${formatValue(parameter, actual)} -> ${formatValue(parameter, expected)}`);
+    changes.push(entry);
+  }
+  return changes;
+}
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const deployment = await loadDeploymentFile();
+  if (deployment.vaults == undefined) throw new Error(`No vaults found in the deployment file of ${hre.network.name}`);
+  const { CDM: cdm } = await loadDeployedContracts({ core: deployment.core });
+  const vaults = [];
+  for (const value of (options.vault) ? [options.vault] : Object.keys(CONFIG.Vaults)) {
+    const { name, vault, vaultConfig } = await loadDeployedVault(value, CONFIG, deployment);
+    if (!vaultConfig) throw new Error(`${name} is not part of scripts/config.js`);
+    const parameters = await getParameters(vault, vaultConfig, cdm);
+    vaults.push({ name, vault, parameters, changes: diffVault(name, vault, parameters) });
+  }
+
+  // setParameter truncates values wider than the storage of the parameter instead of reverting, baseRate is held to
+  // the same range as in scripts/validate-config.js
+  const widthErrors = vaults.flatMap(({ name, changes }) => changes
+    .map(({ parameter, expected }) => getParameterWidthError(parameter, expected))
+    .filter(Boolean)
+    .map((error) => `${name}: ${error}`));
+  if (widthErrors.length > 0) throw new Error(`Invalid parameters in scripts/config.js:\n  ${widthErrors.join('\n  ')}`);
+
+  const calls = vaults.flatMap(({ vault, changes }) => changes.map((change) => getCall(vault, change)));
+  console.log('------------------------------------');
+  if (calls.length == 0) console.log(`The vault parameters on ${hre.network.name} match scripts/config.js`);
+  else console.log(`${calls.length} parameter(s) differ from scripts/config.js`);
+
+  if (calls.length > 0 && options.safe) {
+    const batch = createSafeBatch(
+      (await ethers.provider.getNetwork()).chainId, ethers.utils.getAddress(options.safe), 'Update vault parameters'
+    );
+    for (const { contract, method, args } of calls) addSafeTransaction(batch, contract, method, args);
+    const safeBatchFilePath = path.join(__dirname, '.', `safe-batch-parameters-${hre.network.name}.json`);
+    writeSafeBatch(batch, safeBatchFilePath);
+    console.log(`Exported ${calls.length} transactions for the Safe to ${safeBatchFilePath}`);
+    console.log('Run with --apply once the batch is executed to record the new values in the metadata file');
+    return;
+  }
+  if (!options.apply) return;
+  if (calls.length > 0 && !options.yes) {
+    if (!(await confirm(`Apply ${calls.length} setParameter call(s) on ${hre.network.name}?`))) return;
+  }
+
+  for (const { name, vault, parameters, changes } of vaults) {
+    for (const change of changes) {
+      const { contract, method, args } = getCall(vault, change);
+      await (await contract[method](...args)).wait();
+      console.log(`${name}: set ${change.parameter} to ${formatValue(change.parameter, change.expected)}`);
+    }
+    // all parameters match the config at this point
+    await storeVaultParameters(
+      vault.address, Object.fromEntries(parameters.map(({ parameter, expected }) => [parameter, expected]))
+    );
+  }
+  console.log(`Recorded the vault parameters in ${await getMetadataFilePath()}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+  process.exitCode = 1;
+});
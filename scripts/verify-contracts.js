@@ -0,0 +1,145 @@
+require('hardhat/register');
+const hre = require('hardhat');
+const { parseArgs } = require('util');
+
+const { loadDeploymentFile } = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const USAGE = `Usage: HARDHAT_NETWORK=<network> node scripts/verify-contracts.js [options]
+
+Verifies the source code of every contract in scripts/deployment-<network>.json on the network's Etherscan compatible
+explorer (see \`etherscan\` in hardhat.config.js) using the recorded constructor arguments. Proxies are verified as
+TransparentUpgradeableProxy or ERC1967Proxy, vaults with the address of the factory which created them. Contracts
+which fail to verify are retried and listed at the end, the script exits with a non-zero code if any failed.
+
+Options:
+  --contract <name>   only verify this deployment entry (can be repeated)
+  --retries <n>       attempts per contract (default: 3)
+  --delay <seconds>   delay between attempts (default: 10)
+  --help              show this message`;
+
+function parseOptions() {
+  const { values: options } = parseArgs({
+    options: {
+      contract: { type: 'string', multiple: true },
+      retries: { type: 'string', default: '3' },
+      delay: { type: 'string', default: '10' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  return options;
+}
+
+// Returns the artifact of the contract deployed at a core entry. deploy.js records proxies under the artifact of their
+// implementation.
+function getDeployedArtifactName(core, name) {
+  if (!core[`${name}Implementation`]) return core[name].artifactName;
+  return (core[`${name}ProxyAdmin`]) ? 'TransparentUpgradeableProxy' : 'ERC1967Proxy';
+}
+
+// Returns the contracts of a deployment file with the artifact and constructor arguments they are verified with.
+// Vaults are recorded with the arguments of the factory's `create`, the vault itself is constructed with the factory's
+// address.
+function getVerificationTargets(deployment) {
+  const core = deployment.core || {};
+  const targets = [];
+  for (const [name, { address, constructorArguments = [] }] of Object.entries(core)) {
+    targets.push({ name, address, contract: getDeployedArtifactName(core, name), constructorArguments });
+  }
+  for (const [name, { address, artifactName }] of Object.entries(deployment.vaults || {})) {
+    const factory = core[`${artifactName}_Factory`];
+    if (!factory) throw new Error(`${artifactName}_Factory of ${name} not found in the deployment file`);
+    targets.push({ name, address, contract: artifactName, constructorArguments: [factory.address] });
+  }
+  return targets;
+}
+
+// Verifies a contract, retrying failed attempts. Returns the error of the last attempt if all attempts failed.
+// @openzeppelin/hardhat-upgrades wraps `verify:verify` for proxies: it verifies the implementation (already verified
+// since deploy.js records it before its proxy), falls back to the arguments passed here for the proxy itself and links
+// the proxy to the implementation's ABI on the explorer.
+async function verifyContract({ name, address, contract, constructorArguments }, { retries = 3, delay = 10 } = {}) {
+  const { sourceName, contractName } = await hre.artifacts.readArtifact(contract);
+  let lastError = null;
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      await hre.run('verify:verify', {
+        address, constructorArguments, contract: `${sourceName}:${contractName}`, noCompile: true
+      });
+      console.log(`Verified ${name} (${contract}) at ${address}`);
+      return null;
+    } catch (error) {
+      if (/already verified/i.test(error.message)) {
+        console.log(`${name} (${contract}) at ${address} is already verified`);
+        return null;
+      }
+      lastError = error;
+      console.log(`Failed to verify ${name} (attempt ${attempt} of ${retries}): ${error.message.split('\n')[0]}`);
+      if (attempt < retries) await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+    }
+  }
+  return lastError;
+}
+
+// Verifies the contracts of a deployment file and returns the contracts which failed to verify
+async function verifyDeployment(deployment, { names, retries, delay } = {}) {
+  const targets = getVerificationTargets(deployment).filter(({ name }) => !names || names.includes(name));
+  if (names) {
+    const missing = names.filter((name) => !targets.some((target) => target.name === name));
+    if (missing.length > 0) throw new Error(`${missing.join(', ')} not found in the deployment file`);
+  }
+  const failures = [];
+  for (const target of targets) {
+    const error = await verifyContract(target, { retries, delay });
+    if (error) failures.push({ ...target, error });
+  }
+  return failures;
+}
+
+function logVerificationSummary(failures, total) {
+  console.log('------------------------------------');
+  if (failures.length == 0) {
+    console.log(`Verified ${total} contract(s)`);
+    return;
+  }
+  console.log(`${failures.length} of ${total} contract(s) failed to verify:`);
+  for (const { name, address, contract, error } of failures) {
+    console.log(`  ${name} (${contract}) at ${address}: ${error.message.split('\n')[0]}`);
+  }
+}
+
+module.exports = {
+  getDeployedArtifactName,
+  getVerificationTargets,
+  verifyContract,
+  verifyDeployment,
+  logVerificationSummary
+};
+
+async function main() {
+  const options = parseOptions();
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const deployment = await loadDeploymentFile();
+  const names = options.contract;
+  const total = (names) ? names.length : getVerificationTargets(deployment).length;
+  if (total == 0) throw new Error(`No contracts found in the deployment file of ${hre.network.name}`);
+  await hre.run('compile');
+  const failures = await verifyDeployment(
+    deployment, { names, retries: Number(options.retries), delay: Number(options.delay) }
+  );
+  logVerificationSummary(failures, total);
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message);
+    if (error.code?.startsWith('ERR_PARSE_ARGS')) console.log(USAGE);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,160 @@
+const hre = require('hardhat');
+
+const CONFIG = require('./config.js');
+const { VAULT_ROLES, resolveRole, getVaultRoleHolder, getHandoverRoles } = require('./roles.js');
+const {
+  fromWad,
+  getRoleHash,
+  getSignerAddress,
+  loadDeploymentFile,
+  loadDeployedContracts,
+  getPriceTicks
+} = require('./utils.js');
+
+ethers.utils.Logger.setLogLevel(ethers.utils.Logger.levels.ERROR);
+
+const mismatches = [];
+
+function normalize(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (typeof value === 'string' && ethers.utils.isAddress(value)) return ethers.utils.getAddress(value);
+  return String(value);
+}
+
+function check(description, actual, expected) {
+  const ok = normalize(actual) === normalize(expected);
+  console.log(`${ok ? 'OK      ' : 'MISMATCH'} ${description}: ${normalize(actual)}${ok ? '' : ` (expected ${normalize(expected)})`}`);
+  if (!ok) mismatches.push(description);
+}
+
+function fail(description) {
+  console.log(`MISMATCH ${description}`);
+  mismatches.push(description);
+}
+
+async function checkRole(contract, contractName, role, account, accountName, expected = true) {
+  const hasRole = await contract.hasRole(getRoleHash(role), account);
+  check(`${contractName}: ${accountName} ${expected ? 'has' : 'does not have'} ${role}`, hasRole, expected);
+}
+
+async function verifyCore(contracts, deployment, deployer) {
+  console.log('------------------------------------');
+  console.log('Core');
+
+  const { CDM: cdm, Stablecoin: stablecoin, Minter: minter, Flashlender: flashlender } = contracts;
+  check('CDM: globalDebtCeiling', await cdm.globalDebtCeiling(), CONFIG.Core.CDM.initialGlobalDebtCeiling);
+  check(
+    'CDM: debtCeiling of Flashlender',
+    (await cdm.accounts(flashlender.address)).debtCeiling,
+    CONFIG.Core.Flashlender.initialDebtCeiling
+  );
+  await checkRole(stablecoin, 'Stablecoin', 'MINTER_AND_BURNER_ROLE', minter.address, 'Minter');
+  for (const factoryName of ['CDPVault_TypeA_Factory', 'CDPVault_TypeB_Factory']) {
+    if (!contracts[factoryName]) continue;
+    await checkRole(cdm, 'CDM', 'ACCOUNT_CONFIG_ROLE', contracts[factoryName].address, factoryName);
+  }
+
+  // the deployer may only keep the roles of the core contracts which are not handed over (see `Core.Roles`)
+  const roleAdmin = resolveRole(CONFIG.Core.Roles?.roleAdmin || 'deployer', deployer);
+  for (const { name, role, key, target } of getHandoverRoles(deployment, CONFIG)) {
+    if (deployment.vaults?.[name]) continue;
+    const account = (target) ? resolveRole(target, deployer) : null;
+    if (account) await checkRole(contracts[name], name, role, account, key);
+    if (normalize(account || roleAdmin) !== normalize(deployer)) {
+      await checkRole(contracts[name], name, role, deployer, 'deployer', false);
+    }
+  }
+  for (const [name, { artifactName }] of Object.entries(deployment.core || {})) {
+    if (artifactName !== 'ProxyAdmin') continue;
+    check(`${name}: owner`, await contracts[name].owner(), resolveRole(CONFIG.Core.Roles?.proxyAdminOwner || 'deployer', deployer));
+  }
+}
+
+async function verifyVault(key, config, contracts, deployer) {
+  const vaultName = `${config.type}_${key}`;
+  console.log('------------------------------------');
+  console.log(vaultName);
+
+  const vault = contracts[vaultName];
+  if (!vault) {
+    fail(`${vaultName}: not found in the deployment file`);
+    return;
+  }
+  const { CDM: cdm } = contracts;
+  const { configs, debtCeiling } = config.deploymentArguments;
+  const typeParams = (config.type === 'CDPVault_TypeB')
+    ? config.deploymentArguments.paramsTypeB : config.deploymentArguments.paramsTypeA;
+
+  const vaultConfig = await vault.vaultConfig();
+  check(`${vaultName}: debtFloor`, vaultConfig.debtFloor, configs.debtFloor);
+  check(`${vaultName}: liquidationRatio`, vaultConfig.liquidationRatio, configs.liquidationRatio);
+  check(`${vaultName}: globalLiquidationRatio`, vaultConfig.globalLiquidationRatio, configs.globalLiquidationRatio);
+  check(`${vaultName}: limitOrderFloor`, await vault.limitOrderFloor(), configs.limitOrderFloor);
+  // uint256 max enables the utilization based interest rate model which is stored as -1
+  const baseRate = ethers.BigNumber.from(configs.baseRate);
+  check(
+    `${vaultName}: baseRate`,
+    (await vault.getGlobalIRS()).baseRate,
+    baseRate.eq(ethers.constants.MaxUint256) ? -1 : baseRate
+  );
+
+  const liquidationConfig = await vault.liquidationConfig();
+  check(`${vaultName}: liquidationPenalty`, liquidationConfig.liquidationPenalty, typeParams.liquidationPenalty);
+  check(`${vaultName}: liquidationDiscount`, liquidationConfig.liquidationDiscount, typeParams.liquidationDiscount);
+  check(`${vaultName}: targetHealthFactor`, liquidationConfig.targetHealthFactor, typeParams.targetHealthFactor);
+
+  check(`${vaultName}: debtCeiling`, (await cdm.accounts(vault.address)).debtCeiling, debtCeiling);
+  console.log(`         ${vaultName}: creditLine: ${fromWad(await cdm.creditLine(vault.address))}`);
+
+  const oracleName = (config.oracle.type === 'MockOracle') ? 'MockOracle' : `${config.oracle.type}_${key}`;
+  if (contracts[oracleName]) check(`${vaultName}: oracle`, await vault.oracle(), contracts[oracleName].address);
+  else fail(`${vaultName}: ${oracleName} not found in the deployment file`);
+
+  const priceTicks = await getPriceTicks(vault);
+  const activeTicks = priceTicks.filter(({ isActive }) => isActive).map(({ priceTick }) => priceTick.toString());
+  const expectedTicks = config.exchange.limitPriceTicks.map((tick) => tick.toString());
+  for (const tick of expectedTicks) {
+    check(`${vaultName}: limit price tick ${fromWad(tick)} is active`, activeTicks.includes(tick), true);
+  }
+  for (const tick of activeTicks.filter((tick) => !expectedTicks.includes(tick))) {
+    fail(`${vaultName}: limit price tick ${fromWad(tick)} is active but not configured`);
+  }
+
+  // roles assigned to the deployer by the vault config are expected to be handed over (see `Core.Roles`)
+  for (const [role, roleKey] of Object.entries(VAULT_ROLES)) {
+    if (role === 'VAULT_UNWINDER_ROLE' && config.type !== 'CDPVault_TypeB') continue;
+    const holder = getVaultRoleHolder(config, roleKey, CONFIG);
+    const account = resolveRole(holder, deployer);
+    await checkRole(vault, vaultName, role, account, holder);
+    if (normalize(account) !== normalize(deployer)) await checkRole(vault, vaultName, role, deployer, 'deployer', false);
+  }
+  const factory = contracts[`${config.type}_Factory`];
+  await checkRole(vault, vaultName, 'DEFAULT_ADMIN_ROLE', factory.address, `${config.type}_Factory`, false);
+  await checkRole(vault, vaultName, 'VAULT_CONFIG_ROLE', factory.address, `${config.type}_Factory`, false);
+}
+
+async function verifyDeployment() {
+  const deployment = await loadDeploymentFile();
+  if (deployment.core == undefined) throw new Error(`No deployment found for ${hre.network.name}`);
+  const contracts = await loadDeployedContracts(deployment);
+  const deployer = await getSignerAddress();
+
+  await verifyCore(contracts, deployment, deployer);
+  for (const [key, config] of Object.entries(CONFIG.Vaults)) {
+    await verifyVault(key, config, contracts, deployer);
+  }
+
+  console.log('------------------------------------');
+  if (mismatches.length == 0) {
+    console.log(`Deployment on ${hre.network.name} matches scripts/config.js`);
+    return;
+  }
+  console.log(`Found ${mismatches.length} mismatch(es) on ${hre.network.name}:`);
+  for (const mismatch of mismatches) console.log(`  - ${mismatch}`);
+  process.exitCode = 1;
+}
+
+verifyDeployment().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
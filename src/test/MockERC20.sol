@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {ERC20PresetMinterPauser} from "openzeppelin/contracts/token/ERC20/presets/ERC20PresetMinterPauser.sol";
+
+/// @notice Mintable ERC20 with configurable decimals, stands in for the collateral tokens on devnets
+contract MockERC20 is ERC20PresetMinterPauser {
+
+    uint8 private immutable _decimals;
+
+    constructor(
+        string memory name_, string memory symbol_, uint8 decimals_
+    ) ERC20PresetMinterPauser(name_, symbol_) {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {IERC20} from "openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ERC20} from "openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC4626} from "openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+
+/// @notice Plain ERC4626 vault, stands in for yield bearing collateral tokens on devnets
+/// (transferring assets to the vault raises the share price)
+contract MockERC4626 is ERC4626 {
+
+    constructor(
+        IERC20 asset_, string memory name_, string memory symbol_
+    ) ERC20(name_, symbol_) ERC4626(asset_) {}
+}
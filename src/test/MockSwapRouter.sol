@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {IERC20} from "openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import {ExactInputParams, ExactOutputParams} from "../vendor/IUniswapV3Router.sol";
+import {SwapKind, BatchSwapStep, FundManagement, JoinKind, JoinPoolRequest} from "../vendor/IBalancerVault.sol";
+
+/// @notice `desc` of the `swap` function of the 1inch AggregationRouterV5
+struct OneInchSwapDescription {
+    address srcToken;
+    address dstToken;
+    address payable srcReceiver;
+    address payable dstReceiver;
+    uint256 amount;
+    uint256 minReturnAmount;
+    uint256 flags;
+}
+
+/// @notice Stands in for the 1inch router, the Balancer vault and the Uniswap V3 router on devnets without these
+/// protocols and in the tests of scripts/swap-params.js and scripts/join-params.js. Swaps at the fixed rates set by `setRate` and pays out of its
+/// own balance, swaps of pairs without a rate and any other call revert.
+contract MockSwapRouter {
+
+    using SafeERC20 for IERC20;
+
+    uint256 constant internal WAD = 1e18;
+
+    /// @notice Amount of `tokenOut` per `tokenIn` [wad], in the units of the tokens
+    mapping(address tokenIn => mapping(address tokenOut => uint256 rate)) public rates;
+
+    error MockSwapRouter__unsupported();
+    error MockSwapRouter__noRate();
+    error MockSwapRouter__expired();
+    error MockSwapRouter__limitExceeded();
+    error MockSwapRouter__invalidPath();
+    error MockSwapRouter__invalidJoin();
+
+    function setRate(address tokenIn, address tokenOut, uint256 rate) external {
+        rates[tokenIn][tokenOut] = rate;
+    }
+
+    function _getAmountOut(address tokenIn, address tokenOut, uint256 amountIn) private view returns (uint256) {
+        uint256 rate = rates[tokenIn][tokenOut];
+        if (rate == 0) revert MockSwapRouter__noRate();
+        return amountIn * rate / WAD;
+    }
+
+    function _getAmountIn(address tokenIn, address tokenOut, uint256 amountOut) private view returns (uint256) {
+        uint256 rate = rates[tokenIn][tokenOut];
+        if (rate == 0) revert MockSwapRouter__noRate();
+        return (amountOut * WAD + rate - 1) / rate;
+    }
+
+    function _checkDeadline(uint256 deadline) private view {
+        if (block.timestamp > deadline) revert MockSwapRouter__expired();
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                                BALANCER
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Balancer's `batchSwap`, an amount of 0 continues with the result of the previous step
+    function batchSwap(
+        SwapKind kind,
+        BatchSwapStep[] memory swaps,
+        address[] memory assets,
+        FundManagement memory funds,
+        int256[] memory limits,
+        uint256 deadline
+    ) external returns (int256[] memory deltas) {
+        _checkDeadline(deadline);
+        deltas = new int256[](assets.length);
+        uint256 amount;
+        for (uint256 i; i < swaps.length; ++i) {
+            BatchSwapStep memory step = swaps[i];
+            uint256 stepAmount = (step.amount == 0) ? amount : step.amount;
+            address assetIn = assets[step.assetInIndex];
+            address assetOut = assets[step.assetOutIndex];
+            if (kind == SwapKind.GIVEN_IN) {
+                amount = _getAmountOut(assetIn, assetOut, stepAmount);
+                deltas[step.assetInIndex] += int256(stepAmount);
+                deltas[step.assetOutIndex] -= int256(amount);
+            } else {
+                amount = _getAmountIn(assetIn, assetOut, stepAmount);
+                deltas[step.assetInIndex] += int256(amount);
+                deltas[step.assetOutIndex] -= int256(stepAmount);
+            }
+        }
+        for (uint256 i; i < assets.length; ++i) {
+            if (deltas[i] > limits[i]) revert MockSwapRouter__limitExceeded();
+            if (deltas[i] > 0) IERC20(assets[i]).safeTransferFrom(funds.sender, address(this), uint256(deltas[i]));
+            if (deltas[i] < 0) IERC20(assets[i]).safeTransfer(funds.recipient, uint256(-deltas[i]));
+        }
+    }
+
+    /// @notice Balancer's `joinPool` for EXACT_TOKENS_IN_FOR_BPT_OUT joins, pays the pool token (the first 20 bytes of
+    /// `poolId`) at the rates of the assets to the pool token. The assets have to be sorted and the pool token, if it
+    /// is one of them, is skipped in the amounts of the userData.
+    function joinPool(bytes32 poolId, address sender, address recipient, JoinPoolRequest memory request) external {
+        address pool = address(bytes20(poolId));
+        (JoinKind kind, uint256[] memory amountsIn, uint256 minOut) = abi.decode(
+            request.userData, (JoinKind, uint256[], uint256)
+        );
+        if (kind != JoinKind.EXACT_TOKENS_IN_FOR_BPT_OUT) revert MockSwapRouter__unsupported();
+        if (amountsIn.length > request.assets.length || amountsIn.length + 1 < request.assets.length) {
+            revert MockSwapRouter__invalidJoin();
+        }
+
+        uint256 offset;
+        uint256 bptOut;
+        for (uint256 i; i < request.assets.length; ++i) {
+            address asset = request.assets[i];
+            if (i > 0 && asset <= request.assets[i - 1]) revert MockSwapRouter__invalidJoin();
+            if (asset == pool) {
+                offset = 1;
+                continue;
+            }
+            uint256 amountIn = amountsIn[i - offset];
+            if (amountIn > request.maxAmountsIn[i]) revert MockSwapRouter__limitExceeded();
+            if (amountIn == 0) continue;
+            bptOut += _getAmountOut(asset, pool, amountIn);
+            IERC20(asset).safeTransferFrom(sender, address(this), amountIn);
+        }
+        if (amountsIn.length + offset != request.assets.length) revert MockSwapRouter__invalidJoin();
+        if (bptOut < minOut) revert MockSwapRouter__limitExceeded();
+        IERC20(pool).safeTransfer(recipient, bptOut);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                               UNISWAP V3
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice Returns the number of hops of a Uniswap V3 path (token, fee, token, fee, ..., token)
+    function _getHops(bytes calldata path) private pure returns (uint256) {
+        if (path.length < 43 || (path.length - 20) % 23 != 0) revert MockSwapRouter__invalidPath();
+        return (path.length - 20) / 23;
+    }
+
+    function _getToken(bytes calldata path, uint256 index) private pure returns (address) {
+        return address(bytes20(path[index * 23:index * 23 + 20]));
+    }
+
+    function exactInput(ExactInputParams calldata params) external returns (uint256 amountOut) {
+        _checkDeadline(params.deadline);
+        uint256 hops = _getHops(params.path);
+        amountOut = params.amountIn;
+        for (uint256 i; i < hops; ++i) {
+            amountOut = _getAmountOut(_getToken(params.path, i), _getToken(params.path, i + 1), amountOut);
+        }
+        if (amountOut < params.amountOutMinimum) revert MockSwapRouter__limitExceeded();
+        IERC20(_getToken(params.path, 0)).safeTransferFrom(msg.sender, address(this), params.amountIn);
+        IERC20(_getToken(params.path, hops)).safeTransfer(params.recipient, amountOut);
+    }
+
+    /// @dev the path is reversed, it starts with the token out
+    function exactOutput(ExactOutputParams calldata params) external returns (uint256 amountIn) {
+        _checkDeadline(params.deadline);
+        uint256 hops = _getHops(params.path);
+        amountIn = params.amountOut;
+        for (uint256 i; i < hops; ++i) {
+            amountIn = _getAmountIn(_getToken(params.path, i + 1), _getToken(params.path, i), amountIn);
+        }
+        if (amountIn > params.amountInMaximum) revert MockSwapRouter__limitExceeded();
+        IERC20(_getToken(params.path, hops)).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(_getToken(params.path, 0)).safeTransfer(params.recipient, params.amountOut);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                                 1INCH
+    //////////////////////////////////////////////////////////////*/
+
+    /// @notice `swap` of the 1inch AggregationRouterV5, `executor`, `permit` and `data` are ignored
+    function swap(
+        address /*executor*/,
+        OneInchSwapDescription calldata desc,
+        bytes calldata /*permit*/,
+        bytes calldata /*data*/
+    ) external returns (uint256 returnAmount, uint256 spentAmount) {
+        spentAmount = desc.amount;
+        returnAmount = _getAmountOut(desc.srcToken, desc.dstToken, spentAmount);
+        if (returnAmount < desc.minReturnAmount) revert MockSwapRouter__limitExceeded();
+        address recipient = (desc.dstReceiver == address(0)) ? msg.sender : desc.dstReceiver;
+        IERC20(desc.srcToken).safeTransferFrom(msg.sender, address(this), spentAmount);
+        IERC20(desc.dstToken).safeTransfer(recipient, returnAmount);
+    }
+
+    fallback() external {
+        revert MockSwapRouter__unsupported();
+    }
+}
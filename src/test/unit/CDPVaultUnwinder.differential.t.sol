@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {TestBase} from "../TestBase.sol";
+
+import {ICDPVault_TypeB} from "../../interfaces/ICDPVault_TypeB.sol";
+import {ICDPVaultUnwinder} from "../../interfaces/ICDPVaultUnwinder.sol";
+import {IPermission} from "../../interfaces/IPermission.sol";
+
+import {WAD} from "../../utils/Math.sol";
+import {CDPVault_TypeB} from "../../CDPVault_TypeB.sol";
+import {CDPVaultUnwinder} from "../../CDPVaultUnwinder.sol";
+
+contract UnwoundPositionOwner {
+    constructor(IPermission vault) {
+        vault.modifyPermission(msg.sender, true);
+    }
+}
+
+/// @notice Differential tests of scripts/unwinder-auction.js (used by scripts/unwinder-keeper.js) against the auction
+/// of CDPVaultUnwinder
+/// @dev Requires node and --ffi, run by `make test-differential`
+contract CDPVaultUnwinderDifferentialTest is TestBase {
+
+    ICDPVaultUnwinder internal unwinder;
+
+    function setUp() public override {
+        super.setUp();
+
+        CDPVault_TypeB vault = createCDPVault_TypeB(
+            token, 200 ether, 0, 1.25 ether, 1.0 ether, 0, 1.05 ether, 0, WAD, 1000000000780858271, 0, 0
+        );
+        token.mint(address(this), 300 ether);
+        token.approve(address(vault), 300 ether);
+        vault.deposit(address(this), 300 ether);
+        address position = address(new UnwoundPositionOwner(vault));
+        vault.modifyCollateralAndDebt(position, address(this), address(this), 300 ether, 200 ether);
+        createCredit(address(this), 100 ether);
+        vault.delegateCredit(100 ether);
+
+        // unwind the vault and start the auction of its collateral
+        vault.pause();
+        vm.warp(block.timestamp + 2 weeks);
+        unwinder = cdpVaultUnwinderFactory.deployVaultUnwinder(ICDPVault_TypeB(address(vault)));
+        vm.warp(block.timestamp + 2 weeks);
+        unwinder.startAuction();
+
+        // credit of the keeper
+        createCredit(address(this), 1000 ether);
+        cdm.modifyPermission(address(unwinder), true);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            HELPER FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function _ffi(string memory fn, string[] memory args) private returns (bytes memory) {
+        string[] memory inputs = new string[](args.length + 3);
+        inputs[0] = "node";
+        inputs[1] = "scripts/unwinder-auction.js";
+        inputs[2] = fn;
+        for (uint256 i; i < args.length; ++i) inputs[i + 3] = args[i];
+        return vm.ffi(inputs);
+    }
+
+    function _takeCash(uint256 cashAmount) private {
+        (uint256 debt, uint256 cash, , ) = unwinder.auction();
+        (, uint256 price, , ) = unwinder.getAuctionStatus();
+
+        string[] memory args = new string[](4);
+        args[0] = vm.toString(debt);
+        args[1] = vm.toString(cash);
+        args[2] = vm.toString(price);
+        args[3] = vm.toString(cashAmount);
+        (bool ok, uint256 expectedCashToBuy, uint256 expectedCreditToPay) = abi.decode(
+            _ffi("getTakeAmounts", args), (bool, uint256, uint256)
+        );
+
+        if (!ok) {
+            vm.expectRevert(CDPVaultUnwinder.CDPVaultUnwinder__takeCash_noPartialPurchase.selector);
+            unwinder.takeCash(cashAmount, price, address(this));
+            return;
+        }
+        (uint256 cashToBuy, uint256 creditToPay) = unwinder.takeCash(cashAmount, price, address(this));
+        assertEq(cashToBuy, expectedCashToBuy);
+        assertEq(creditToPay, expectedCreditToPay);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            TEST FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function test_differential_getAuctionStatus(uint256 elapsed) public {
+        elapsed = bound(elapsed, 0, 2 days);
+        (uint256 debt, , uint96 startsAt, uint160 startPrice) = unwinder.auction();
+        vm.warp(startsAt + elapsed);
+
+        string[] memory args = new string[](5);
+        args[0] = vm.toString(debt);
+        args[1] = vm.toString(startsAt);
+        args[2] = vm.toString(startPrice);
+        args[3] = vm.toString(unwinder.createdAt());
+        args[4] = vm.toString(block.timestamp);
+        (bool expectedNeedsRedo, uint256 expectedPrice) = abi.decode(_ffi("getAuctionStatus", args), (bool, uint256));
+
+        (bool needsRedo, uint256 price, , ) = unwinder.getAuctionStatus();
+        assertEq(needsRedo, expectedNeedsRedo);
+        assertEq(price, expectedPrice);
+    }
+
+    function test_differential_getTakeTime(uint256 limitPrice) public {
+        (, , uint96 startsAt, uint160 startPrice) = unwinder.auction();
+        limitPrice = bound(limitPrice, 1, uint256(startPrice) - 1);
+
+        string[] memory args = new string[](3);
+        args[0] = vm.toString(startsAt);
+        args[1] = vm.toString(startPrice);
+        args[2] = vm.toString(limitPrice);
+        uint256 takeTime = abi.decode(_ffi("getTakeTime", args), (uint256));
+        assertGt(takeTime, startsAt);
+
+        // first second at which the auction price is at or below the limit price
+        vm.warp(takeTime);
+        (, uint256 price, , ) = unwinder.getAuctionStatus();
+        assertLe(price, limitPrice);
+        vm.warp(takeTime - 1);
+        (, price, , ) = unwinder.getAuctionStatus();
+        assertGt(price, limitPrice);
+    }
+
+    function test_differential_takeCash(uint256 elapsed, uint256 cashAmount, uint256 cashAmount2) public {
+        elapsed = bound(elapsed, 0, 1.5 days - 1);
+        cashAmount = bound(cashAmount, 1, 400 ether);
+        cashAmount2 = bound(cashAmount2, 1, 400 ether);
+        (, , uint96 startsAt, ) = unwinder.auction();
+        vm.warp(startsAt + elapsed);
+
+        _takeCash(cashAmount);
+        (uint256 debt, uint256 cash, , ) = unwinder.auction();
+        // the second take covers partial purchases of auctions with less than AUCTION_DEBT_FLOOR of debt left
+        if (debt != 0 && cash != 0) _takeCash(cashAmount2);
+    }
+}
@@ -0,0 +1,232 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {TestBase} from "../TestBase.sol";
+
+import {CDPVaultConstants, CDPVaultConfig, CDPVault_TypeAConfig} from "../../interfaces/ICDPVault_TypeA_Factory.sol";
+
+import {WAD} from "../../utils/Math.sol";
+import {CDPVault_TypeA} from "../../CDPVault_TypeA.sol";
+import {InterestRateModel} from "../../InterestRateModel.sol";
+import {InterestRateModelWrapper} from "./InterestRateModel.t.sol";
+
+/// @notice Differential tests of scripts/interest-rate-model.js against InterestRateModel and CDPVault
+/// @dev Requires node and --ffi, run by `make test-differential`
+contract InterestRateModelDifferentialTest is TestBase {
+
+    uint64 constant internal RATE_CEILING = 1000000021919499726;
+
+    InterestRateModelWrapper internal model;
+
+    function setUp() public override {
+        super.setUp();
+        model = new InterestRateModelWrapper(int64(uint64(WAD)));
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            HELPER FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function _ffi(string memory fn, string[] memory args) private returns (bytes memory) {
+        string[] memory inputs = new string[](args.length + 3);
+        inputs[0] = "node";
+        inputs[1] = "scripts/interest-rate-model.js";
+        inputs[2] = fn;
+        for (uint256 i; i < args.length; ++i) inputs[i + 3] = args[i];
+        return vm.ffi(inputs);
+    }
+
+    function _args(uint256 a, uint256 b, uint256 c) private pure returns (string[] memory args) {
+        args = new string[](3);
+        args[0] = vm.toString(a);
+        args[1] = vm.toString(b);
+        args[2] = vm.toString(c);
+    }
+
+    function _createVault(
+        uint256 protocolFee,
+        uint64 targetUtilizationRatio,
+        uint64 minInterestRate,
+        uint64 maxInterestRate,
+        uint64 targetInterestRate,
+        uint256 debtCeiling
+    ) private returns (CDPVault_TypeA vault) {
+        vault = createCDPVault_TypeA(
+            CDPVaultConstants({
+                cdm: cdm,
+                oracle: oracle,
+                buffer: buffer,
+                token: token,
+                tokenScale: 10**token.decimals(),
+                protocolFee: protocolFee,
+                targetUtilizationRatio: targetUtilizationRatio,
+                maxUtilizationRatio: uint64(WAD),
+                minInterestRate: minInterestRate,
+                maxInterestRate: maxInterestRate,
+                targetInterestRate: targetInterestRate,
+                rebateRate: 0,
+                maxRebate: uint128(WAD)
+            }),
+            CDPVault_TypeAConfig({liquidationPenalty: uint64(WAD), liquidationDiscount: uint64(WAD), targetHealthFactor: 1.05 ether}),
+            CDPVaultConfig({
+                debtFloor: 0,
+                limitOrderFloor: WAD,
+                liquidationRatio: 1.25 ether,
+                globalLiquidationRatio: 0,
+                baseRate: WAD,
+                roleAdmin: address(this),
+                vaultAdmin: address(this),
+                tickManager: address(this),
+                pauseAdmin: address(this)
+            }),
+            debtCeiling
+        );
+        // switch to the utilization based interest rate model
+        vault.setParameter("baseRate", type(uint256).max);
+    }
+
+    function _borrow(CDPVault_TypeA vault, uint256 amount) private {
+        token.mint(address(this), amount * 2);
+        token.approve(address(vault), amount * 2);
+        vault.deposit(address(this), amount * 2);
+        vault.modifyCollateralAndDebt(address(this), address(this), address(this), int256(amount * 2), int256(amount));
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            TEST FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function test_differential_calculateRateAccumulator(
+        uint64 rateAccumulator, uint64 baseRate, uint256 elapsed
+    ) public {
+        rateAccumulator = uint64(bound(rateAccumulator, WAD, 10 * WAD));
+        baseRate = uint64(bound(baseRate, WAD, RATE_CEILING));
+        elapsed = bound(elapsed, 0, 10 * 366 days);
+
+        InterestRateModel.GlobalIRS memory globalIRS = InterestRateModel.GlobalIRS(
+            int64(baseRate), uint64(block.timestamp), rateAccumulator, 0, 0
+        );
+        vm.warp(block.timestamp + elapsed);
+
+        string[] memory args = new string[](4);
+        args[0] = vm.toString(rateAccumulator);
+        args[1] = vm.toString(globalIRS.lastUpdated);
+        args[2] = vm.toString(baseRate);
+        args[3] = vm.toString(block.timestamp);
+        uint64 expected = abi.decode(_ffi("calculateRateAccumulator", args), (uint64));
+
+        assertEq(model.calculateRateAccumulator(globalIRS, baseRate), expected);
+    }
+
+    function test_differential_calculateAccruedRebate(
+        uint64 snapshotRateAccumulator,
+        uint64 rateAccumulator,
+        uint64 rebateFactor,
+        uint128 accruedRebate,
+        uint256 normalDebt
+    ) public {
+        snapshotRateAccumulator = uint64(bound(snapshotRateAccumulator, WAD, 10 * WAD));
+        rateAccumulator = uint64(bound(rateAccumulator, snapshotRateAccumulator, 10 * WAD));
+        rebateFactor = uint64(bound(rebateFactor, 0, WAD));
+        accruedRebate = uint128(bound(accruedRebate, 0, 1e30));
+        normalDebt = bound(normalDebt, 0, 1e30);
+
+        string[] memory args = new string[](5);
+        args[0] = vm.toString(snapshotRateAccumulator);
+        args[1] = vm.toString(rebateFactor);
+        args[2] = vm.toString(accruedRebate);
+        args[3] = vm.toString(rateAccumulator);
+        args[4] = vm.toString(normalDebt);
+        uint128 expected = abi.decode(_ffi("calculateAccruedRebate", args), (uint128));
+
+        assertEq(
+            model.calculateAccruedRebate(
+                InterestRateModel.PositionIRS(snapshotRateAccumulator, rebateFactor, accruedRebate),
+                rateAccumulator,
+                normalDebt
+            ),
+            expected
+        );
+    }
+
+    function test_differential_calculateRebateClaim(uint256 subDebt, uint256 debt, uint128 accruedRebate) public {
+        debt = bound(debt, 0, 1e30);
+        subDebt = bound(subDebt, 0, debt);
+        accruedRebate = uint128(bound(accruedRebate, 0, 1e30));
+
+        (uint128 expectedClaimedRebate, uint128 expectedAccruedRebate) = abi.decode(
+            _ffi("calculateRebateClaim", _args(subDebt, debt, accruedRebate)), (uint128, uint128)
+        );
+        (uint128 claimedRebate, uint128 accruedRebate_) = model.calculateRebateClaim(subDebt, debt, accruedRebate);
+
+        assertEq(claimedRebate, expectedClaimedRebate);
+        assertEq(accruedRebate_, expectedAccruedRebate);
+    }
+
+    function test_differential_calculateRebateFactorForPriceTick(
+        uint256 priceTick, uint256 rebateRate, uint256 maxRebate
+    ) public {
+        priceTick = bound(priceTick, 0, 100 ether);
+        rebateRate = bound(rebateRate, 0, 10 * WAD);
+        maxRebate = bound(maxRebate, WAD, 10 * WAD);
+
+        CDPVault_TypeA vault = createCDPVault_TypeA(
+            token, 0, 0, 1.25 ether, uint64(WAD), uint64(WAD), 1.05 ether, rebateRate, maxRebate, WAD, 0, 0
+        );
+        uint64 expected = abi.decode(
+            _ffi("calculateRebateFactor", _args(priceTick, rebateRate, maxRebate)), (uint64)
+        );
+
+        assertEq(vault.calculateRebateFactorForPriceTick(priceTick), expected);
+    }
+
+    function test_differential_utilizationBasedRateAccumulator(
+        uint64 targetUtilizationRatio,
+        uint64 minInterestRate,
+        uint64 targetInterestRate,
+        uint64 maxInterestRate,
+        uint256 protocolFee,
+        uint256 debtCeiling,
+        uint256 debt,
+        uint256 elapsed
+    ) public {
+        targetUtilizationRatio = uint64(bound(targetUtilizationRatio, 1, WAD - 1));
+        minInterestRate = uint64(bound(minInterestRate, WAD, RATE_CEILING));
+        targetInterestRate = uint64(bound(targetInterestRate, minInterestRate, RATE_CEILING));
+        maxInterestRate = uint64(bound(maxInterestRate, targetInterestRate, RATE_CEILING));
+        protocolFee = bound(protocolFee, 0, WAD);
+        debtCeiling = bound(debtCeiling, 100 ether, 1e27);
+        debt = bound(debt, 2, debtCeiling / 2);
+        elapsed = bound(elapsed, 1, 366 days);
+
+        CDPVault_TypeA vault = _createVault(
+            protocolFee, targetUtilizationRatio, minInterestRate, maxInterestRate, targetInterestRate, debtCeiling
+        );
+
+        // accrue interest (and protocol fees) on a first borrow before modifying the utilization again
+        _borrow(vault, debt / 2);
+        vm.warp(block.timestamp + elapsed);
+        _borrow(vault, debt / 2);
+        vm.warp(block.timestamp + elapsed);
+
+        InterestRateModel.GlobalIRS memory globalIRS = vault.getGlobalIRS();
+        string[] memory args = new string[](13);
+        args[0] = vm.toString(globalIRS.baseRate);
+        args[1] = vm.toString(globalIRS.rateAccumulator);
+        args[2] = vm.toString(globalIRS.lastUpdated);
+        args[3] = vm.toString(globalIRS.globalAccruedRebate);
+        args[4] = vm.toString(vault.totalNormalDebt());
+        args[5] = vm.toString(cdm.creditLine(address(vault)));
+        args[6] = vm.toString(vault.totalAccruedFees());
+        args[7] = vm.toString(targetUtilizationRatio);
+        args[8] = vm.toString(WAD);
+        args[9] = vm.toString(minInterestRate);
+        args[10] = vm.toString(maxInterestRate);
+        args[11] = vm.toString(targetInterestRate);
+        args[12] = vm.toString(block.timestamp);
+        uint64 expected = abi.decode(_ffi("calculateVaultRateAccumulator", args), (uint64));
+
+        (uint64 rateAccumulator, , ) = vault.virtualIRS(address(this));
+        assertEq(rateAccumulator, expected);
+    }
+}
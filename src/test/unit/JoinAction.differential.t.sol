@@ -0,0 +1,143 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {Test} from "forge-std/Test.sol";
+
+import {JoinAction, JoinParams} from "../../proxy/JoinAction.sol";
+import {MockERC20} from "../MockERC20.sol";
+import {MockSwapRouter} from "../MockSwapRouter.sol";
+
+/// @notice Differential tests of scripts/join-params.js: the JoinParams it builds are executed by JoinAction against
+/// MockSwapRouter standing in for the Balancer vault
+/// @dev Requires node and --ffi, run by `make test-differential`
+contract JoinActionDifferentialTest is Test {
+
+    uint256 constant internal WAD = 1e18;
+
+    MockSwapRouter internal router;
+    JoinAction internal joinAction;
+    // pool token, sorts before the underlying assets as JoinAction.updateLeverJoin expects for composable pools
+    MockERC20 internal bpt;
+    MockERC20 internal tokenA;
+    MockERC20 internal tokenB;
+    bytes32 internal poolId;
+    address internal recipient = address(0xbeef);
+
+    function setUp() public {
+        router = new MockSwapRouter();
+        joinAction = new JoinAction(address(router));
+
+        MockERC20[3] memory tokens = [
+            new MockERC20("Token 0", "T0", 18), new MockERC20("Token 1", "T1", 18), new MockERC20("Token 2", "T2", 18)
+        ];
+        for (uint256 i = 1; i < 3; ++i) {
+            if (address(tokens[i]) < address(tokens[0])) (tokens[0], tokens[i]) = (tokens[i], tokens[0]);
+        }
+        (bpt, tokenA, tokenB) = (tokens[0], tokens[1], tokens[2]);
+        poolId = bytes32(bytes20(address(bpt))) | bytes32(uint256(1));
+
+        router.setRate(address(tokenA), address(bpt), WAD);
+        router.setRate(address(tokenB), address(bpt), 2 * WAD);
+        bpt.mint(address(router), 1e30);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            HELPER FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function _ffi(string memory fn, string[] memory args) private returns (bytes memory) {
+        string[] memory inputs = new string[](args.length + 3);
+        inputs[0] = "node";
+        inputs[1] = "scripts/join-params.js";
+        inputs[2] = fn;
+        for (uint256 i; i < args.length; ++i) inputs[i + 3] = args[i];
+        return vm.ffi(inputs);
+    }
+
+    /// @dev assets in the reverse of their pool order, with the pool token for composable pools
+    function _assets(bool composable) private view returns (string memory assets) {
+        assets = string.concat(vm.toString(address(tokenB)), ",", vm.toString(address(tokenA)));
+        if (composable) assets = string.concat(assets, ",", vm.toString(address(bpt)));
+    }
+
+    function _join(JoinParams memory joinParams) private returns (uint256 bptOut) {
+        for (uint256 i; i < joinParams.assets.length; ++i) {
+            MockERC20(joinParams.assets[i]).mint(address(joinAction), joinParams.maxAmountsIn[i]);
+        }
+        joinAction.join(joinParams);
+        bptOut = bpt.balanceOf(recipient);
+        assertGe(bptOut, joinParams.minOut);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            TEST FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function test_differential_balancerJoin(uint256 amountA, uint256 amountB, uint256 slippage, bool composable) public {
+        amountA = bound(amountA, 0, 1e27);
+        amountB = bound(amountB, 0, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        uint256 expectedOut = amountA + 2 * amountB;
+
+        string[] memory args = new string[](6);
+        args[0] = vm.toString(poolId);
+        args[1] = _assets(composable);
+        args[2] = string.concat(vm.toString(amountB), ",", vm.toString(amountA), composable ? ",0" : "");
+        args[3] = vm.toString(expectedOut);
+        args[4] = vm.toString(slippage);
+        args[5] = vm.toString(recipient);
+        JoinParams memory joinParams = abi.decode(_ffi("balancer", args), (JoinParams));
+
+        // sorted assets, the pool token is skipped in assetsIn
+        uint256 offset = composable ? 1 : 0;
+        assertEq(joinParams.assets.length, 2 + offset);
+        if (composable) assertEq(joinParams.assets[0], address(bpt));
+        assertEq(joinParams.assets[offset], address(tokenA));
+        assertEq(joinParams.assets[offset + 1], address(tokenB));
+        assertEq(joinParams.assetsIn.length, 2);
+        assertEq(joinParams.assetsIn[0], amountA);
+        assertEq(joinParams.assetsIn[1], amountB);
+        assertEq(joinParams.maxAmountsIn[offset], amountA);
+        assertEq(joinParams.maxAmountsIn[offset + 1], amountB);
+        assertEq(joinParams.minOut, expectedOut * (WAD - slippage) / WAD);
+
+        assertEq(_join(joinParams), expectedOut);
+    }
+
+    function test_differential_updateLeverJoin(
+        uint256 flashLoanAmount, uint256 upFrontAmount, uint256 upFrontIndex, bool composable
+    ) public {
+        flashLoanAmount = bound(flashLoanAmount, 0, 1e27);
+        upFrontAmount = bound(upFrontAmount, 0, 1e27);
+        address upFrontToken = [address(bpt), address(tokenA), address(tokenB)][bound(upFrontIndex, 0, 2)];
+        address joinToken = address(tokenB);
+
+        string[] memory args = new string[](6);
+        args[0] = vm.toString(poolId);
+        args[1] = _assets(composable);
+        args[2] = vm.toString(joinToken);
+        args[3] = "0";
+        args[4] = "0";
+        args[5] = vm.toString(recipient);
+        JoinParams memory auxJoin = abi.decode(_ffi("lever", args), (JoinParams));
+
+        args = new string[](5);
+        args[0] = vm.toString(abi.encode(auxJoin));
+        args[1] = vm.toString(upFrontToken);
+        args[2] = vm.toString(joinToken);
+        args[3] = vm.toString(flashLoanAmount);
+        args[4] = vm.toString(upFrontAmount);
+        JoinParams memory expected = abi.decode(_ffi("updateLeverJoin", args), (JoinParams));
+
+        JoinParams memory joinParams = joinAction.updateLeverJoin(
+            auxJoin, upFrontToken, joinToken, flashLoanAmount, upFrontAmount
+        );
+        assertEq(keccak256(abi.encode(joinParams)), keccak256(abi.encode(expected)));
+
+        // only the first of the up front token and the join token in the pool order is joined
+        uint256 bptOut = (upFrontToken == address(tokenA))
+            ? flashLoanAmount + upFrontAmount
+            : 2 * ((upFrontToken == joinToken) ? flashLoanAmount + upFrontAmount : flashLoanAmount);
+        assertEq(_join(joinParams), bptOut);
+    }
+}
@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: UNLICENSED
+pragma solidity ^0.8.19;
+
+import {Test} from "forge-std/Test.sol";
+
+import {IUniswapV3Router} from "../../vendor/IUniswapV3Router.sol";
+import {IVault as IBalancerVault} from "../../vendor/IBalancerVault.sol";
+
+import {SwapAction, SwapParams} from "../../proxy/SwapAction.sol";
+import {MockERC20} from "../MockERC20.sol";
+import {MockSwapRouter, OneInchSwapDescription} from "../MockSwapRouter.sol";
+
+/// @notice Differential tests of scripts/swap-params.js: the SwapParams it builds are executed by SwapAction against
+/// MockSwapRouter standing in for Balancer, Uniswap V3 and 1inch
+/// @dev Requires node and --ffi, run by `make test-differential`
+contract SwapActionDifferentialTest is Test {
+
+    uint256 constant internal WAD = 1e18;
+    bytes32 constant internal POOL_AB = bytes32(uint256(1));
+    bytes32 constant internal POOL_BC = bytes32(uint256(2));
+
+    MockSwapRouter internal router;
+    SwapAction internal swapAction;
+    MockERC20 internal tokenA;
+    MockERC20 internal tokenB;
+    MockERC20 internal tokenC;
+    address internal recipient = address(0xbeef);
+
+    function setUp() public {
+        router = new MockSwapRouter();
+        swapAction = new SwapAction(address(router), IBalancerVault(address(router)), IUniswapV3Router(address(router)));
+        tokenA = new MockERC20("Token A", "A", 18);
+        tokenB = new MockERC20("Token B", "B", 18);
+        tokenC = new MockERC20("Token C", "C", 18);
+
+        // A -> B -> C and A -> C at 1:1
+        router.setRate(address(tokenA), address(tokenB), 2 * WAD);
+        router.setRate(address(tokenB), address(tokenC), WAD / 2);
+        router.setRate(address(tokenA), address(tokenC), WAD);
+        tokenB.mint(address(router), 1e30);
+        tokenC.mint(address(router), 1e30);
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            HELPER FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function _ffi(string memory fn, string[] memory args) private returns (bytes memory) {
+        string[] memory inputs = new string[](args.length + 3);
+        inputs[0] = "node";
+        inputs[1] = "scripts/swap-params.js";
+        inputs[2] = fn;
+        for (uint256 i; i < args.length; ++i) inputs[i + 3] = args[i];
+        return vm.ffi(inputs);
+    }
+
+    function _route() private view returns (string memory) {
+        return string.concat(
+            vm.toString(address(tokenA)), ",", vm.toString(address(tokenB)), ",", vm.toString(address(tokenC))
+        );
+    }
+
+    /// @dev swaps A for C along A -> B -> C with a quote of 1:1
+    function _buildSwap(
+        string memory protocol, uint256 swapType, string memory hops, uint256 amount, uint256 slippage
+    ) private returns (SwapParams memory) {
+        string[] memory args = new string[](8);
+        args[0] = vm.toString(swapType);
+        args[1] = _route();
+        args[2] = hops;
+        args[3] = vm.toString(amount);
+        args[4] = vm.toString(amount);
+        args[5] = vm.toString(slippage);
+        args[6] = vm.toString(recipient);
+        args[7] = vm.toString(block.timestamp + 1 hours);
+        return abi.decode(_ffi(protocol, args), (SwapParams));
+    }
+
+    function _checkExactIn(SwapParams memory swapParams, uint256 amount, uint256 slippage) private {
+        assertEq(swapParams.assetIn, address(tokenA));
+        assertEq(swapParams.limit, amount * (WAD - slippage) / WAD);
+
+        tokenA.mint(address(swapAction), amount);
+        assertEq(swapAction.swap(swapParams), amount);
+        assertEq(tokenC.balanceOf(recipient), amount);
+    }
+
+    function _checkExactOut(SwapParams memory swapParams, uint256 amount, uint256 slippage) private {
+        uint256 limit = (amount * (WAD + slippage) + WAD - 1) / WAD;
+        assertEq(swapParams.assetIn, address(tokenA));
+        assertEq(swapParams.limit, limit);
+
+        tokenA.mint(address(swapAction), limit);
+        assertEq(swapAction.swap(swapParams), amount);
+        assertEq(tokenC.balanceOf(recipient), amount);
+        // the unspent asset in is returned to the recipient
+        assertEq(tokenA.balanceOf(recipient), limit - amount);
+    }
+
+    function _poolIds() private pure returns (string memory) {
+        return string.concat(vm.toString(POOL_AB), ",", vm.toString(POOL_BC));
+    }
+
+    /*//////////////////////////////////////////////////////////////
+                            TEST FUNCTIONS
+    //////////////////////////////////////////////////////////////*/
+
+    function test_differential_balancer_exactIn(uint256 amount, uint256 slippage) public {
+        amount = bound(amount, 2, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        _checkExactIn(_buildSwap("balancer", 0, _poolIds(), amount, slippage), amount, slippage);
+    }
+
+    function test_differential_balancer_exactOut(uint256 amount, uint256 slippage) public {
+        amount = bound(amount, 2, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        _checkExactOut(_buildSwap("balancer", 1, _poolIds(), amount, slippage), amount, slippage);
+    }
+
+    function test_differential_univ3_exactIn(uint256 amount, uint256 slippage) public {
+        amount = bound(amount, 2, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        _checkExactIn(_buildSwap("univ3", 0, "500,3000", amount, slippage), amount, slippage);
+    }
+
+    function test_differential_univ3_exactOut(uint256 amount, uint256 slippage) public {
+        amount = bound(amount, 2, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        _checkExactOut(_buildSwap("univ3", 1, "500,3000", amount, slippage), amount, slippage);
+    }
+
+    function test_differential_oneinch(uint256 amount) public {
+        amount = bound(amount, 1, 1e27);
+        uint256 minReturnAmount = amount * 99 / 100;
+        bytes memory payload = abi.encodeCall(MockSwapRouter.swap, (
+            address(0),
+            OneInchSwapDescription({
+                srcToken: address(tokenA),
+                dstToken: address(tokenC),
+                srcReceiver: payable(address(0)),
+                dstReceiver: payable(recipient),
+                amount: amount,
+                minReturnAmount: minReturnAmount,
+                flags: 0
+            }),
+            "",
+            ""
+        ));
+
+        string[] memory args = new string[](3);
+        args[0] = vm.toString(address(tokenA));
+        args[1] = vm.toString(amount);
+        args[2] = vm.toString(payload);
+        SwapParams memory swapParams = abi.decode(_ffi("oneinch", args), (SwapParams));
+        assertEq(swapParams.limit, minReturnAmount);
+        assertEq(swapParams.args, payload);
+
+        tokenA.mint(address(swapAction), amount);
+        assertEq(swapAction.swap(swapParams), amount);
+        assertEq(tokenC.balanceOf(recipient), amount);
+    }
+
+    function test_differential_decode(uint256 amount, uint256 slippage, bool exactOut) public {
+        amount = bound(amount, 2, 1e27);
+        slippage = bound(slippage, 0, WAD / 10);
+        SwapParams memory swapParams = _buildSwap("balancer", exactOut ? 1 : 0, _poolIds(), amount, slippage);
+
+        string[] memory args = new string[](1);
+        args[0] = vm.toString(abi.encodeCall(SwapAction.swap, (swapParams)));
+        assertEq(keccak256(_ffi("reencode", args)), keccak256(abi.encode(swapParams)));
+    }
+}